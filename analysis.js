@@ -0,0 +1,342 @@
+// Equilibrium and stability analysis of the SEIRS model
+//
+// This module finds the disease-free and endemic equilibria of the homogeneous
+// model with constant transmission, linearises the equations around each of them
+// and reads off stability, the inter-epidemic period and the damping time of the
+// oscillations from the eigenvalues of the Jacobian.
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const ANALYSIS = {
+    JACOBIAN_STEP: 1e-7,              // Step of the central differences used for the Jacobian
+    BISECTION_ITERATIONS: 200,        // Iterations used to locate the endemic prevalence
+    MAX_QR_ITERATIONS: 30             // Iterations allowed per eigenvalue in the QR algorithm
+};
+
+// Long-run time at which rates are evaluated (any vaccination campaign is under way)
+const LONG_RUN = Infinity;
+
+// ============================================================================
+// Linear Algebra
+// ============================================================================
+
+/**
+ * Reduces a square matrix to upper Hessenberg form by stabilised elementary similarity
+ * transformations (Gaussian elimination with pivoting), leaving the eigenvalues unchanged
+ *
+ * @param {Array} a - Square matrix, 1-indexed (row and column 0 unused); modified in place
+ * @param {number} n - Matrix size
+ */
+const reduceToHessenberg = (a, n) => {
+    for (let m = 2; m < n; m++) {
+        // Pivot on the largest element below the subdiagonal
+        let x = 0;
+        let pivot = m;
+        for (let j = m; j <= n; j++) {
+            if (Math.abs(a[j][m - 1]) > Math.abs(x)) {
+                x = a[j][m - 1];
+                pivot = j;
+            }
+        }
+        if (pivot !== m) {
+            for (let j = m - 1; j <= n; j++) [a[pivot][j], a[m][j]] = [a[m][j], a[pivot][j]];
+            for (let j = 1; j <= n; j++) [a[j][pivot], a[j][m]] = [a[j][m], a[j][pivot]];
+        }
+        if (x === 0) continue;
+
+        // Eliminate below the subdiagonal
+        for (let i = m + 1; i <= n; i++) {
+            const y = a[i][m - 1] / x;
+            if (y === 0) continue;
+            a[i][m - 1] = 0;
+            for (let j = m; j <= n; j++) a[i][j] -= y * a[m][j];
+            for (let j = 1; j <= n; j++) a[j][m] += y * a[j][i];
+        }
+    }
+};
+
+/**
+ * Finds all eigenvalues of an upper Hessenberg matrix with the shifted QR algorithm
+ * (Francis double shift, following Press et al., Numerical Recipes, section 11.6)
+ *
+ * @param {Array} a - Upper Hessenberg matrix, 1-indexed; destroyed
+ * @param {number} n - Matrix size
+ * @returns {Array} Eigenvalues {re, im}
+ */
+const hessenbergEigenvalues = (a, n) => {
+    const wr = new Array(n + 1).fill(0);
+    const wi = new Array(n + 1).fill(0);
+    const sign = (value, of) => of >= 0 ? Math.abs(value) : -Math.abs(value);
+
+    let anorm = 0;
+    for (let i = 1; i <= n; i++) {
+        for (let j = Math.max(i - 1, 1); j <= n; j++) anorm += Math.abs(a[i][j]);
+    }
+
+    let nn = n;
+    let t = 0;
+    let p = 0, q = 0, r = 0, s = 0, w = 0, x = 0, y = 0, z = 0;
+    while (nn >= 1) {
+        let its = 0;
+        let l;
+        do {
+            // Look for a single small subdiagonal element to split the matrix
+            for (l = nn; l >= 2; l--) {
+                s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+                if (s === 0) s = anorm;
+                if (Math.abs(a[l][l - 1]) + s === s) {
+                    a[l][l - 1] = 0;
+                    break;
+                }
+            }
+            x = a[nn][nn];
+            if (l === nn) {
+                // One root found
+                wr[nn] = x + t;
+                wi[nn--] = 0;
+            } else {
+                y = a[nn - 1][nn - 1];
+                w = a[nn][nn - 1] * a[nn - 1][nn];
+                if (l === nn - 1) {
+                    // Two roots found
+                    p = 0.5 * (y - x);
+                    q = p * p + w;
+                    z = Math.sqrt(Math.abs(q));
+                    x += t;
+                    if (q >= 0) {
+                        z = p + sign(z, p);
+                        wr[nn - 1] = wr[nn] = x + z;
+                        if (z) wr[nn] = x - w / z;
+                        wi[nn - 1] = wi[nn] = 0;
+                    } else {
+                        wr[nn - 1] = wr[nn] = x + p;
+                        wi[nn - 1] = -(wi[nn] = z);
+                    }
+                    nn -= 2;
+                } else {
+                    if (its === ANALYSIS.MAX_QR_ITERATIONS) {
+                        throw new Error('Eigenvalues did not converge');
+                    }
+                    // Exceptional shift
+                    if (its === 10 || its === 20) {
+                        t += x;
+                        for (let i = 1; i <= nn; i++) a[i][i] -= x;
+                        s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+                        y = x = 0.75 * s;
+                        w = -0.4375 * s * s;
+                    }
+                    ++its;
+
+                    // Form the shift and look for two consecutive small subdiagonal elements
+                    let m;
+                    for (m = nn - 2; m >= l; m--) {
+                        z = a[m][m];
+                        r = x - z;
+                        s = y - z;
+                        p = (r * s - w) / a[m + 1][m] + a[m][m + 1];
+                        q = a[m + 1][m + 1] - z - r - s;
+                        r = a[m + 2][m + 1];
+                        s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                        p /= s;
+                        q /= s;
+                        r /= s;
+                        if (m === l) break;
+                        const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+                        const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+                        if (u + v === v) break;
+                    }
+                    for (let i = m + 2; i <= nn; i++) {
+                        a[i][i - 2] = 0;
+                        if (i !== m + 2) a[i][i - 3] = 0;
+                    }
+
+                    // Double QR step on rows l to nn and columns m to nn
+                    for (let k = m; k <= nn - 1; k++) {
+                        if (k !== m) {
+                            p = a[k][k - 1];
+                            q = a[k + 1][k - 1];
+                            r = k !== nn - 1 ? a[k + 2][k - 1] : 0;
+                            x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                            if (x !== 0) {
+                                p /= x;
+                                q /= x;
+                                r /= x;
+                            }
+                        }
+                        s = sign(Math.sqrt(p * p + q * q + r * r), p);
+                        if (s === 0) continue;
+
+                        if (k === m) {
+                            if (l !== m) a[k][k - 1] = -a[k][k - 1];
+                        } else {
+                            a[k][k - 1] = -s * x;
+                        }
+                        p += s;
+                        x = p / s;
+                        y = q / s;
+                        z = r / s;
+                        q /= p;
+                        r /= p;
+                        for (let j = k; j <= nn; j++) {
+                            p = a[k][j] + q * a[k + 1][j];
+                            if (k !== nn - 1) {
+                                p += r * a[k + 2][j];
+                                a[k + 2][j] -= p * z;
+                            }
+                            a[k + 1][j] -= p * y;
+                            a[k][j] -= p * x;
+                        }
+                        const mmin = nn < k + 3 ? nn : k + 3;
+                        for (let i = l; i <= mmin; i++) {
+                            p = x * a[i][k] + y * a[i][k + 1];
+                            if (k !== nn - 1) {
+                                p += z * a[i][k + 2];
+                                a[i][k + 2] -= p * r;
+                            }
+                            a[i][k + 1] -= p * q;
+                            a[i][k] -= p;
+                        }
+                    }
+                }
+            }
+        } while (l < nn - 1);
+    }
+
+    return wr.slice(1).map((re, ix) => ({ re, im: wi[ix + 1] }));
+};
+
+/**
+ * Finds all eigenvalues of a real square matrix
+ *
+ * @param {Array} matrix - Square matrix (not modified)
+ * @returns {Array} Eigenvalues {re, im}, sorted from the largest real part down
+ */
+export const eigenvalues = (matrix) => {
+    const n = matrix.length;
+    const a = [new Array(n + 1).fill(0), ...matrix.map(row => [0, ...row])];
+    reduceToHessenberg(a, n);
+    return hessenbergEigenvalues(a, n).sort((u, v) => v.re - u.re || v.im - u.im);
+};
+
+// ============================================================================
+// Equilibria
+// ============================================================================
+
+/**
+ * Disease-free equilibrium: with no infection, births and the campaign balance waning of V
+ * V* = (mu*p*q + nu) / (nu + omega_v + mu),  S* = 1 - V*
+ *
+ * @param {SEIRParameters} params - Model rates
+ * @param {VaccinationProgram} vaccination - Vaccination settings
+ * @returns {Array} State [s, e, i, r, v]
+ */
+const diseaseFreeEquilibrium = ({ mu }, vaccination) => {
+    const { vaccination_rate: p, protected_share: q, omega_v } = vaccination;
+    const nu = vaccination.campaignRate(LONG_RUN);
+    const v = (mu * p * q + nu) / (nu + omega_v + mu);
+    return [1 - v, 0, 0, 0, v];
+};
+
+/**
+ * Endemic equilibrium with vaccination
+ *
+ * Infection persists when each case replaces itself, which fixes S* + eps*V* = 1/R0.
+ * Given the infectious share I, this condition and the V equation give S and V, and
+ * E* = beta*I/(R0*(sigma + mu)), R* = gamma*I/(omega + mu). I* is the root of the
+ * remaining S equation, located by bisection.
+ *
+ * @param {SEIRParameters} params - Model rates
+ * @param {VaccinationProgram} vaccination - Vaccination settings
+ * @returns {Array|null} State [s, e, i, r, v], or null when the infection cannot persist
+ */
+const endemicEquilibrium = (params, vaccination) => {
+    const { R0, beta, sigma, gamma, omega, mu } = params;
+    const { vaccination_rate: p, protected_share: q, relative_susceptibility: eps, omega_v } = vaccination;
+    const nu = vaccination.campaignRate(LONG_RUN);
+
+    const stateAt = (i) => {
+        const d = eps * beta * i + omega_v + mu;
+        const s = (1 / R0 - eps * mu * p * q / d) / (1 + eps * nu / d);
+        const v = (mu * p * q + nu * s) / d;
+        return [s, beta * i / (R0 * (sigma + mu)), i, gamma * i / (omega + mu), v];
+    };
+    const residual = (i) => {
+        const [s, , , r, v] = stateAt(i);
+        return mu * (1 - p * q) - beta * i * s + omega * r + omega_v * v - nu * s - mu * s;
+    };
+
+    // The residual falls as I grows; without a sign change there is no endemic state
+    if (!(residual(0) > 0) || stateAt(0)[0] < 0) return null;
+    let lower = 0;
+    let upper = 1;
+    if (residual(upper) > 0) return null;
+    for (let iteration = 0; iteration < ANALYSIS.BISECTION_ITERATIONS; iteration++) {
+        const middle = (lower + upper) / 2;
+        if (residual(middle) > 0) lower = middle; else upper = middle;
+    }
+
+    const state = stateAt((lower + upper) / 2);
+    return state.every(value => value >= 0) ? state : null;
+};
+
+/**
+ * Jacobian of the model equations at a state, by central differences
+ *
+ * @param {SEIRTransitions} transitions - Model transitions
+ * @param {Array} state - State [s, e, i, r, v]
+ * @returns {Array} Matrix J[i][j] = d(dy_i/dt)/dy_j
+ */
+export const jacobian = (transitions, state) => {
+    const h = ANALYSIS.JACOBIAN_STEP;
+    const columns = state.map((_, j) => {
+        const shifted = delta => state.map((value, ix) => ix === j ? value + delta : value);
+        const forward = transitions.derivativeVector(shifted(h), LONG_RUN);
+        const backward = transitions.derivativeVector(shifted(-h), LONG_RUN);
+        return forward.map((value, ix) => (value - backward[ix]) / (2 * h));
+    });
+    return state.map((_, i) => columns.map(column => column[i]));
+};
+
+/**
+ * Linearises the model around an equilibrium
+ * @returns {Object} {state, jacobian, eigenvalues, stable}
+ */
+const linearise = (transitions, state) => {
+    const matrix = jacobian(transitions, state);
+    const values = eigenvalues(matrix);
+    return { state, jacobian: matrix, eigenvalues: values, stable: values.every(({ re }) => re < 0) };
+};
+
+/**
+ * Analyses the equilibria of the homogeneous model with constant transmission
+ *
+ * Near the endemic equilibrium, the slowest-decaying complex pair of eigenvalues -a ± bi
+ * gives damped oscillations with inter-epidemic period 2*pi/b and damping time 1/a.
+ *
+ * @param {SEIRTransitions} transitions - Transitions built from SEIRParameters and a VaccinationProgram,
+ *                                        without transmission modifiers
+ * @returns {Object} Disease-free and endemic equilibria (null if none) with their Jacobians,
+ *                   eigenvalues and stability, the reproduction number in the disease-free population,
+ *                   the period and damping time (days) of oscillations around the endemic state, and the
+ *                   threshold {susceptible, relative_susceptibility}: infections grow while
+ *                   S + relative_susceptibility * V exceeds susceptible (= 1/R0)
+ */
+export const analyseEquilibria = (transitions) => {
+    const { params, vaccination } = transitions;
+
+    const diseaseFree = linearise(transitions, diseaseFreeEquilibrium(params, vaccination));
+    const [s, , , , v] = diseaseFree.state;
+    const endemicState = endemicEquilibrium(params, vaccination);
+    const endemic = endemicState ? linearise(transitions, endemicState) : null;
+
+    const pair = endemic && endemic.eigenvalues.find(({ im }) => im > 0);
+    return {
+        disease_free: diseaseFree,
+        endemic,
+        reproduction_number: params.R0 * (s + vaccination.relative_susceptibility * v),
+        threshold: { susceptible: 1 / params.R0, relative_susceptibility: vaccination.relative_susceptibility },
+        oscillation: pair ? { period: 2 * Math.PI / pair.im, damping_time: pair.re < 0 ? -1 / pair.re : Infinity } : null
+    };
+};
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// Command-line runner for the SEIRS model
+//
+// This script runs the solvers of model.js under Node and writes the daily series as CSV or
+// JSON (the same files as the page's export buttons), so scenarios can be run in batch from
+// scripts. Options come from a JSON file, from flags, or both, with flags taking precedence:
+//
+//     node cli.js --R0 2.5 --n_days 365 --output run.csv
+//     node cli.js --config scenario.json --simulation tau-leap --n_runs 200 --format json
+//     node cli.js --model sir --R0 1.8
+//     node cli.js --model my-model.json
+//     node cli.js --latent_stages 3 --infectious_stages 2
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { extname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { simulate, simulateStochastic, DEFAULT_OPTIONS } from './model.js';
+import { BUILT_IN_MODELS } from './models.js';
+import { formatCsv, formatJson } from './export.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const CLI = {
+    SIMULATION_MODES: ['deterministic', 'gillespie', 'tau-leap'],  // Values of --simulation
+    FORMATS: { csv: formatCsv, json: formatJson },                 // Values of --format
+    // Model options without a default, given as JSON (see simulate in model.js)
+    STRUCTURED_OPTIONS: ['interventions', 'seasonality', 'vaccine', 'age_structure', 'metapopulation'],
+    // Flags of the runner itself rather than of the model
+    RUNNER_OPTIONS: ['config', 'simulation', 'format', 'output', 'help'],
+    // Options naming files or models, kept as text even when they look like numbers or booleans
+    PATH_OPTIONS: ['config', 'output', 'model'],
+    // Model options that only apply to one kind of simulation (method is set by --simulation)
+    DETERMINISTIC_OPTIONS: ['integrator', 'rtol', 'atol'],
+    STOCHASTIC_OPTIONS: ['population_size', 'n_runs', 'seed', 'method'],
+    MODULE_EXTENSIONS: ['.js', '.mjs']                             // Model files read as JS modules
+};
+
+const USAGE = `Usage: node cli.js [options]
+
+Runs the SEIRS model and writes its daily series as CSV or JSON.
+
+Runner options:
+  --config <file>       JSON file of model options; flags override its values
+  --simulation <mode>   ${CLI.SIMULATION_MODES.join(', ')} (default: deterministic)
+  --format <format>     ${Object.keys(CLI.FORMATS).join(', ')} (default: the extension of --output, else csv)
+  --output <file>       Write to a file rather than to standard output
+  --help                Show this message
+
+Model options (defaults in brackets):
+${Object.entries(DEFAULT_OPTIONS)
+        .filter(([name]) => name !== 'method')
+        .map(([name, value]) => `  --${name} [${value}]`).join('\n')}
+${CLI.STRUCTURED_OPTIONS.map(name => `  --${name} <json>`).join('\n')}
+
+Structured options take JSON, such as --interventions '[{"start":30,"end":90,"reduction":0.5}]'.
+--model takes ${Object.keys(BUILT_IN_MODELS).join(', ')}, a JSON model specification, or a .json file or
+a JS module (default export) holding one (see models.js).`;
+
+// ============================================================================
+// Argument Parsing
+// ============================================================================
+
+/**
+ * Converts a flag value to a number, a JSON value or a boolean where it looks like one
+ * @param {string} text - Value as given on the command line
+ * @param {string} name - Name of the flag; file and model names are not read as numbers or booleans
+ * @returns {*} Parsed value, or the text itself
+ */
+const parseValue = (text, name) => {
+    const path = CLI.PATH_OPTIONS.includes(name);
+    if (!path && text !== '' && !Number.isNaN(Number(text))) return Number(text);
+    if (!path && (text === 'true' || text === 'false')) return text === 'true';
+    if (/^[[{]/.test(text)) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON '${text}': ${error.message}`);
+        }
+    }
+    return text;
+};
+
+/**
+ * Parses command-line flags of the form --name value or --name=value
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Values by option name
+ */
+const parseArguments = (args) => {
+    const options = {};
+    for (let ix = 0; ix < args.length; ix++) {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(args[ix]);
+        if (!match) {
+            throw new Error(`Unexpected argument '${args[ix]}'`);
+        }
+        const [, name, inline] = match;
+        if (name === 'help') {
+            options.help = true;
+        } else if (inline !== undefined) {
+            options[name] = parseValue(inline, name);
+        } else if (ix + 1 < args.length) {
+            options[name] = parseValue(args[++ix], name);
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+    return options;
+};
+
+/**
+ * Checks that every option is known to the runner or the model
+ * @param {Object} options - Values by option name
+ * @param {string} source - Where the options came from, for error messages
+ */
+const validateOptionNames = (options, source) => {
+    const known = [...Object.keys(DEFAULT_OPTIONS), ...CLI.STRUCTURED_OPTIONS, ...CLI.RUNNER_OPTIONS]
+        .filter(name => name !== 'method');
+    Object.keys(options).forEach(name => {
+        if (!known.includes(name)) throw new Error(`Unknown option '${name}' in ${source}`);
+    });
+};
+
+/**
+ * Checks that options with a numeric default are given as numbers
+ * @param {Object} options - Values by option name
+ * @param {string} [source] - File the options came from, or none for the command line
+ */
+const validateOptionValues = (options, source) => {
+    Object.entries(options).forEach(([name, value]) => {
+        if (typeof DEFAULT_OPTIONS[name] === 'number' && !Number.isFinite(value)) {
+            const option = source ? `'${name}' in ${source}` : `--${name}`;
+            throw new Error(`${option} must be a number, not ${JSON.stringify(value)}`);
+        }
+    });
+};
+
+/**
+ * Reads a model specification from a file, when --model names one
+ * @param {string|Object} model - Name of a built-in model, a specification, or a .json or JS file
+ * @returns {Promise} Name or specification for the model option of simulate()
+ */
+const loadModel = async (model) => {
+    if (typeof model !== 'string') return model;
+    const extension = extname(model);
+    if (extension === '.json') return JSON.parse(readFileSync(model, 'utf8'));
+    if (CLI.MODULE_EXTENSIONS.includes(extension)) {
+        const module = await import(pathToFileURL(resolve(model)).href);
+        if (!module.default) throw new Error(`${model} must export a model specification as its default export`);
+        return module.default;
+    }
+    return model;
+};
+
+// ============================================================================
+// Runner
+// ============================================================================
+
+/**
+ * Runs the model once with the options given on the command line
+ * @param {Array} args - Arguments after the script name
+ */
+const main = async (args) => {
+    const flags = parseArguments(args);
+    if (flags.help) {
+        console.log(USAGE);
+        return;
+    }
+    validateOptionNames(flags, 'the command line');
+    validateOptionValues(flags);
+
+    const config = flags.config ? JSON.parse(readFileSync(flags.config, 'utf8')) : {};
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+        throw new Error(`${flags.config} must hold a JSON object of options`);
+    }
+    validateOptionNames(config, flags.config);
+    validateOptionValues(config, flags.config);
+
+    const { simulation = 'deterministic', format: formatName, output: outputFile, ...options } = { ...config, ...flags };
+    const format = formatName || (outputFile && extname(outputFile).slice(1)) || 'csv';
+    if (!CLI.SIMULATION_MODES.includes(simulation)) {
+        throw new Error(`Unknown simulation '${simulation}'`);
+    }
+    if (!(format in CLI.FORMATS)) {
+        throw new Error(`Unknown format '${format}'`);
+    }
+
+    // Options of the run, as written to the output (without those of the other kind of simulation)
+    const deterministic = simulation === 'deterministic';
+    const unused = deterministic ? CLI.STOCHASTIC_OPTIONS : CLI.DETERMINISTIC_OPTIONS;
+    const params = Object.fromEntries(Object.entries({ ...DEFAULT_OPTIONS, ...options })
+        .filter(([name]) => name !== 'config' && !unused.includes(name)));
+    if (!deterministic) params.method = simulation;
+    params.model = await loadModel(params.model);
+
+    const result = deterministic ? simulate(params) : simulateStochastic(params);
+    const metadata = {
+        exported: new Date().toISOString(),
+        simulation: deterministic ? simulation : `${simulation}, median of ${params.n_runs} runs`,
+        units: 'compartments, N and incidence as proportions of the initial population'
+    };
+
+    const text = CLI.FORMATS[format](result, params, metadata);
+    if (outputFile) {
+        writeFileSync(outputFile, text);
+    } else {
+        process.stdout.write(text);
+    }
+};
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,198 @@
+// Export of simulation data and figures
+//
+// This module turns solver output into CSV and JSON files with the parameters of the run
+// as metadata, and turns the rendered chart into a standalone SVG (with its styles
+// inlined, so it looks the same outside the page) or a PNG at a chosen resolution.
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const EXPORT = {
+    BACKGROUND: 'white',              // Background of exported figures
+    SVG_NAMESPACE: 'http://www.w3.org/2000/svg',
+    // Style properties that are copied onto every element of an exported SVG
+    STYLE_PROPERTIES: [
+        'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+        'stroke-linecap', 'stroke-linejoin', 'opacity', 'visibility', 'display',
+        'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline',
+        'shape-rendering', 'vector-effect'
+    ]
+};
+
+// ============================================================================
+// Data Export
+// ============================================================================
+
+/**
+ * Quotes a CSV field if it contains a separator, quote or line break
+ */
+const csvField = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Collects the daily series of a run as proportions of the initial population (0-1)
+ *
+ * @param {Object} output - Output of simulate() or simulateStochastic() in model.js
+ * @returns {Array} Columns {name, values}: the model's compartments named by their upper-case keys (such as
+ *                  S, E, I, R, V) followed by the substages of split compartments (such as E1, E2), each
+ *                  group's compartments when structured, the living population N, the running totals of the
+ *                  tracked flows (cumulative_infections, ..., see TRACKED in models.js), daily incidence and Rt
+ */
+const collectColumns = ({ series, model, groups, population, cumulative, incidence, rt }) => {
+    const compartments = [...model.compartments, ...model.substages].map(({ key }) => ({ key, name: key.toUpperCase() }));
+    const columns = compartments.map(({ key, name }) => ({ name, values: series[key] }));
+
+    (groups || []).forEach((group, a) => {
+        compartments.forEach(({ key, name }) => {
+            if (series[`${key}_${a}`]) columns.push({ name: `${name} ${group}`, values: series[`${key}_${a}`] });
+        });
+    });
+
+    columns.push({ name: 'N', values: population });
+    Object.entries(cumulative).forEach(([name, values]) => columns.push({ name: `cumulative_${name}`, values }));
+    columns.push({ name: 'incidence', values: incidence });
+    columns.push({ name: 'Rt', values: rt });
+    return columns;
+};
+
+/**
+ * Formats a run as CSV with one row per day
+ *
+ * The file starts with comment lines (#) holding the parameters of the run, one per line as
+ * name: value (JSON for structured values), followed by a header row and the daily values.
+ * Compartments are proportions of the initial population; stochastic ensembles give their median curves.
+ *
+ * @param {Object} output - Output of simulate() or simulateStochastic() in model.js
+ * @param {Object} params - Parameters of the run
+ * @param {Object} metadata - Further name: value pairs for the header, such as the export time
+ * @returns {string} CSV text
+ */
+export const formatCsv = (output, params, metadata = {}) => {
+    const columns = collectColumns(output);
+    const lines = [
+        ...Object.entries(metadata).map(([name, value]) => `# ${name}: ${value}`),
+        ...Object.entries(params).map(([name, value]) =>
+            `# ${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`),
+        ['day', ...columns.map(({ name }) => name)].map(csvField).join(','),
+        ...Array.from(output.t, (day, ix) => [day, ...columns.map(({ values }) => values[ix])].join(','))
+    ];
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Formats a run as JSON {metadata, params, metrics, series}
+ *
+ * Series hold one array per column (proportions of the population, see formatCsv) plus the days.
+ *
+ * @param {Object} output - Output of simulate() or simulateStochastic() in model.js
+ * @param {Object} params - Parameters of the run
+ * @param {Object} metadata - Further values describing the export, such as its time
+ * @returns {string} JSON text
+ */
+export const formatJson = (output, params, metadata = {}) => {
+    const columns = collectColumns(output);
+    return JSON.stringify({
+        metadata,
+        params,
+        metrics: output.metrics,
+        series: {
+            day: Array.from(output.t),
+            ...Object.fromEntries(columns.map(({ name, values }) => [name, Array.from(values)]))
+        }
+    }, null, 2);
+};
+
+// ============================================================================
+// Figure Export
+// ============================================================================
+
+/**
+ * Copies an SVG element with the computed style of every element inlined
+ *
+ * The copy no longer depends on the page's stylesheets (or their CSS variables), and has an
+ * explicit size and a background, so it can be opened on its own or pasted into documents.
+ *
+ * @param {SVGElement} svg - Rendered SVG element
+ * @param {number} width - Width of the figure
+ * @param {number} height - Height of the figure
+ * @returns {string} Standalone SVG document
+ */
+export const standaloneSvg = (svg, width, height) => {
+    const copy = svg.cloneNode(true);
+    const sources = [svg, ...svg.querySelectorAll('*')];
+    const targets = [copy, ...copy.querySelectorAll('*')];
+    sources.forEach((source, ix) => {
+        const style = window.getComputedStyle(source);
+        const inline = EXPORT.STYLE_PROPERTIES
+            .map(property => [property, style.getPropertyValue(property)])
+            .filter(([, value]) => value !== '')
+            .map(([property, value]) => `${property}:${value}`)
+            .join(';');
+        targets[ix].setAttribute('style', inline);
+        targets[ix].removeAttribute('class');
+    });
+
+    copy.setAttribute('width', width);
+    copy.setAttribute('height', height);
+    copy.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    const background = window.document.createElementNS(EXPORT.SVG_NAMESPACE, 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', EXPORT.BACKGROUND);
+    copy.insertBefore(background, copy.firstChild);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new window.XMLSerializer().serializeToString(copy)}`;
+};
+
+/**
+ * Draws a standalone SVG onto a canvas and encodes it as PNG
+ *
+ * @param {string} svgText - Standalone SVG document (see standaloneSvg)
+ * @param {number} width - Width of the figure
+ * @param {number} height - Height of the figure
+ * @param {number} scale - Pixels per SVG unit, such as 2 for high-resolution displays and print
+ * @returns {Promise} Resolves to the PNG image as a Blob
+ */
+export const renderPng = (svgText, width, height, scale) => new Promise((resolve, reject) => {
+    const url = window.URL.createObjectURL(new window.Blob([svgText], { type: 'image/svg+xml' }));
+    const image = new window.Image();
+    image.onload = () => {
+        const canvas = window.document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.fillStyle = EXPORT.BACKGROUND;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        window.URL.revokeObjectURL(url);
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The figure could not be encoded as PNG')), 'image/png');
+    };
+    image.onerror = () => {
+        window.URL.revokeObjectURL(url);
+        reject(new Error('The figure could not be drawn'));
+    };
+    image.src = url;
+});
+
+/**
+ * Offers a file for download
+ *
+ * @param {Blob|string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type of text contents (default: 'text/plain')
+ */
+export const download = (content, filename, type = 'text/plain') => {
+    const blob = content instanceof window.Blob ? content : new window.Blob([content], { type });
+    const url = window.URL.createObjectURL(blob);
+    const link = window.document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    window.document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => window.URL.revokeObjectURL(url), 0);
+};
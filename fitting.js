@@ -0,0 +1,333 @@
+// Parameter estimation from observed case data
+//
+// This module parses case data, measures how well model predictions match the
+// observations (Poisson likelihood or least squares), minimises that loss with the
+// Nelder-Mead simplex method and derives approximate confidence intervals from the
+// curvature of the loss at its minimum. It knows nothing about the model itself:
+// predictions come from a callback.
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const FITTING = {
+    MAX_EVALUATIONS: 2000,            // Loss evaluations allowed per simplex search
+    RESTARTS: 2,                      // Simplex searches, each restarted from the previous best point
+    TOLERANCE: 1e-8,                  // Relative spread of the simplex losses at convergence
+    INITIAL_STEP: 0.5,                // Size of the initial simplex on the transformed scale
+    HESSIAN_STEP: 1e-3,               // Step of the central differences used for the Hessian
+    MIN_EXPECTED: 1e-9,               // Floor on expected counts in the Poisson likelihood
+    BOUND_MARGIN: 0.01,               // Share of the range between the bounds kept clear by starting values
+    BOUND_TOLERANCE: 1e-6,            // Share of the range within which an estimate counts as on a bound
+    Z_95: 1.959964,                   // Standard normal quantile of two-sided 95% intervals
+    MS_PER_DAY: 86400000              // Milliseconds per day, for converting dates to days
+};
+
+// Reflection, expansion, contraction and shrink coefficients of the simplex method
+const SIMPLEX = { REFLECT: 1, EXPAND: 2, CONTRACT: 0.5, SHRINK: 0.5 };
+
+/**
+ * Maps a parameter bounded by [lower, upper] onto the whole real line with a scaled logit,
+ * so the search is unconstrained but never leaves the bounds
+ */
+const boundedTransform = (lower, upper) => ({
+    forward: x => {
+        const margin = FITTING.BOUND_MARGIN;
+        const p = Math.min(Math.max((x - lower) / (upper - lower), margin), 1 - margin);
+        return Math.log(p / (1 - p));
+    },
+    inverse: z => lower + (upper - lower) / (1 + Math.exp(-z))
+});
+
+/**
+ * Loss functions comparing observed values y with expected values mu
+ *
+ * Each objective also gives the factor that turns the inverse Hessian of its loss into the
+ * covariance matrix of the estimates: the loss is the Poisson negative log-likelihood, or the
+ * sum of squares, which is a Gaussian negative log-likelihood times 2 sigma^2.
+ */
+export const OBJECTIVES = {
+    'poisson': {
+        loss: (y, mu) => y.reduce((sum, value, ix) => {
+            const expected = Math.max(mu[ix], FITTING.MIN_EXPECTED);
+            return sum + expected - value * Math.log(expected);
+        }, 0),
+        covarianceScale: () => 1
+    },
+    'least-squares': {
+        loss: (y, mu) => y.reduce((sum, value, ix) => sum + (value - mu[ix]) ** 2, 0),
+        covarianceScale: (loss, dof) => 2 * loss / Math.max(dof, 1)
+    }
+};
+
+// ============================================================================
+// Case Data
+// ============================================================================
+
+/**
+ * Parses CSV case data with one observation per line: day (or date), value
+ *
+ * Columns may be separated by commas, semicolons or tabs. A header row, blank lines and
+ * lines starting with # are skipped. Days are counted from the first date when the first
+ * column holds dates (such as 2020-03-01), and taken as given when it holds numbers.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array} Observations {day, value}, sorted by day
+ */
+export const parseCaseData = (text) => {
+    const rows = text.split(/\r?\n/)
+        .map((line, ix) => ({ line: ix + 1, cells: line.split(/[,;\t]/).map(cell => cell.trim()) }))
+        .filter(({ cells }) => cells.join('') !== '' && !cells[0].startsWith('#'));
+
+    // Skip a header row whose value column is not a number
+    if (rows.length > 0 && isNaN(parseFloat(rows[0].cells[1]))) rows.shift();
+    if (rows.length === 0) {
+        throw new Error('expected one "day, value" or "date, value" row per observation');
+    }
+
+    const useDates = isNaN(Number(rows[0].cells[0]));
+    const times = rows.map(({ line, cells }) => {
+        const time = useDates ? Date.parse(cells[0]) : Number(cells[0]);
+        if (cells.length < 2 || isNaN(time)) {
+            throw new Error(`line ${line}: expected a ${useDates ? 'date' : 'day'} and a value`);
+        }
+        return time;
+    });
+    const origin = Math.min(...times);
+
+    return rows.map(({ line, cells }, ix) => {
+        const value = Number(cells[1]);
+        if (cells[1] === '' || !(value >= 0)) {
+            throw new Error(`line ${line}: '${cells[1]}' is not a non-negative number`);
+        }
+        const day = useDates ? Math.round((times[ix] - origin) / FITTING.MS_PER_DAY) : times[ix];
+        if (!Number.isInteger(day) || day < 0) {
+            throw new Error(`line ${line}: '${cells[0]}' is not a whole, non-negative day`);
+        }
+        return { day, value };
+    }).sort((a, b) => a.day - b.day);
+};
+
+// ============================================================================
+// Optimisation
+// ============================================================================
+
+/**
+ * Minimises a function with the Nelder-Mead simplex method
+ *
+ * @param {Function} f - Function of a parameter array; non-finite values count as +Infinity
+ * @param {Array} x0 - Starting point
+ * @param {Object} options - Search settings
+ * @param {number} options.step - Size of the initial simplex along each axis (default: 0.5)
+ * @param {number} options.tolerance - Relative spread of the losses at convergence (default: 1e-8)
+ * @param {number} options.maxEvaluations - Function evaluations allowed (default: 2000)
+ * @returns {Object} {x, value, evaluations, converged}
+ */
+export const nelderMead = (f, x0, {
+    step = FITTING.INITIAL_STEP, tolerance = FITTING.TOLERANCE, maxEvaluations = FITTING.MAX_EVALUATIONS
+} = {}) => {
+    let evaluations = 0;
+    const evaluate = x => {
+        evaluations++;
+        const value = f(x);
+        return Number.isFinite(value) ? value : Infinity;
+    };
+    const combine = (a, b, weight) => a.map((value, ix) => value + weight * (b[ix] - value));
+
+    // Initial simplex: the starting point and one step along each axis
+    let simplex = [x0, ...x0.map((_, axis) => x0.map((value, ix) => ix === axis ? value + step : value))]
+        .map(x => ({ x, value: evaluate(x) }));
+
+    let converged = false;
+    while (evaluations < maxEvaluations) {
+        simplex.sort((a, b) => a.value - b.value);
+        const best = simplex[0];
+        const worst = simplex[simplex.length - 1];
+        if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) {
+            converged = true;
+            break;
+        }
+
+        // Centroid of every point except the worst
+        const others = simplex.slice(0, -1);
+        const centroid = x0.map((_, ix) => others.reduce((sum, point) => sum + point.x[ix], 0) / others.length);
+
+        const reflected = combine(centroid, worst.x, -SIMPLEX.REFLECT);
+        const reflectedValue = evaluate(reflected);
+        if (reflectedValue < best.value) {
+            const expanded = combine(centroid, worst.x, -SIMPLEX.EXPAND);
+            const expandedValue = evaluate(expanded);
+            simplex[simplex.length - 1] = expandedValue < reflectedValue
+                ? { x: expanded, value: expandedValue }
+                : { x: reflected, value: reflectedValue };
+            continue;
+        }
+        if (reflectedValue < others[others.length - 1].value) {
+            simplex[simplex.length - 1] = { x: reflected, value: reflectedValue };
+            continue;
+        }
+
+        // Contract towards the better of the worst and reflected points
+        const outside = reflectedValue < worst.value;
+        const contracted = combine(centroid, outside ? reflected : worst.x, SIMPLEX.CONTRACT);
+        const contractedValue = evaluate(contracted);
+        if (contractedValue < Math.min(reflectedValue, worst.value)) {
+            simplex[simplex.length - 1] = { x: contracted, value: contractedValue };
+            continue;
+        }
+
+        // Shrink every point towards the best one
+        simplex = simplex.map((point, ix) => {
+            if (ix === 0) return point;
+            const x = combine(best.x, point.x, SIMPLEX.SHRINK);
+            return { x, value: evaluate(x) };
+        });
+    }
+
+    simplex.sort((a, b) => a.value - b.value);
+    return { x: simplex[0].x, value: simplex[0].value, evaluations, converged };
+};
+
+/**
+ * Approximates the Hessian of a function by central differences
+ */
+const hessian = (f, x, h = FITTING.HESSIAN_STEP) => {
+    const shifted = (shifts) => f(x.map((value, ix) => value + (shifts[ix] || 0) * h));
+    const centre = f(x);
+    return x.map((_, j) => x.map((_, k) => {
+        if (j === k) {
+            return (shifted({ [j]: 1 }) - 2 * centre + shifted({ [j]: -1 })) / (h * h);
+        }
+        return (shifted({ [j]: 1, [k]: 1 }) - shifted({ [j]: 1, [k]: -1 })
+            - shifted({ [j]: -1, [k]: 1 }) + shifted({ [j]: -1, [k]: -1 })) / (4 * h * h);
+    }));
+};
+
+/**
+ * Inverts a square matrix by Gauss-Jordan elimination with partial pivoting
+ * @returns {Array|null} Inverse matrix, or null if the matrix is singular
+ */
+export const invert = (matrix) => {
+    const n = matrix.length;
+    const a = matrix.map((row, i) => [...row, ...row.map((_, j) => i === j ? 1 : 0)]);
+    for (let col = 0; col < n; col++) {
+        const pivot = a.reduce((best, row, ix) =>
+            ix >= col && Math.abs(row[col]) > Math.abs(a[best][col]) ? ix : best, col);
+        if (!(Math.abs(a[pivot][col]) > 0)) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        const scale = a[col][col];
+        a[col] = a[col].map(value => value / scale);
+        a.forEach((row, ix) => {
+            if (ix === col) return;
+            const factor = row[col];
+            a[ix] = row.map((value, j) => value - factor * a[col][j]);
+        });
+    }
+    return a.map(row => row.slice(n));
+};
+
+// ============================================================================
+// Fitting
+// ============================================================================
+
+/**
+ * Measures how closely expected values match the observations
+ * @returns {Object} Root mean square error, coefficient of determination and Poisson deviance
+ */
+const goodnessOfFit = (y, mu) => {
+    const mean = y.reduce((sum, value) => sum + value, 0) / y.length;
+    const squares = y.reduce((sum, value, ix) => sum + (value - mu[ix]) ** 2, 0);
+    const total = y.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+    const deviance = 2 * y.reduce((sum, value, ix) => {
+        const expected = Math.max(mu[ix], FITTING.MIN_EXPECTED);
+        return sum + (value > 0 ? value * Math.log(value / expected) : 0) - (value - expected);
+    }, 0);
+    return {
+        rmse: Math.sqrt(squares / y.length),
+        r_squared: total > 0 ? 1 - squares / total : null,
+        deviance
+    };
+};
+
+/**
+ * Estimates parameters by minimising the loss between observations and predictions
+ *
+ * Parameters are searched on a logit scale between their bounds. Approximate 95% confidence
+ * intervals come from the inverse Hessian of the loss on that scale and are transformed back, so
+ * they stay within the bounds. They are null when the loss is flat or not convex at the minimum,
+ * for example when a parameter is not identifiable or an estimate sits on a bound.
+ *
+ * @param {Object} problem - Fitting problem
+ * @param {Array} problem.observed - Observed values
+ * @param {Array} problem.parameters - Estimated parameters {name, value, lower, upper}, value being the starting point
+ * @param {Function} problem.predict - Returns the expected value of each observation given {name: value}
+ * @param {string} problem.objective - 'poisson' (observations are counts) or 'least-squares' (default: 'poisson')
+ * @returns {Object} Estimates {name: {value, lower, upper, at_bound}}, goodness of fit, loss evaluations and convergence
+ */
+export const fitModel = ({ observed, parameters, predict, objective = 'poisson' }) => {
+    if (!(objective in OBJECTIVES)) {
+        throw new Error(`Unknown objective '${objective}'`);
+    }
+    if (parameters.length === 0) {
+        throw new Error('Choose at least one parameter to fit');
+    }
+    if (observed.length <= parameters.length) {
+        throw new Error(`Fitting ${parameters.length} parameters needs more than ${parameters.length} observations`);
+    }
+    parameters.forEach(({ name, lower, upper }) => {
+        if (!(lower < upper)) throw new Error(`Invalid bounds [${lower}, ${upper}] for ${name}`);
+    });
+
+    const { loss, covarianceScale } = OBJECTIVES[objective];
+    const transforms = parameters.map(({ lower, upper }) => boundedTransform(lower, upper));
+    const toValues = z => Object.fromEntries(parameters.map(({ name }, ix) => [name, transforms[ix].inverse(z[ix])]));
+    const lossAt = z => {
+        try {
+            return loss(observed, predict(toValues(z)));
+        } catch (error) {
+            return Infinity;  // Parameters the model rejects
+        }
+    };
+
+    // Minimise, restarting the simplex from the best point found so far
+    let search = { x: parameters.map(({ value }, ix) => transforms[ix].forward(value)) };
+    let evaluations = 0;
+    for (let run = 0; run < FITTING.RESTARTS; run++) {
+        search = nelderMead(lossAt, search.x);
+        evaluations += search.evaluations;
+    }
+    if (!Number.isFinite(search.value)) {
+        throw new Error('The model could not reproduce the data for any parameters tried');
+    }
+
+    // Approximate covariance on the transformed scale
+    const dof = observed.length - parameters.length;
+    const inverse = invert(hessian(lossAt, search.x));
+    const scale = covarianceScale(search.value, dof);
+
+    const values = toValues(search.x);
+    const estimates = Object.fromEntries(parameters.map(({ name, lower, upper }, ix) => {
+        const value = values[name];
+        const position = (value - lower) / (upper - lower);
+        const at_bound = position < FITTING.BOUND_TOLERANCE || position > 1 - FITTING.BOUND_TOLERANCE;
+        const variance = inverse ? scale * inverse[ix][ix] : NaN;
+        if (at_bound || !(variance > 0) || !Number.isFinite(variance)) {
+            return [name, { value, lower: null, upper: null, at_bound }];
+        }
+        const halfWidth = FITTING.Z_95 * Math.sqrt(variance);
+        return [name, {
+            value,
+            lower: transforms[ix].inverse(search.x[ix] - halfWidth),
+            upper: transforms[ix].inverse(search.x[ix] + halfWidth),
+            at_bound
+        }];
+    }));
+
+    return {
+        estimates,
+        goodness: { objective, loss: search.value, dof, ...goodnessOfFit(observed, predict(values)) },
+        evaluations,
+        converged: search.converged
+    };
+};
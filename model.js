@@ -0,0 +1,1810 @@
+// SEIRS model and solvers
+//
+// This module holds the epidemiological model and its numerical solvers, free of any
+// DOM or plotting code, so it runs unchanged in the browser and in Node. Solvers take a
+// single options object and return the daily time vector with raw Float64Array series
+// (proportions of the population); scaling and formatting for display are left to callers.
+// The compartments and flows come from a declarative model (see models.js), SEIRS by default.
+
+import { GillespieSimulator, TauLeapSimulator, runEnsemble } from './stochastic.js';
+import { analyseEquilibria } from './analysis.js';
+import { fitModel } from './fitting.js';
+import { rankCorrelationAnalysis, oneAtATimeAnalysis, gridSweep } from './sensitivity.js';
+import { CompartmentalModel, DEFAULT_MODEL, TRACKED, HEALTHCARE_OPTIONS, CAPACITY_PEOPLE } from './models.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const MODEL = {
+    DAYS_PER_YEAR: 365,               // Conversion factor for yearly rates to daily rates
+    RK4: {
+        WEIGHT_MIDDLE: 2,             // Weight for k2 and k3 in RK4 formula
+        WEIGHT_DIVISOR: 6,            // Divisor in RK4 weighted average
+        HALF_STEP: 0.5                // Half step size for intermediate RK4 calculations
+    },
+    DOPRI5: {
+        // Butcher tableau of the Dormand-Prince 5(4) method (row j holds the a_jk coefficients)
+        A: [
+            [],
+            [1 / 5],
+            [3 / 40, 9 / 40],
+            [44 / 45, -56 / 15, 32 / 9],
+            [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+            [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+            [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+        ],
+        C: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+        // 5th-order weights (identical to the last row of A)
+        B: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+        // Difference between 5th- and 4th-order weights, used for the error estimate
+        E: [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40],
+        // Coefficients of the 4th-order continuous extension (Hairer & Wanner)
+        DENSE: [
+            -12715105075 / 11282082432, 0, 87487479700 / 32700410799, -10690763975 / 1880347072,
+            701980252875 / 199316789632, -1453857185 / 822651844, 69997945 / 29380423
+        ]
+    },
+    STEP_CONTROL: {
+        SAFETY: 0.9,                  // Safety factor applied to the optimal step size
+        MIN_FACTOR: 0.2,              // Largest allowed shrinking of the step size
+        MAX_FACTOR: 5,                // Largest allowed growth of the step size
+        ORDER: 5                      // Order used in the step size exponent
+    },
+    FADE_OUT_PREVALENCE: 0.001,       // Default infectious share below which an epidemic counts as over
+    ARRIVAL_PREVALENCE: 0.001,        // Share of a region exposed or infectious that marks the epidemic's arrival
+    MAX_STAGES: 20,                   // Most substages of the latent or infectious stage
+    BIRTH_RATE_PEOPLE: 1000,          // Birth rates are given per this many people per year
+    TRANSMISSION: ['density', 'frequency'],                        // How contacts scale with the living population
+    // Parameters that can be fitted to case data, with the bounds of the search [lower, upper]
+    FIT_PARAMETERS: {
+        R0: [0.1, 20],
+        latent_period: [0.5, 60],
+        infectious_period: [0.5, 60],
+        S0: [0, 1],
+        reporting_fraction: [0, 1]
+    },
+    // Parameters whose influence on the outcomes can be analysed (see sensitivity and sweep)
+    VARIED_PARAMETERS: [
+        'S0', 'R0', 'latent_period', 'infectious_period', 'death_onset',
+        'immunity_duration', 'life_expectancy', 'vaccination_rate'
+    ],
+    SENSITIVITY_METHODS: ['prcc', 'oat'],                          // Latin hypercube with PRCC, or one at a time
+    DEFAULT_SENSITIVITY_SAMPLES: 100, // Latin hypercube samples of a PRCC analysis
+    CASE_DATA_KINDS: ['incidence', 'prevalence'],                  // Daily new infections or current infectious
+    DEFAULT_FIT_POPULATION: 100000,   // Population size converting proportions into case counts
+    VACCINE_TYPES: ['all-or-nothing', 'leaky'],                    // Vaccine types of VaccinationProgram
+    SEASONAL_FORCING: ['sinusoidal', 'term-time'],                 // Profiles of SeasonalForcing
+    INTEGRATORS: ['rk4', 'dopri5']                                 // Deterministic integrators
+};
+
+// Stochastic engines selectable by name
+const STOCHASTIC_ENGINES = {
+    'gillespie': GillespieSimulator,
+    'tau-leap': TauLeapSimulator
+};
+
+// Outcomes of a run analysed by sensitivity() and sweep(), each read from the output of simulate()
+const RUN_OUTCOMES = {
+    peak_infectious: ({ metrics }) => metrics.peak_infectious,   // Largest infectious share
+    peak_day: ({ metrics }) => metrics.peak_day,                 // Day of that peak
+    final_size: ({ metrics }) => metrics.attack_rate,            // Infections per person over the run
+    disease_deaths: ({ metrics }) => metrics.disease_deaths,     // Disease deaths over the run, as a share
+    // Mean infectious share over the last year of the run (or the whole run, if shorter)
+    endemic_infectious: ({ series }) => {
+        const last = series.i.slice(-MODEL.DAYS_PER_YEAR);
+        return last.reduce((sum, value) => sum + value, 0) / last.length;
+    }
+};
+
+/**
+ * Default options of simulate() and simulateStochastic()
+ *
+ * Epidemiological values match the defaults of the interactive page. Structured settings
+ * (interventions, seasonality, vaccine, age_structure, metapopulation) are absent by default.
+ */
+export const DEFAULT_OPTIONS = {
+    model: DEFAULT_MODEL,             // Name of a built-in model or a model specification (see models.js)
+    S0: 0.99,                         // Initial proportion susceptible
+    R0: 3,                            // Basic reproduction number
+    latent_period: 7,                 // Days in exposed state
+    infectious_period: 14,            // Days in infectious state
+    n_days: 3000,                     // Days to simulate
+    death_onset: 0,                   // Days until disease-induced death (0 for none)
+    immunity_duration: 1,             // Years of immunity (0 for permanent)
+    life_expectancy: 76,              // Years of life expectancy
+    vaccination_rate: 0,              // Proportion vaccinated at birth and at t=0
+    latent_stages: 1,                 // Substages of the latent stage (1: exponentially distributed latent period)
+    infectious_stages: 1,             // Substages of the infectious stage (1: exponentially distributed infectious period)
+    birth_rate: 0,                    // Births per 1,000 people per year (0: births replace natural deaths)
+    transmission: 'density',          // 'density' or 'frequency'-dependent transmission (see SEIRTransitions.contactPopulation)
+    hospitalisation: 0,               // Share of infectious people admitted to hospital (0: no hospital care)
+    hospital_stay: 7,                 // Days in hospital before discharge or intensive care
+    icu_share: 0.25,                  // Share of hospital patients needing intensive care
+    icu_stay: 10,                     // Days in intensive care
+    icu_fatality: 0.3,                // Share of intensive care patients who die with a bed
+    overflow_fatality: 0.8,           // Share of intensive care patients who die without a bed
+    icu_capacity: 10,                 // Intensive care beds per 100,000 people
+    integrator: 'rk4',                // 'rk4' (fixed 1-day steps) or 'dopri5' (adaptive)
+    rtol: 1e-6,                       // Relative tolerance of the adaptive integrator
+    atol: 1e-9,                       // Absolute tolerance of the adaptive integrator
+    fade_out_threshold: MODEL.FADE_OUT_PREVALENCE,
+    population_size: 1000,            // Individuals in stochastic runs (the page also counts people in this population)
+    n_runs: 50,                       // Realisations per stochastic ensemble
+    seed: 1,                          // Random seed of stochastic ensembles
+    method: 'tau-leap'                // Stochastic engine, 'gillespie' or 'tau-leap'
+};
+
+// ============================================================================
+// Validation Utilities
+// ============================================================================
+
+/**
+ * Validates input parameters for the SEIR model
+ */
+export class ParameterValidator {
+    /**
+     * Validates that a value is within a specified range
+     * @param {number} value - The value to validate
+     * @param {number} min - Minimum allowed value
+     * @param {number} max - Maximum allowed value
+     * @param {string} name - Parameter name for error messages
+     */
+    static validateRange(value, min, max, name) {
+        if (value < min || value > max) {
+            throw new Error(`${name} must be between ${min} and ${max}`);
+        }
+    }
+
+    /**
+     * Validates that a value is a finite number
+     * @param {*} value - The value to validate
+     * @param {string} name - Parameter name for error messages
+     */
+    static validateNumber(value, name) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`${name} must be a number`);
+        }
+    }
+
+    /**
+     * Validates that a value is positive (> 0)
+     * @param {number} value - The value to validate
+     * @param {string} name - Parameter name for error messages
+     */
+    static validatePositive(value, name) {
+        if (value <= 0) {
+            throw new Error(`${name} must be positive`);
+        }
+    }
+
+    /**
+     * Validates that a value is a whole number within a specified range
+     * @param {number} value - The value to validate
+     * @param {number} min - Minimum allowed value
+     * @param {number} max - Maximum allowed value
+     * @param {string} name - Parameter name for error messages
+     */
+    static validateWholeNumber(value, min, max, name) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`${name} must be a whole number between ${min} and ${max}`);
+        }
+    }
+
+    /**
+     * Validates that a value is non-negative (>= 0)
+     * @param {number} value - The value to validate
+     * @param {string} name - Parameter name for error messages
+     */
+    static validateNonNegative(value, name) {
+        if (value < 0) {
+            throw new Error(`${name} must be non-negative`);
+        }
+    }
+}
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Clamps a value between min and max bounds
+ * Used to ensure compartment values stay in valid range [0,1]
+ * 
+ * @param {number} value - The value to clamp
+ * @param {number} min - Minimum allowed value (default: 0)
+ * @param {number} max - Maximum allowed value (default: 1)
+ * @returns {number} Clamped value between min and max
+ */
+export const clamp = (value, min = 0, max = 1) => Math.max(min, Math.min(max, value));
+
+// ============================================================================
+// SEIR Model Core
+// ============================================================================
+
+/**
+ * Calculates the rate parameters for the SEIR model
+ * 
+ * Model parameters:
+ * - beta: Transmission rate (contact rate × probability of transmission), from the model's parameters
+ * - sigma: Rate of progression from exposed to infectious (1/latent_period)
+ * - gamma: Recovery rate (1/infectious_period)
+ * - alpha: Disease-induced death rate (1/death_onset)
+ * - mu: Natural death rate (1/life_expectancy), also the birth rate when births replace natural deaths
+ * - omega: Immunity waning rate (1/immunity_duration)
+ * - b: Births per person per day (birth_rate / 1000 per year), or 0 when births replace natural deaths
+ */
+class SEIRParameters {
+    /**
+     * @param {Object} config - Solver options
+     * @param {CompartmentalModel} model - Model whose parameters give beta (default: SEIRS)
+     */
+    constructor(config, model = CompartmentalModel.from()) {
+        const { R0, infectious_period, latent_period, death_onset, immunity_duration, life_expectancy, birth_rate = 0 } = config;
+        
+        // Basic reproduction number (kept so that structured models can recalibrate beta)
+        this.R0 = R0;
+        
+        // Disease-induced death rate (0 if death_onset is 0, meaning no disease-induced deaths)
+        this.alpha = death_onset > 0 ? 1 / death_onset : 0;
+        
+        // Recovery rate (1/days to recover)
+        this.gamma = 1 / infectious_period;
+        
+        // Immunity waning rate (convert years to days, 0 if immunity_duration is 0, meaning permanent immunity)
+        this.omega = immunity_duration > 0 ? 1 / (MODEL.DAYS_PER_YEAR * immunity_duration) : 0;
+        
+        // Natural death/birth rate (convert years to days)
+        this.mu = 1 / (MODEL.DAYS_PER_YEAR * life_expectancy);
+        
+        // Rate of progression from exposed to infectious
+        this.sigma = 1 / latent_period;
+
+        // Births per person per day (convert per 1,000 people per year, 0 if births replace natural deaths)
+        this.b = birth_rate / (MODEL.BIRTH_RATE_PEOPLE * MODEL.DAYS_PER_YEAR);
+
+        // Whether infectious contacts are spread over the living population rather than its initial size
+        this.frequency = config.transmission === 'frequency';
+        
+        // Transmission rate calculated from R0 and other parameters by the model
+        // (for SEIRS, R0 = beta * sigma / ((sigma + mu) * (gamma + mu + alpha)))
+        this.model = model;
+        this.inputs = {
+            ...Object.fromEntries(MODEL.VARIED_PARAMETERS.map(name => [name, config[name]])),
+            ...Object.fromEntries(HEALTHCARE_OPTIONS.map(name => [name, config[name]])),
+            latent_stages: config.latent_stages,
+            infectious_stages: config.infectious_stages,
+            sigma: this.sigma, gamma: this.gamma, alpha: this.alpha, omega: this.omega, mu: this.mu
+        };
+        this.values = model.parameters(this.inputs);
+        this.beta = this.values.beta;
+    }
+
+    /**
+     * Expected days an infected person spends infectious, so that R0 = beta * infectiousTime()
+     * (the model's beta must be proportional to R0)
+     * @param {number} alpha - Disease-induced death rate (default: this.alpha)
+     * @returns {number} Days infectious per infection
+     */
+    infectiousTime(alpha = this.alpha) {
+        return 1 / this.model.parameters({ ...this.inputs, R0: 1, alpha }).beta;
+    }
+
+    /**
+     * Share of the population that must be immune for transmission to decline: 1 - 1/R0
+     * @returns {number} Herd immunity threshold (0 when R0 <= 1)
+     */
+    herdImmunityThreshold() {
+        return this.R0 > 1 ? 1 - 1 / this.R0 : 0;
+    }
+}
+
+/**
+ * Time-varying reduction of transmission from non-pharmaceutical interventions
+ * 
+ * Each intervention reduces beta by a fraction between its start and end day, optionally
+ * ramping in linearly over ramp_in days and ramping out over ramp_out days before its end.
+ * Overlapping interventions combine multiplicatively: beta(t) = beta * prod(1 - reduction_k * intensity_k(t))
+ */
+export class InterventionSchedule {
+    /**
+     * @param {Array} interventions - List of {start, end, reduction, ramp_in, ramp_out}
+     *                                (days, days, fraction 0-1, days, days)
+     */
+    constructor(interventions = []) {
+        if (!Array.isArray(interventions)) {
+            throw new Error('Interventions must be a list');
+        }
+        interventions.forEach((intervention) => {
+            if (!intervention || typeof intervention !== 'object') {
+                throw new Error('Each intervention must be an object with start, end and reduction');
+            }
+            const { start, end, reduction, ramp_in = 0, ramp_out = 0 } = intervention;
+            ParameterValidator.validateNumber(start, 'Intervention start day');
+            ParameterValidator.validateNumber(end, 'Intervention end day');
+            ParameterValidator.validateNumber(reduction, 'Intervention reduction');
+            ParameterValidator.validateNumber(ramp_in, 'Intervention ramp-in');
+            ParameterValidator.validateNumber(ramp_out, 'Intervention ramp-out');
+            ParameterValidator.validateNonNegative(start, 'Intervention start day');
+            ParameterValidator.validatePositive(end - start, 'Intervention duration');
+            ParameterValidator.validateRange(reduction, 0, 1, 'Intervention reduction');
+            ParameterValidator.validateNonNegative(ramp_in, 'Intervention ramp-in');
+            ParameterValidator.validateNonNegative(ramp_out, 'Intervention ramp-out');
+        });
+        this.interventions = interventions;
+    }
+
+    /**
+     * Whether the schedule leaves beta unchanged at all times
+     * @returns {boolean} True without interventions
+     */
+    constant() {
+        return this.interventions.length === 0;
+    }
+
+    /**
+     * Strength of one intervention at time t, from 0 (inactive) to 1 (fully in force)
+     */
+    static intensity({ start, end, ramp_in = 0, ramp_out = 0 }, t) {
+        if (t < start || t > end) return 0;
+        const rampIn = ramp_in > 0 ? (t - start) / ramp_in : 1;
+        const rampOut = ramp_out > 0 ? (end - t) / ramp_out : 1;
+        return clamp(Math.min(rampIn, rampOut));
+    }
+
+    /**
+     * Multiplier applied to beta at time t
+     * @param {number} t - Time in days
+     * @returns {number} Factor between 0 and 1
+     */
+    factor(t) {
+        return this.interventions.reduce(
+            (product, intervention) =>
+                product * (1 - intervention.reduction * InterventionSchedule.intensity(intervention, t)),
+            1
+        );
+    }
+}
+
+/**
+ * Seasonal forcing of transmission
+ * 
+ * Sinusoidal:  beta(t) = beta * (1 + a * cos(2*pi*(t - peak_day) / period))
+ * Term-time:   beta(t) = beta * (1 + a) for the half of each period centred on peak_day
+ *              (school terms), and beta * (1 - a) for the other half (holidays)
+ * 
+ * Both profiles average to 1 over a period, so beta calibrated from R0 remains the mean transmission rate.
+ */
+class SeasonalForcing {
+    /**
+     * @param {Object} seasonality - {type, amplitude, period, peak_day}
+     *                               ('sinusoidal' or 'term-time', fraction 0-1, days, day of peak)
+     */
+    constructor({ type = 'sinusoidal', amplitude = 0, period = MODEL.DAYS_PER_YEAR, peak_day = 0 } = {}) {
+        if (!MODEL.SEASONAL_FORCING.includes(type)) {
+            throw new Error(`Unknown seasonal forcing '${type}'`);
+        }
+        ParameterValidator.validateRange(amplitude, 0, 1, 'Seasonal amplitude');
+        ParameterValidator.validatePositive(period, 'Seasonal period');
+        ParameterValidator.validateNonNegative(peak_day, 'Seasonal peak day');
+
+        this.type = type;
+        this.amplitude = amplitude;
+        this.period = period;
+        this.peak_day = peak_day;
+    }
+
+    /**
+     * Whether the forcing leaves beta unchanged at all times
+     * @returns {boolean} True without seasonal variation
+     */
+    constant() {
+        return this.amplitude === 0;
+    }
+
+    /**
+     * Multiplier applied to beta at time t
+     * @param {number} t - Time in days
+     * @returns {number} Factor between 1 - amplitude and 1 + amplitude
+     */
+    factor(t) {
+        if (this.constant()) return 1;
+        const phase = Math.cos(2 * Math.PI * (t - this.peak_day) / this.period);
+        return this.type === 'term-time'
+            ? 1 + this.amplitude * (phase >= 0 ? 1 : -1)
+            : 1 + this.amplitude * phase;
+    }
+}
+
+/**
+ * Vaccination of newborns and of susceptibles into a separate Vaccinated (V) compartment
+ * 
+ * A fraction p of births is vaccinated, and from start_day onwards a campaign vaccinates
+ * susceptibles at campaign_rate per day. Vaccine efficacy works in one of two ways:
+ * - all-or-nothing: only the fraction `efficacy` of vaccinees enters V, and is fully protected
+ * - leaky: every vaccinee enters V, and is infected at (1 - efficacy) times the normal rate
+ * Vaccine-derived immunity wanes back to S at rate omega_v (1/immunity_duration).
+ */
+class VaccinationProgram {
+    /**
+     * @param {number} vaccination_rate - Proportion vaccinated at birth and at t=0 (0-1)
+     * @param {Object} vaccine - {campaign_rate, efficacy, type, immunity_duration, start_day}
+     *                           (per day, fraction 0-1, 'all-or-nothing' or 'leaky', years, day);
+     *                           immunity_duration defaults to 1 year like the page, 0 for permanent
+     */
+    constructor(vaccination_rate, {
+        campaign_rate = 0, efficacy = 1, type = 'all-or-nothing', immunity_duration = 1, start_day = 0
+    } = {}) {
+        ParameterValidator.validateRange(campaign_rate, 0, 1, 'Vaccination campaign rate');
+        ParameterValidator.validateRange(efficacy, 0, 1, 'Vaccine efficacy');
+        ParameterValidator.validateNonNegative(immunity_duration, 'Vaccine immunity duration');
+        ParameterValidator.validateNonNegative(start_day, 'Vaccination campaign start day');
+        if (!MODEL.VACCINE_TYPES.includes(type)) {
+            throw new Error(`Unknown vaccine type '${type}'`);
+        }
+
+        this.vaccination_rate = vaccination_rate;
+        this.campaign_rate = campaign_rate;
+        this.start_day = start_day;
+
+        // Fraction of vaccinees that enter V
+        this.protected_share = type === 'all-or-nothing' ? efficacy : 1;
+
+        // Susceptibility of V relative to S
+        this.relative_susceptibility = type === 'leaky' ? 1 - efficacy : 0;
+
+        // Vaccine immunity waning rate (convert years to days, 0 if immunity is permanent)
+        this.omega_v = immunity_duration > 0 ? 1 / (MODEL.DAYS_PER_YEAR * immunity_duration) : 0;
+    }
+
+    /**
+     * Per-capita rate at which susceptibles move to V at time t
+     * @param {number} t - Time in days
+     * @returns {number} Rate per day
+     */
+    campaignRate(t) {
+        return t >= this.start_day ? this.campaign_rate * this.protected_share : 0;
+    }
+}
+
+/**
+ * Largest eigenvalue of a non-negative square matrix, by power iteration
+ * 
+ * @param {Array} matrix - Square matrix with non-negative entries
+ * @param {number} tolerance - Relative change at which iteration stops (default: 1e-12)
+ * @param {number} maxIterations - Maximum number of iterations (default: 10000)
+ * @returns {number} Dominant eigenvalue (spectral radius)
+ */
+const dominantEigenvalue = (matrix, tolerance = 1e-12, maxIterations = 10000) => {
+    let vector = matrix.map(() => 1);
+    let eigenvalue = 0;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const next = matrix.map(row => row.reduce((sum, value, ix) => sum + value * vector[ix], 0));
+        const norm = Math.max(...next);
+        if (norm === 0) return 0;
+
+        vector = next.map(value => value / norm);
+        if (Math.abs(norm - eigenvalue) <= tolerance * norm) return norm;
+        eigenvalue = norm;
+    }
+
+    return eigenvalue;
+};
+
+/**
+ * Builds the transmission modifiers that make beta time-varying
+ * @param {Object} options - Solver options with optional interventions and seasonality
+ * @returns {Array} Modifiers for SEIRTransitions
+ */
+const createTransmissionModifiers = ({ interventions = [], seasonality = {} }) => [
+    new SeasonalForcing(seasonality),
+    new InterventionSchedule(interventions)
+];
+
+/**
+ * Calculates the rate of change (derivatives) of every compartment of a model
+ * 
+ * Each flow of the model (see models.js) is subtracted from its source compartment and added to its
+ * destination. For the default SEIRS model:
+ * dS/dt = -beta*S*I + omega*R + omega_v*V - nu(t)*S - mu*S + mu*(1-p*q)
+ * dE/dt = beta*(S + eps*V)*I - sigma*E - mu*E
+ * dI/dt = sigma*E - gamma*I - (mu+alpha)*I
+ * dR/dt = gamma*I - omega*R - mu*R
+ * dV/dt = nu(t)*S + mu*p*q - eps*beta*V*I - omega_v*V - mu*V
+ * 
+ * where p is the vaccination rate, q the share of vaccinees entering V, nu(t) the campaign
+ * rate and eps the relative susceptibility of V (see VaccinationProgram). beta may vary over
+ * time through transmission modifiers such as SeasonalForcing and an InterventionSchedule.
+ * 
+ * Compartments are shares of the initial population. Births replace natural deaths at rate mu
+ * unless a birth rate b is set, when b*N people are born per day into a living population N that
+ * grows or shrinks (see births); I is divided by N for frequency-dependent transmission.
+ */
+class SEIRTransitions {
+    /**
+     * @param {SEIRParameters} params - Model rates
+     * @param {VaccinationProgram} vaccination - Vaccination of births and susceptibles
+     * @param {Array} modifiers - Objects with a factor(t) method that scale beta at time t
+     */
+    constructor(params, vaccination, modifiers = []) {
+        this.params = params;
+        this.vaccination = vaccination;
+        this.modifiers = modifiers;
+        this.model = params.model;
+        this.compartments = this.model.keys.slice();
+        this.infected = this.model.infected;
+        this.keyedFlows = new Map();  // Flows with the keys of each group (see flowKeys)
+
+        // Values of the names that rate expressions use and that stay fixed along a run
+        const { vaccination_rate: p, protected_share: q, relative_susceptibility: eps, omega_v } = vaccination;
+        this.constants = { ...params.values, beta: params.beta, p, q, eps, omega_v };
+    }
+
+    /**
+     * Effective transmission rate at time t
+     * @param {number} t - Time in days
+     * @returns {number} beta scaled by all transmission modifiers
+     */
+    transmissionRate(t) {
+        return this.modifiers.reduce((beta, modifier) => beta * modifier.factor(t), this.params.beta);
+    }
+
+    /**
+     * Calculates every flow between compartments at current state
+     * Births have no source compartment and deaths have no destination (null).
+     * New infections and disease-induced deaths are tagged with a type, for epidemic metrics, and
+     * every flow lists the accumulated totals it adds to (see AccumulatingTransitions).
+     * The stochastic engines use these flows directly as event rates.
+     * @param {...number} args - Proportions ordered like this.compartments, followed by the time in days (default: 0)
+     * @returns {Array} Flows {from, to, rate, tracked}, with rates in proportion of the population per day
+     */
+    calculateFlows(...args) {
+        const width = this.compartments.length;
+        const t = args.length > width ? args[width] : 0;
+        const state = args.slice(0, width);
+        const infectious = this.model.infectious.reduce((sum, ix) => sum + state[ix], 0);
+        return this.compartmentFlows(state, this.transmissionRate(t) * infectious / this.contactPopulation(state), t);
+    }
+
+    /**
+     * Population over which the infectious contacts of a group are spread: its living population for
+     * frequency-dependent transmission, or its initial size for density-dependent transmission, where
+     * contacts grow and shrink with the population
+     * @param {Array} state - Proportions of the group, ordered like the model's compartments
+     * @param {number} share - The group's share of the initial population (default: whole population)
+     * @returns {number} Share of the initial population
+     */
+    contactPopulation(state, share = 1) {
+        return this.params.frequency ? this.model.livingPopulation(state) : share;
+    }
+
+    /**
+     * Births per day into a group: b times its living population n, or mu times its initial size when
+     * births replace natural deaths (keeping the population constant without disease deaths)
+     * @param {number} n - The group's living population, as a share of the initial population
+     * @param {number} share - The group's share of the initial population
+     * @returns {number} Births as a share of the initial population per day
+     */
+    births(n, share) {
+        return this.params.b > 0 ? this.params.b * n : this.params.mu * share;
+    }
+
+    /**
+     * Calculates the flows of one population, or of one group within a structured population
+     * @param {Array} state - Proportions of the group, ordered like the model's compartments
+     * @param {number} lambda - Force of infection on the group (per day)
+     * @param {number} t - Time in days
+     * @param {Object} group - Suffix of the group's compartment keys, its share of births and
+     *                         its disease-induced death rate (default: whole population)
+     * @returns {Array} Flows {from, to, rate, tracked}, with rates in proportion of the population per day
+     *                  and the indices of the TRACKED totals each flow adds to (see models.js)
+     */
+    compartmentFlows(state, lambda, t, { suffix = '', share = 1, alpha = this.params.alpha } = {}) {
+        const nu = this.vaccination.campaignRate(t);
+        const n = this.model.livingPopulation(state);
+        const rates = this.model.flowRates(this.constants, state, { t, lambda, nu, share, births: this.births(n, share), n, alpha });
+
+        return this.flowKeys(suffix).map(({ from, to, type, tracked }, ix) => {
+            const flow = { from, to, rate: rates[ix], tracked };
+            if (type !== null) flow.type = type;
+            return flow;
+        });
+    }
+
+    /**
+     * The model's flows with the compartment keys of one group
+     * @param {string} suffix - Suffix of the group's compartment keys ('' for the whole population)
+     * @returns {Array} Flows {from, to, type, tracked}, built once per suffix
+     */
+    flowKeys(suffix) {
+        if (!this.keyedFlows.has(suffix)) {
+            this.keyedFlows.set(suffix, this.model.flows.map(({ from, to, type, tracked }) => ({
+                from: from === null ? null : `${from}${suffix}`,
+                to: to === null ? null : `${to}${suffix}`,
+                type,
+                tracked
+            })));
+        }
+        return this.keyedFlows.get(suffix);
+    }
+
+    /**
+     * Calculates derivatives for all compartments at current state
+     * Each flow is subtracted from its source and added to its destination.
+     * @param {...number} args - Proportions ordered like this.compartments, followed by the time in days
+     * @returns {Object} Derivatives keyed by 'd' + compartment key, such as {ds, de, di, dr, dv}
+     */
+    calculateDerivatives(...args) {
+        const derivatives = Object.fromEntries(this.compartments.map(key => [`d${key}`, 0]));
+
+        this.calculateFlows(...args).forEach(({ from, to, rate }) => {
+            if (from !== null) derivatives[`d${from}`] -= rate;
+            if (to !== null) derivatives[`d${to}`] += rate;
+        });
+
+        return derivatives;
+    }
+
+    /**
+     * Calculates derivatives as a vector ordered like this.compartments (used by the integrators)
+     * @param {Array} y - Current state, ordered like this.compartments
+     * @param {number} t - Time in days (default: 0)
+     * @returns {Array} Derivatives in the same order as y
+     */
+    derivativeVector(y, t = 0) {
+        const derivatives = this.calculateDerivatives(...y, t);
+        return this.compartments.map(key => derivatives[`d${key}`]);
+    }
+
+    /**
+     * Initial proportions at t=0, from the initial shares of the model
+     * (for SEIRS, protected vaccinees start in V and the non-susceptible remainder starts exposed)
+     *
+     * @param {number} S0 - Initial proportion susceptible (0-1)
+     * @returns {Array} Initial state, ordered like this.compartments
+     */
+    initialState(S0) {
+        return this.model.initialState({ ...this.constants, S0 });
+    }
+
+    /**
+     * Share of a population open to infection, each compartment weighted by its susceptibility:
+     * the rate of the infection flows for a force of infection of 1 (for SEIRS, S + eps*V)
+     * @param {Array} state - Proportions ordered like the model's compartments
+     * @param {number} t - Time in days
+     * @returns {number} Susceptible share
+     */
+    susceptibleShare(state, t) {
+        return this.compartmentFlows(state, 1, t)
+            .reduce((sum, flow) => flow.type === 'infection' ? sum + flow.rate : sum, 0);
+    }
+
+    /**
+     * Maps integrated series onto the output series keyed by compartment, adding the total of each
+     * stage split into substages (see CompartmentalModel.aggregate in models.js)
+     * @param {Array} series - One array per compartment, ordered like this.compartments
+     * @returns {Object} Series keyed by compartment
+     */
+    summarise(series) {
+        return this.model.aggregate(Object.fromEntries(this.compartments.map((key, ix) => [key, series[ix]])));
+    }
+
+    /**
+     * Living population on every day: the sum of the compartments of the living (in all groups)
+     * @param {Array} series - One array per compartment, ordered like this.compartments
+     * @returns {Float64Array} Living share of the initial population per day
+     */
+    livingPopulation(series) {
+        const width = this.model.keys.length;
+        const living = series.filter((_, ix) => this.model.living.includes(ix % width));
+        return Float64Array.from(series[0], (_, day) => living.reduce((sum, values) => sum + values[day], 0));
+    }
+
+    /**
+     * Why the run has no endemic equilibrium to report (see computeMetrics): the equilibria of the analysis
+     * hold for a homogeneous population with constant transmission
+     * @returns {string|null} Reason, or null when the endemic equilibrium of the analysis applies
+     */
+    equilibriumNote() {
+        const note = this.analysisNote();
+        if (note !== null) return note;
+        if (this.structure) return 'The endemic equilibrium is only known for a homogeneous population';
+        if (!this.modifiers.every(modifier => modifier.constant())) {
+            return 'The endemic equilibrium is only known for constant transmission';
+        }
+        return null;
+    }
+
+    /**
+     * Intensive care beds of the whole population
+     * @returns {number|null} Beds as a share of the initial population, or null without hospital care
+     *                        (see addHealthcare in models.js)
+     */
+    icuCapacity() {
+        return this.model.healthcare ? this.constants.icu_capacity / CAPACITY_PEOPLE : null;
+    }
+
+    /**
+     * Why the equilibria of this model cannot be analysed (see analyseEquilibria in analysis.js), which
+     * assumes the SEIRS equations with births replacing natural deaths, and with density-dependent
+     * transmission unless there are no disease deaths to shrink the population
+     * @returns {string|null} Reason, or null when the equilibria can be analysed
+     */
+    analysisNote() {
+        const { model, params } = this;
+        if (model.healthcare) return 'Equilibrium analysis is only available without hospital care';
+        if (!model.base.analysable) return `Equilibrium analysis is only available for the SEIRS model, not ${model.name}`;
+        if (!model.analysable) return 'Equilibrium analysis is only available for the SEIRS model with one latent and one infectious stage';
+        if (params.b > 0) return 'Equilibrium analysis is only available when births replace natural deaths';
+        if (params.frequency && params.alpha > 0) {
+            return 'Equilibrium analysis with disease deaths is only available for density-dependent transmission';
+        }
+        return null;
+    }
+}
+
+/**
+ * Population structure with K age groups mixing through a contact matrix
+ * 
+ * contacts[a][b] is the average number of daily contacts a person in group a has with
+ * people in group b. Group shares are normalised to sum to 1. Each group may have its own
+ * relative susceptibility and infection fatality ratio (IFR, null to use the death onset rate).
+ */
+export class AgeStructure {
+    /**
+     * @param {Object} structure - {groups: [{name, share, susceptibility, ifr}], contacts: K x K array}
+     */
+    constructor({ groups, contacts }) {
+        if (!groups || groups.length === 0) {
+            throw new Error('Age structure needs at least one group');
+        }
+        if (!contacts || contacts.length !== groups.length ||
+            contacts.some(row => row.length !== groups.length)) {
+            throw new Error(`Contact matrix must be ${groups.length} x ${groups.length}`);
+        }
+        groups.forEach(({ name, share, susceptibility = 1, ifr = null }) => {
+            ParameterValidator.validatePositive(share, `Population share of ${name}`);
+            ParameterValidator.validateNonNegative(susceptibility, `Susceptibility of ${name}`);
+            if (ifr !== null) {
+                ParameterValidator.validateRange(ifr, 0, 0.99, `Infection fatality ratio of ${name}`);
+            }
+        });
+        contacts.forEach(row => row.forEach(value => ParameterValidator.validateNonNegative(value, 'Contact rate')));
+
+        const total = groups.reduce((sum, group) => sum + group.share, 0);
+        this.names = groups.map(group => group.name);
+        this.shares = groups.map(group => group.share / total);
+        this.susceptibility = groups.map(group => group.susceptibility !== undefined ? group.susceptibility : 1);
+        this.ifr = groups.map(group => group.ifr !== undefined ? group.ifr : null);
+        this.contacts = contacts;
+        this.size = groups.length;
+    }
+
+    /**
+     * Disease-induced death rate of each group
+     * A group's IFR f is the chance of dying rather than recovering or dying naturally:
+     * f = alpha / (alpha + gamma + mu), so alpha = f * (gamma + mu) / (1 - f)
+     * @param {SEIRParameters} params - Model rates
+     * @returns {Array} alpha per group
+     */
+    deathRates({ alpha, gamma, mu }) {
+        return this.ifr.map(f => f === null ? alpha : f * (gamma + mu) / (1 - f));
+    }
+
+    /**
+     * Next-generation matrix for a transmission rate of 1
+     * K[a][b] = expected infections in group a caused by one infectious person in group b, over the
+     * time that person spends infectious (see SEIRParameters.infectiousTime)
+     * @param {SEIRParameters} params - Model rates
+     * @returns {Array} K x K matrix
+     */
+    nextGenerationMatrix(params) {
+        const infectiousTimes = this.deathRates(params).map(alpha => params.infectiousTime(alpha));
+        return this.shares.map((share_a, a) => this.shares.map((share_b, b) =>
+            this.susceptibility[a] * this.contacts[a][b] * share_a / share_b * infectiousTimes[b]));
+    }
+
+    /**
+     * Transmission rate that makes the dominant eigenvalue of the next-generation matrix equal R0
+     * @param {SEIRParameters} params - Model rates, including R0
+     * @returns {number} Calibrated beta
+     */
+    calibrateBeta(params) {
+        const radius = dominantEigenvalue(this.nextGenerationMatrix(params));
+        if (radius <= 0) {
+            throw new Error('Contact matrix and susceptibilities allow no transmission');
+        }
+        return params.R0 / radius;
+    }
+}
+
+/**
+ * Regions (patches) with their own populations and initial infections, coupled by commuting
+ * 
+ * mobility[a][b] is the fraction of time residents of patch a spend in patch b (a != b).
+ * The diagonal is derived as the time spent at home, so off-diagonal rows must sum to at most 1.
+ */
+export class Metapopulation {
+    /**
+     * @param {Object} metapopulation - {patches: [{name, population, infected}], mobility: K x K array}
+     *                                  where infected is the initially infected share of the patch
+     */
+    constructor({ patches, mobility }) {
+        if (!patches || patches.length === 0) {
+            throw new Error('Metapopulation needs at least one region');
+        }
+        if (!mobility || mobility.length !== patches.length ||
+            mobility.some(row => row.length !== patches.length)) {
+            throw new Error(`Mobility matrix must be ${patches.length} x ${patches.length}`);
+        }
+        patches.forEach(({ name, population, infected }) => {
+            ParameterValidator.validatePositive(population, `Population of ${name}`);
+            ParameterValidator.validateRange(infected, 0, 1, `Initially infected share of ${name}`);
+        });
+
+        const total = patches.reduce((sum, patch) => sum + patch.population, 0);
+        this.names = patches.map(patch => patch.name);
+        this.shares = patches.map(patch => patch.population / total);
+        this.infected = patches.map(patch => patch.infected);
+        this.size = patches.length;
+
+        // Complete each row with the time spent at home
+        this.mobility = mobility.map((row, a) => {
+            const away = row.reduce((sum, value, b) => b === a ? sum : sum + value, 0);
+            row.forEach((value, b) => {
+                if (b !== a) ParameterValidator.validateNonNegative(value, `Mobility from ${patches[a].name}`);
+            });
+            if (away > 1) {
+                throw new Error(`Residents of ${patches[a].name} cannot spend more than 100% of their time away`);
+            }
+            return row.map((value, b) => b === a ? 1 - away : value);
+        });
+
+        // Population present in each patch, counting commuters where they spend their time
+        this.present = this.shares.map((_, l) =>
+            this.mobility.reduce((sum, row, c) => sum + row[l] * this.shares[c], 0));
+    }
+
+    /**
+     * Disease-induced death rate of each patch (the same everywhere)
+     * @param {SEIRParameters} params - Model rates
+     * @returns {Array} alpha per patch
+     */
+    deathRates({ alpha }) {
+        return this.names.map(() => alpha);
+    }
+}
+
+/**
+ * Model transitions with one set of compartments per group of a structured population
+ * 
+ * Compartments are keyed by compartment and group index (s_0, e_0, ..., v_0, s_1, ...) and hold
+ * proportions of the whole population. Every group follows the model flows of SEIRTransitions,
+ * with a force of infection that subclasses derive from the infectious of all groups.
+ * Births enter each group in proportion to its share, so group sizes stay constant without disease deaths,
+ * or in proportion to its living population when a birth rate is set (see SEIRTransitions.births).
+ */
+class StructuredTransitions extends SEIRTransitions {
+    /**
+     * @param {SEIRParameters} params - Model rates
+     * @param {VaccinationProgram} vaccination - Vaccination of births and susceptibles
+     * @param {Array} modifiers - Objects with a factor(t) method that scale beta at time t
+     * @param {AgeStructure|Metapopulation} structure - Groups with names, shares and death rates
+     */
+    constructor(params, vaccination, modifiers, structure) {
+        super(params, vaccination, modifiers);
+        this.structure = structure;
+        this.alphas = structure.deathRates(params);
+        this.compartments = structure.names.flatMap((_, a) => this.model.keys.map(key => `${key}_${a}`));
+    }
+
+    /**
+     * Force of infection on each group (implemented by subclasses)
+     * @param {Array} state - Proportions ordered like this.compartments
+     * @param {number} t - Time in days
+     * @returns {Array} lambda per group
+     */
+    forceOfInfection(state, t) {
+        throw new Error(`${this.constructor.name} does not define a force of infection`);
+    }
+
+    /**
+     * Infectious proportion of the whole population in group a
+     */
+    infectious(state, a) {
+        const offset = a * this.model.keys.length;
+        return this.model.infectious.reduce((sum, ix) => sum + state[offset + ix], 0);
+    }
+
+    /**
+     * Population over which the infectious contacts of group a are spread (see SEIRTransitions.contactPopulation)
+     */
+    groupContactPopulation(state, a) {
+        const width = this.model.keys.length;
+        return this.contactPopulation(state.slice(a * width, (a + 1) * width), this.structure.shares[a]);
+    }
+
+    /**
+     * Calculates every flow between compartments at current state
+     * @param {...number} args - Proportions ordered like this.compartments, followed by the time in days
+     * @returns {Array} Flows {from, to, rate}, with rates in proportion of the population per day
+     */
+    calculateFlows(...args) {
+        const width = this.model.keys.length;
+        const t = args.length > this.compartments.length ? args[this.compartments.length] : 0;
+        const lambdas = this.forceOfInfection(args, t);
+
+        return this.structure.shares.flatMap((share, a) => this.compartmentFlows(
+            args.slice(a * width, (a + 1) * width),
+            lambdas[a],
+            t,
+            { suffix: `_${a}`, share, alpha: this.alphas[a] }
+        ));
+    }
+
+    /**
+     * Initial proportions, with every group starting like the whole population
+     * @param {number} S0 - Initial proportion susceptible (0-1)
+     * @returns {Array} Initial state, ordered like this.compartments
+     */
+    initialState(S0) {
+        const state = super.initialState(S0);
+        return this.structure.shares.flatMap(share => state.map(value => value * share));
+    }
+
+    /**
+     * Maps integrated series onto aggregate series summed over groups, keyed by the model's
+     * compartments, plus the series of each group keyed like this.compartments
+     * @param {Array} series - One array per compartment, ordered like this.compartments
+     * @returns {Object} Series keyed by compartment
+     */
+    summarise(series) {
+        const width = this.model.keys.length;
+        const length = series[0].length;
+        const output = Object.fromEntries(this.compartments.map((key, ix) => [key, series[ix]]));
+
+        this.model.keys.forEach((key, cx) => {
+            const total = new Float64Array(length);
+            for (let a = 0; a < this.structure.size; a++) {
+                const values = series[a * width + cx];
+                for (let day = 0; day < length; day++) total[day] += values[day];
+            }
+            output[key] = total;
+        });
+
+        // Stages split into substages, in total and in each group
+        this.model.aggregate(output);
+        this.structure.names.forEach((_, a) => this.model.aggregate(output, `_${a}`));
+        return output;
+    }
+}
+
+/**
+ * Model transitions with one set of compartments per age group
+ * 
+ * The force of infection on group a is
+ * lambda_a(t) = beta(t) * susceptibility_a * sum_b contacts[a][b] * I_b / share_b
+ * where beta is calibrated from R0 through the next-generation matrix (see AgeStructure), and the
+ * living population N_b of group b replaces share_b for frequency-dependent transmission.
+ */
+class AgeStructuredTransitions extends StructuredTransitions {
+    /**
+     * @param {SEIRParameters} params - Model rates (beta is recalibrated from R0)
+     * @param {VaccinationProgram} vaccination - Vaccination of births and susceptibles
+     * @param {Array} modifiers - Objects with a factor(t) method that scale beta at time t
+     * @param {AgeStructure} structure - Age groups and contact matrix
+     */
+    constructor(params, vaccination, modifiers, structure) {
+        // Copy the rates onto a new SEIRParameters so its methods remain available
+        const calibrated = Object.assign(Object.create(Object.getPrototypeOf(params)), params,
+            { beta: structure.calibrateBeta(params) });
+        super(calibrated, vaccination, modifiers, structure);
+    }
+
+    forceOfInfection(state, t) {
+        const { shares, susceptibility, contacts } = this.structure;
+        const beta = this.transmissionRate(t);
+
+        // Prevalence of infection within each group
+        const prevalence = shares.map((_, b) => this.infectious(state, b) / this.groupContactPopulation(state, b));
+
+        return contacts.map((row, a) =>
+            beta * susceptibility[a] * row.reduce((sum, c, b) => sum + c * prevalence[b], 0));
+    }
+}
+
+/**
+ * Model transitions with one set of compartments per region (patch) of a metapopulation
+ * 
+ * Residents of patch a spend a fraction mobility[a][l] of their time in patch l, where they mix
+ * with everyone present. The force of infection on residents of patch a is
+ * lambda_a(t) = beta(t) * sum_l mobility[a][l] * (sum_c mobility[c][l] * I_c) / (sum_c mobility[c][l] * N_c)
+ * with N_c the initial size of patch c, or its living population for frequency-dependent transmission.
+ * Every column of the next-generation matrix sums to the same value, so beta keeps its homogeneous R0.
+ */
+class MetapopulationTransitions extends StructuredTransitions {
+    forceOfInfection(state, t) {
+        const { mobility, present } = this.structure;
+        const beta = this.transmissionRate(t);
+
+        // Everyone present in each patch: its initial count, or the living for frequency-dependent transmission
+        let counts = present;
+        if (this.params.frequency) {
+            const living = mobility.map((_, c) => this.groupContactPopulation(state, c));
+            counts = present.map((_, l) => mobility.reduce((sum, row, c) => sum + row[l] * living[c], 0));
+        }
+
+        // Prevalence of infection among everyone present in each patch
+        const prevalence = counts.map((count, l) => count > 0
+            ? mobility.reduce((sum, row, c) => sum + row[l] * this.infectious(state, c), 0) / count
+            : 0);
+
+        return mobility.map(row => beta * row.reduce((sum, m, l) => sum + m * prevalence[l], 0));
+    }
+
+    /**
+     * Initial proportions, with infections seeded in each patch rather than set by S0: each patch
+     * starts like the whole population with S0 = 1 - its infected share (at most the unvaccinated share)
+     * @returns {Array} Initial state, ordered like this.compartments
+     */
+    initialState() {
+        const vaccinated = this.vaccination.vaccination_rate * this.vaccination.protected_share;
+        return this.structure.shares.flatMap((share, a) => {
+            const S0 = 1 - Math.min(this.structure.infected[a], 1 - vaccinated);
+            return this.model.initialState({ ...this.constants, S0 }).map(value => value * share);
+        });
+    }
+
+    /**
+     * Day on which the epidemic arrives in each patch, i.e. when the infected (such as the exposed
+     * and infectious) first make up MODEL.ARRIVAL_PREVALENCE of the patch population
+     * @param {Object} summary - Proportions keyed like this.compartments (see summarise)
+     * @returns {Array} Arrival day per patch, or null if the epidemic never arrives
+     */
+    arrivalTimes(summary) {
+        return this.structure.shares.map((share, a) => {
+            const infected = this.infected.map(key => summary[`${key}_${a}`]);
+            const day = infected[0].findIndex((_, ix) =>
+                infected.reduce((sum, values) => sum + values[ix], 0) >= MODEL.ARRIVAL_PREVALENCE * share);
+            return day >= 0 ? day : null;
+        });
+    }
+}
+
+/**
+ * Model transitions with the cumulative total of every TRACKED flow (new infections, cases,
+ * recoveries and deaths, see models.js) appended to the state, so that the integrators solve the
+ * totals together with the compartments rather than leaving the flows behind at each step
+ * 
+ * The state is ordered like transitions.compartments followed by one total per TRACKED name,
+ * each a share of the initial population starting from 0.
+ */
+class AccumulatingTransitions {
+    /**
+     * @param {SEIRTransitions} transitions - Model transitions
+     */
+    constructor(transitions) {
+        this.transitions = transitions;
+        this.width = transitions.compartments.length;
+        this.index = new Map(transitions.compartments.map((key, ix) => [key, ix]));
+        this.compartments = [...transitions.compartments, ...TRACKED];
+    }
+
+    /**
+     * Initial state: the model's initial proportions followed by totals of 0
+     * @param {number} S0 - Initial proportion susceptible (0-1)
+     * @returns {Array} Initial state, ordered like this.compartments
+     */
+    initialState(S0) {
+        return [...this.transitions.initialState(S0), ...TRACKED.map(() => 0)];
+    }
+
+    /**
+     * Calculates derivatives of the compartments and of the totals of the flows they track
+     * @param {Array} y - Current state, ordered like this.compartments
+     * @param {number} t - Time in days (default: 0)
+     * @returns {Array} Derivatives in the same order as y
+     */
+    derivativeVector(y, t = 0) {
+        const derivatives = new Array(y.length).fill(0);
+        this.transitions.calculateFlows(...y.slice(0, this.width), t).forEach(({ from, to, rate, tracked }) => {
+            if (from !== null) derivatives[this.index.get(from)] -= rate;
+            if (to !== null) derivatives[this.index.get(to)] += rate;
+            tracked.forEach(ix => { derivatives[this.width + ix] += rate; });
+        });
+        return derivatives;
+    }
+
+    /**
+     * Splits integrated series into those of the compartments and the totals keyed by TRACKED name
+     * @param {Array} series - One array per entry of the state, ordered like this.compartments
+     * @returns {Object} {compartments, cumulative}: arrays ordered like transitions.compartments, and totals by name
+     */
+    split(series) {
+        return {
+            compartments: series.slice(0, this.width),
+            cumulative: Object.fromEntries(TRACKED.map((name, ix) => [name, series[this.width + ix]]))
+        };
+    }
+}
+
+/**
+ * Runge-Kutta 4th order numerical integrator
+ * 
+ * RK4 is a high-accuracy method for solving ODEs:
+ * x(t+h) = x(t) + (h/6) * (k1 + 2*k2 + 2*k3 + k4)
+ * 
+ * where:
+ * k1 = f(x, t)
+ * k2 = f(x + 0.5*h*k1, t + 0.5*h)
+ * k3 = f(x + 0.5*h*k2, t + 0.5*h)
+ * k4 = f(x + h*k3, t + h)
+ * 
+ * The state is a vector ordered like transitions.compartments, so the same integrator
+ * serves the homogeneous and the structured (age groups, regions) models.
+ */
+class RK4Integrator {
+    constructor(transitions) {
+        this.transitions = transitions;
+    }
+
+    /**
+     * Performs one RK4 integration step
+     * @param {Array} state - Current state, ordered like transitions.compartments
+     * @param {number} h - Time step size
+     * @param {number} t - Time at the start of the step (default: 0)
+     * @returns {Array} New state in the same order
+     */
+    step(state, h, t = 0) {
+        const { HALF_STEP, WEIGHT_MIDDLE, WEIGHT_DIVISOR } = MODEL.RK4;
+
+        // Helper to move the state along a slope by a fraction of the step
+        const advance = (k, fraction) => state.map((x, ix) => x + fraction * h * k[ix]);
+
+        // k1: slope at beginning of interval
+        const k1 = this.transitions.derivativeVector(state, t);
+
+        // k2: slope at midpoint using k1
+        const k2 = this.transitions.derivativeVector(advance(k1, HALF_STEP), t + HALF_STEP * h);
+
+        // k3: slope at midpoint using k2
+        const k3 = this.transitions.derivativeVector(advance(k2, HALF_STEP), t + HALF_STEP * h);
+
+        // k4: slope at end of interval using k3
+        const k4 = this.transitions.derivativeVector(advance(k3, 1), t + h);
+
+        // Return new state using RK4 formula
+        return state.map((x, ix) =>
+            x + (h / WEIGHT_DIVISOR) * (k1[ix] + WEIGHT_MIDDLE * k2[ix] + WEIGHT_MIDDLE * k3[ix] + k4[ix]));
+    }
+}
+
+/**
+ * Dormand-Prince 5(4) adaptive integrator with error control
+ * 
+ * Each step evaluates seven stages and compares the 5th-order solution with an embedded
+ * 4th-order one. Steps whose estimated error exceeds the tolerance are rejected and retried
+ * with a smaller step; accepted steps grow the step size. The last stage of one step is the
+ * first stage of the next (FSAL), and a 4th-order continuous extension is used to read the
+ * solution off at whole days without forcing the step size to 1 day.
+ * 
+ * Error norm per step: sqrt(mean((err_k / (atol + rtol * max(|y_k|, |y_new_k|)))^2)) <= 1
+ */
+class DormandPrinceIntegrator {
+    constructor(transitions, { rtol = 1e-6, atol = 1e-9, initialStep = 0.1, maxStep = Infinity } = {}) {
+        ParameterValidator.validatePositive(rtol, 'Relative tolerance');
+        ParameterValidator.validatePositive(atol, 'Absolute tolerance');
+
+        this.transitions = transitions;
+        this.rtol = rtol;
+        this.atol = atol;
+        this.initialStep = initialStep;
+        this.maxStep = maxStep;
+    }
+
+    /**
+     * Integrates from day 0 to day n and samples the solution at every whole day
+     * @param {Array} y0 - Initial state, ordered like transitions.compartments
+     * @param {number} n - Number of days to integrate
+     * @returns {Object} {series, stats} with one Float64Array of length n + 1 per compartment,
+     *                   and step statistics {steps, rejected, evaluations}
+     */
+    integrate(y0, n) {
+        const { A, C, B, E, DENSE } = MODEL.DOPRI5;
+        const { SAFETY, MIN_FACTOR, MAX_FACTOR, ORDER } = MODEL.STEP_CONTROL;
+        const dim = y0.length;
+        const series = y0.map(value => {
+            const values = new Float64Array(n + 1);
+            values[0] = value;
+            return values;
+        });
+        const stats = { steps: 0, rejected: 0, evaluations: 1 };
+
+        // Weighted sum y + h * sum(coefs[j] * k[j]) over the stages computed so far
+        const combine = (y, h, coefs, k) => y.map((value, ix) =>
+            value + h * coefs.reduce((sum, coef, j) => sum + coef * k[j][ix], 0));
+
+        let t = 0;
+        let y = y0.slice();
+        let f = this.transitions.derivativeVector(y, t);
+        let h = Math.min(this.initialStep, this.maxStep, n);
+        let nextDay = 1;
+
+        while (t < n) {
+            h = Math.min(h, n - t);
+
+            // Stages k1..k7 (k1 reused from the previous step)
+            const k = [f];
+            for (let stage = 1; stage < 7; stage++) {
+                k.push(this.transitions.derivativeVector(combine(y, h, A[stage], k), t + C[stage] * h));
+            }
+            stats.evaluations += 6;
+
+            // 5th-order solution (stage 7 is evaluated at it) and embedded error estimate
+            const yNew = combine(y, h, B, k);
+            let errorSum = 0;
+            for (let ix = 0; ix < dim; ix++) {
+                const error = h * E.reduce((sum, coef, j) => sum + coef * k[j][ix], 0);
+                const scale = this.atol + this.rtol * Math.max(Math.abs(y[ix]), Math.abs(yNew[ix]));
+                errorSum += (error / scale) ** 2;
+            }
+            const errorNorm = Math.sqrt(errorSum / dim);
+
+            // Step size update from the error estimate
+            const factor = errorNorm === 0
+                ? MAX_FACTOR
+                : clamp(SAFETY * errorNorm ** (-1 / ORDER), MIN_FACTOR, MAX_FACTOR);
+
+            if (errorNorm > 1) {
+                stats.rejected++;
+                h *= Math.min(1, factor);
+                continue;
+            }
+
+            // Dense output: sample every whole day within (t, t + h]
+            const tNew = t + h;
+            while (nextDay <= n && nextDay <= tNew + 1e-12) {
+                const theta = (nextDay - t) / h;
+                const theta1 = 1 - theta;
+                for (let ix = 0; ix < dim; ix++) {
+                    const diff = yNew[ix] - y[ix];
+                    const bspl = h * k[0][ix] - diff;
+                    const dense = h * DENSE.reduce((sum, coef, j) => sum + coef * k[j][ix], 0);
+                    series[ix][nextDay] = y[ix] + theta * (diff + theta1 * (bspl + theta * (diff - h * k[6][ix] - bspl + theta1 * dense)));
+                }
+                nextDay++;
+            }
+
+            stats.steps++;
+            t = tNew;
+            y = yNew;
+            f = k[6];
+            h = Math.min(h * factor, this.maxStep);
+        }
+
+        return { series, stats };
+    }
+}
+
+// ============================================================================
+// SEIR Solver
+// ============================================================================
+
+/**
+ * Validates the epidemiological inputs shared by all solvers
+ */
+const validateModelInputs = ({ S0, n, ...rates }) => {
+    ParameterValidator.validatePositive(n, 'Number of time steps');
+    ParameterValidator.validateRange(S0, 0, 1, 'Initial susceptibility');
+    validateRates(rates);
+};
+
+/**
+ * Validates the epidemiological parameters shared by every solver
+ */
+const validateRates = ({
+    R0, latent_period, infectious_period, death_onset, immunity_duration, life_expectancy, vaccination_rate,
+    latent_stages, infectious_stages, birth_rate, transmission,
+    hospitalisation, hospital_stay, icu_share, icu_stay, icu_fatality, overflow_fatality, icu_capacity
+}) => {
+    ParameterValidator.validatePositive(R0, 'R0');
+    ParameterValidator.validatePositive(infectious_period, 'Infectious period');
+    ParameterValidator.validatePositive(latent_period, 'Latent period');
+    ParameterValidator.validateNonNegative(immunity_duration, 'Immunity duration');
+    ParameterValidator.validatePositive(life_expectancy, 'Life expectancy');
+    ParameterValidator.validateNonNegative(death_onset, 'Death onset');
+    ParameterValidator.validateRange(vaccination_rate, 0, 1, 'Vaccination rate');
+    ParameterValidator.validateWholeNumber(latent_stages, 1, MODEL.MAX_STAGES, 'Latent stages');
+    ParameterValidator.validateWholeNumber(infectious_stages, 1, MODEL.MAX_STAGES, 'Infectious stages');
+    ParameterValidator.validateNonNegative(birth_rate, 'Birth rate');
+    if (!MODEL.TRANSMISSION.includes(transmission)) {
+        throw new Error(`Unknown transmission '${transmission}'; choose one of ${MODEL.TRANSMISSION.join(', ')}`);
+    }
+    ParameterValidator.validateRange(hospitalisation, 0, 1, 'Hospitalisation');
+    ParameterValidator.validatePositive(hospital_stay, 'Hospital stay');
+    ParameterValidator.validateRange(icu_share, 0, 1, 'ICU share');
+    ParameterValidator.validatePositive(icu_stay, 'ICU stay');
+    ParameterValidator.validateRange(icu_fatality, 0, 1, 'ICU fatality');
+    ParameterValidator.validateRange(overflow_fatality, 0, 1, 'Overflow fatality');
+    ParameterValidator.validateNonNegative(icu_capacity, 'ICU capacity');
+};
+
+/**
+ * Sets up the transitions for the chosen model structure
+ * 
+ * @param {SEIRParameters} params - Model rates
+ * @param {VaccinationProgram} vaccination - Vaccination settings
+ * @param {Object} options - Solver options (interventions, seasonality, age_structure, metapopulation)
+ * @returns {SEIRTransitions} Homogeneous, age-structured or metapopulation transitions
+ */
+const createTransitions = (params, vaccination, options) => {
+    const modifiers = createTransmissionModifiers(options);
+    if (options.age_structure && options.metapopulation) {
+        throw new Error('Choose either an age structure or a metapopulation');
+    }
+    if (options.age_structure) {
+        return new AgeStructuredTransitions(params, vaccination, modifiers, new AgeStructure(options.age_structure));
+    }
+    if (options.metapopulation) {
+        return new MetapopulationTransitions(params, vaccination, modifiers, new Metapopulation(options.metapopulation));
+    }
+    return new SEIRTransitions(params, vaccination, modifiers);
+};
+
+/**
+ * Describes the model and the groups of a structured model for the output
+ * 
+ * @param {SEIRTransitions} transitions - Model transitions
+ * @param {Object} summary - Proportions keyed by compartment (see SEIRTransitions.summarise)
+ * @returns {Object} The model (see CompartmentalModel.describe, with whether the equilibria of the run can be
+ *                   analysed and why not as analysis_note), group names and shares (null when homogeneous) and
+ *                   arrival days of each region
+ */
+const describeGroups = (transitions, summary) => {
+    const note = transitions.analysisNote();
+    return {
+        model: { ...transitions.model.describe(), analysable: note === null, analysis_note: note },
+        groups: transitions.structure ? transitions.structure.names : null,
+        shares: transitions.structure ? transitions.structure.shares : null,
+        arrival: transitions.arrivalTimes ? transitions.arrivalTimes(summary) : null
+    };
+};
+
+/**
+ * Computes summary metrics of a run from its daily states
+ * 
+ * Infections and disease-induced deaths are read from the running totals of the tracked flows, and the
+ * daily incidence is the increase in total infections over each day (0 on day 0). The effective reproduction number is
+ * Rt = R0 * beta(t)/beta * susceptible share (S + eps*V for SEIRS, see SEIRTransitions.susceptibleShare),
+ * using population totals in structured models. The endemic equilibrium is that of the equilibrium analysis
+ * (see analyseEquilibria in analysis.js), which accounts for vaccination; it is only known for the homogeneous
+ * SEIRS model with constant transmission (see SEIRTransitions.equilibriumNote).
+ * With hospital care, the peaks of hospital (h + c) and intensive care (c) occupancy and the days with more
+ * patients in intensive care than beds are counted; these metrics are null without it.
+ * 
+ * @param {SEIRTransitions} transitions - Model transitions
+ * @param {SEIRParameters} params - Model rates
+ * @param {Array} series - One array per compartment, ordered like transitions.compartments
+ * @param {Object} summary - Aggregate proportions keyed by compartment (see SEIRTransitions.summarise)
+ * @param {Object} cumulative - Running totals keyed by TRACKED name, as proportions (see AccumulatingTransitions)
+ * @param {number} threshold - Infectious share below which the epidemic counts as over
+ * @returns {Object} Metrics (proportions and days), the daily Rt series and the daily incidence
+ *                   (new infections per day, as a proportion of the population)
+ */
+const computeMetrics = (transitions, params, summary, cumulative, threshold) => {
+    const n = summary.i.length - 1;
+    const { infections, disease_deaths } = cumulative;
+
+    // Peak of the infectious curve
+    const peakDay = summary.i.reduce((best, value, day) => value > summary.i[best] ? day : best, 0);
+
+    // New infections on each day
+    const incidence = Float64Array.from(infections, (total, day) => day === 0 ? 0 : total - infections[day - 1]);
+
+    // First day after the peak with the infectious share below the threshold
+    const fadeOutDay = summary.i.findIndex((value, day) => day >= peakDay && value < threshold);
+
+    // Occupancy of hospital and intensive care beds
+    const capacity = transitions.icuCapacity();
+    const icuPeakDay = capacity === null ? null : summary.c.reduce((best, value, day) => value > summary.c[best] ? day : best, 0);
+
+    // Long-run state, keyed by compartment (null when disease-free or unknown)
+    const equilibriumNote = transitions.equilibriumNote();
+    const endemic = equilibriumNote === null ? analyseEquilibria(transitions).endemic : null;
+
+    const rt = summary.i.map((_, day) => params.R0 * transitions.transmissionRate(day) / transitions.params.beta
+        * transitions.susceptibleShare(transitions.model.keys.map(key => summary[key][day]), day));
+
+    return {
+        metrics: {
+            peak_infectious: summary.i[peakDay],
+            peak_day: peakDay,
+            attack_rate: infections[n],
+            annual_attack_rate: n >= MODEL.DAYS_PER_YEAR ? infections[n] - infections[n - MODEL.DAYS_PER_YEAR] : null,
+            disease_deaths: disease_deaths[n],
+            fade_out_day: fadeOutDay >= 0 ? fadeOutDay : null,
+            fade_out_threshold: threshold,
+            herd_immunity_threshold: params.herdImmunityThreshold(),
+            endemic_equilibrium: endemic && Object.fromEntries(transitions.compartments.map((key, ix) => [key, endemic.state[ix]])),
+            endemic_equilibrium_note: equilibriumNote,
+            peak_hospital: capacity === null ? null : summary.h.reduce((peak, value, day) => Math.max(peak, value + summary.c[day]), 0),
+            peak_icu: capacity === null ? null : summary.c[icuPeakDay],
+            peak_icu_day: icuPeakDay,
+            icu_capacity: capacity,
+            days_over_capacity: capacity === null ? null : summary.c.filter(value => value > capacity).length
+        },
+        rt,
+        incidence
+    };
+};
+
+/**
+ * Integrates with fixed 1-day RK4 steps
+ * Negative values are clamped to 0 after every step, so no error estimate is available.
+ * 
+ * @param {RK4Integrator} integrator - Fixed-step integrator
+ * @param {Array} y0 - Initial state, ordered like the integrator's compartments
+ * @param {number} n - Number of days to integrate
+ * @returns {Object} {series, stats} in the same shape as DormandPrinceIntegrator.integrate()
+ */
+const integrateFixedStep = (integrator, y0, n) => {
+    // Initialize state arrays (use Float64Array for performance)
+    const series = y0.map(() => new Float64Array(n + 1));
+    y0.forEach((value, ix) => { series[ix][0] = value; });
+
+    const timeStep = 1.0;  // 1 day per step
+    for (let day = 0; day < n; day++) {
+        const next = integrator.step(series.map(values => values[day]), timeStep, day * timeStep);
+
+        // Clamp negative values from numerical errors (shares exceed 1 only in a growing population)
+        next.forEach((value, ix) => { series[ix][day + 1] = clamp(value, 0, Infinity); });
+    }
+
+    return { series, stats: { steps: n, rejected: 0, evaluations: 4 * n } };
+};
+
+
+/**
+ * Sets up the model rates, vaccination and transitions for a set of solver options
+ * 
+ * @param {Object} settings - Solver options completed with DEFAULT_OPTIONS
+ * @returns {Object} {params, transitions}
+ */
+const createModel = (settings) => {
+    const params = new SEIRParameters(settings, CompartmentalModel.from(settings.model).withHealthcare(settings).withStages(settings));
+    const vaccination = new VaccinationProgram(settings.vaccination_rate, settings.vaccine);
+    return { params, transitions: createTransitions(params, vaccination, settings) };
+};
+
+/**
+ * Days 0, 1, ..., n at which every output series is sampled
+ */
+const timeVector = (n) => Float64Array.from({ length: n + 1 }, (_, day) => day);
+
+/**
+ * Deterministic solver for the SEIRS model, or any other compartmental model (see models.js)
+ * 
+ * @param {Object} options - Model and solver settings; omitted settings take their value from DEFAULT_OPTIONS
+ * @param {string|Object} options.model - Name of a built-in model ('sir', 'sis', 'seir', 'seird' or 'seirs')
+ *                                        or a model specification (see CompartmentalModel in models.js)
+ * @param {number} options.S0 - Initial proportion susceptible (0-1)
+ * @param {number} options.R0 - Basic reproduction number
+ * @param {number} options.latent_period - Days in exposed state
+ * @param {number} options.infectious_period - Days in infectious state
+ * @param {number} options.n_days - Number of days to simulate
+ * @param {number} options.death_onset - Days until disease-induced death (0 for none)
+ * @param {number} options.immunity_duration - Years of immunity (0 for permanent)
+ * @param {number} options.life_expectancy - Years of life expectancy
+ * @param {number} options.vaccination_rate - Proportion vaccinated at birth and at t=0 (0-1)
+ * @param {number} options.latent_stages - Substages of the latent stage, giving an Erlang-distributed latent period
+ *                                         with the same mean (default: 1, exponentially distributed)
+ * @param {number} options.infectious_stages - Substages of the infectious stage (default: 1)
+ * @param {number} options.birth_rate - Births per 1,000 people per year, proportional to the living population
+ *                                      (default: 0, births replace natural deaths)
+ * @param {string} options.transmission - 'density' (default) or 'frequency'-dependent transmission, i.e. whether
+ *                                        infectious contacts are spread over the initial or the living population
+ * @param {number} options.hospitalisation - Share of people leaving the infectious compartment who are admitted to
+ *                                           hospital instead of recovering (default: 0, no hospital care; see
+ *                                           addHealthcare in models.js for hospital_stay, icu_share, icu_stay,
+ *                                           icu_fatality, overflow_fatality and icu_capacity)
+ * @param {Array} options.interventions - Periods of reduced transmission (see InterventionSchedule, default: none)
+ * @param {Object} options.seasonality - Seasonal forcing {type, amplitude, period, peak_day} (see SeasonalForcing, default: none)
+ * @param {Object} options.vaccine - Vaccine and campaign settings (see VaccinationProgram, default: no campaign)
+ * @param {Object} options.age_structure - Age groups and contact matrix (see AgeStructure, default: homogeneous)
+ * @param {Object} options.metapopulation - Regions and mobility matrix (see Metapopulation, default: homogeneous);
+ *                                          regions seed their own infections, so S0 is not used
+ * @param {string} options.integrator - 'rk4' (fixed 1-day steps) or 'dopri5' (adaptive)
+ * @param {number} options.rtol - Relative tolerance of the adaptive integrator
+ * @param {number} options.atol - Absolute tolerance of the adaptive integrator
+ * @param {number} options.fade_out_threshold - Infectious share below which the epidemic counts as over
+ * @returns {Object} {t, series, population, cumulative, incidence, rt, metrics, model, groups, shares, arrival, stats}:
+ *                   the days 0..n_days, one Float64Array of proportions of the initial population per output series (one per
+ *                   compartment of the model, such as s, e, i, r, v, plus s_0, e_0, ... for each group when
+ *                   structured, and e1, e2, ... for each substage of a split stage, whose total is e), the living
+ *                   population as a proportion of the initial population, the running totals of new infections,
+ *                   cases, recoveries, disease and natural deaths since day 0 as proportions of the initial
+ *                   population (keyed by TRACKED name, see models.js), daily new infections as
+ *                   proportions of the population, daily Rt, epidemic metrics (see computeMetrics), the model's
+ *                   name and compartments, group names, shares and arrival days (null when homogeneous) and
+ *                   integrator statistics
+ */
+export const simulate = (options = {}) => {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { S0, n_days: n, integrator: method, rtol, atol, fade_out_threshold } = settings;
+
+    // Validate all input parameters
+    validateModelInputs({ ...settings, n });
+    if (!MODEL.INTEGRATORS.includes(method)) {
+        throw new Error(`Unknown integrator '${method}'`);
+    }
+
+    // Setup model components
+    const { params, transitions } = createModel(settings);
+
+    // Integrate over time with the chosen integrator, accumulating the tracked flows
+    const accumulating = new AccumulatingTransitions(transitions);
+    const y0 = accumulating.initialState(S0);
+    const integrated = method === 'dopri5'
+        ? new DormandPrinceIntegrator(accumulating, { rtol, atol }).integrate(y0, n)
+        : integrateFixedStep(new RK4Integrator(accumulating), y0, n);
+    const { compartments: series, cumulative } = accumulating.split(integrated.series);
+
+    const summary = transitions.summarise(series);
+    return {
+        t: timeVector(n),
+        series: summary,
+        population: transitions.livingPopulation(series),
+        cumulative,
+        ...describeGroups(transitions, summary),
+        ...computeMetrics(transitions, params, summary, cumulative, fade_out_threshold),
+        stats: { integrator: method, ...integrated.stats }
+    };
+};
+
+/**
+ * Stochastic ensemble solver for the SEIRS model
+ * 
+ * Runs n_runs independent realisations in a population of population_size individuals,
+ * using the same rates as simulate(). Returns the median trajectory of each series
+ * with 50% and 90% quantile bands, and how often the epidemic died out before a major outbreak
+ * (see runEnsemble in stochastic.js). The initial infected share must amount to at least one individual.
+ * 
+ * @param {Object} options - Model settings as for simulate() (the integrator settings are not used), plus:
+ * @param {number} options.population_size - Number of individuals N
+ * @param {number} options.n_runs - Number of realisations
+ * @param {number} options.seed - Random seed for reproducibility
+ * @param {string} options.method - 'gillespie' or 'tau-leap'
+ * @param {Function} options.onProgress - Called with the fraction of runs completed after each run (default: none)
+ * @returns {Object} {t, series, bands, population, cumulative, incidence, rt, metrics, model, groups, shares, arrival,
+ *                   extinction}: as for simulate(), with the median of every series and running total, the
+ *                   quantile bands {inner, outer} of every series as
+ *                   [lower, upper] pairs of Float64Arrays, metrics of the median run and extinction statistics
+ */
+export const simulateStochastic = (options = {}) => {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { S0, n_days: n, population_size, n_runs, seed, method, fade_out_threshold, onProgress = null } = settings;
+
+    // Validate all input parameters
+    validateModelInputs({ ...settings, n });
+    ParameterValidator.validatePositive(population_size, 'Population size');
+    ParameterValidator.validatePositive(n_runs, 'Number of runs');
+    if (!(method in STOCHASTIC_ENGINES)) {
+        throw new Error(`Unknown stochastic method '${method}'`);
+    }
+
+    // Setup model components
+    const { params, transitions } = createModel(settings);
+    const simulator = new STOCHASTIC_ENGINES[method](transitions, population_size);
+
+    // Convert initial proportions to whole individuals
+    const initial = transitions.initialState(S0)
+        .map(x => Math.max(0, Math.round(x * population_size)));
+    const seeded = transitions.summarise(initial.map(count => [count]));
+    if (transitions.infected.every(key => seeded[key][0] === 0)) {
+        throw new Error(`No one is infected at the start: the initial infected share rounds to 0 of ${population_size} individuals`);
+    }
+
+    const { extinction, cumulative, ...ensemble } = runEnsemble(simulator, initial, n, n_runs, seed, onProgress);
+
+    const medians = Object.fromEntries(Object.entries(ensemble).map(([key, { median }]) => [key, median]));
+    const totals = Object.fromEntries(Object.entries(cumulative).map(([key, { median }]) => [key, median]));
+    return {
+        t: timeVector(n),
+        series: medians,
+        bands: Object.fromEntries(Object.entries(ensemble).map(([key, { inner, outer }]) => [key, { inner, outer }])),
+        population: transitions.livingPopulation(transitions.compartments.map(key => medians[key])),
+        cumulative: totals,
+        ...describeGroups(transitions, medians),
+        ...computeMetrics(transitions, params, medians, totals, fade_out_threshold),
+        extinction
+    };
+};
+
+/**
+ * Equilibrium and stability analysis of the homogeneous SEIRS model with constant transmission
+ * 
+ * @param {Object} options - Epidemiological settings as for simulate() (R0, latent_period, infectious_period,
+ *                           death_onset, immunity_duration, life_expectancy, vaccination_rate); omitted settings
+ *                           take their value from DEFAULT_OPTIONS; the model must be the built-in SEIRS with
+ *                           one latent and one infectious stage, births replacing natural deaths and, with
+ *                           disease deaths, density-dependent transmission (see SEIRTransitions.analysisNote)
+ * @param {Object} options.vaccine - Vaccine and campaign settings (see VaccinationProgram, default: no campaign);
+ *                                   a campaign is assumed to be under way
+ * @returns {Object} Disease-free and endemic equilibria with Jacobians, eigenvalues and stability,
+ *                   plus the inter-epidemic period and damping time and the epidemic threshold on S
+ *                   (see analyseEquilibria in analysis.js)
+ */
+export const analyse = (options = {}) => {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    validateRates(settings);
+    const params = new SEIRParameters(settings, CompartmentalModel.from(settings.model).withHealthcare(settings).withStages(settings));
+    const vaccination = new VaccinationProgram(settings.vaccination_rate, settings.vaccine);
+    const transitions = new SEIRTransitions(params, vaccination);
+    const note = transitions.analysisNote();
+    if (note !== null) {
+        throw new Error(note);
+    }
+    return analyseEquilibria(transitions);
+};
+
+/**
+ * Fits model parameters to observed case data
+ * 
+ * Observations are daily new infections (incidence) or the number currently infectious (prevalence).
+ * The expected observation on day t is reporting_fraction * population * x(t), where x(t) is the
+ * share of the population given by simulate(). The chosen parameters are estimated by minimising the
+ * Poisson negative log-likelihood or the sum of squares with the Nelder-Mead method (see fitModel in
+ * fitting.js); all others are held at their given values. Day 0 of the data is day 0 of the simulation.
+ * Each prediction is integrated with the adaptive integrator, since the search may try short periods
+ * that fixed 1-day steps cannot resolve.
+ * 
+ * @param {Array} data - Observations {day, value} (see parseCaseData in fitting.js)
+ * @param {Object} values - Epidemiological parameters by name (S0, R0, latent_period, infectious_period,
+ *                          death_onset, immunity_duration, life_expectancy, vaccination_rate; see simulate()) and
+ *                          reporting_fraction (default: 1); fitted parameters start from these values
+ * @param {Object} options - Fitting settings
+ * @param {Array} options.parameters - Names of the parameters to estimate (see MODEL.FIT_PARAMETERS)
+ * @param {string} options.kind - 'incidence' or 'prevalence' (default: 'incidence')
+ * @param {string} options.objective - 'poisson' or 'least-squares' (default: 'poisson')
+ * @param {number} options.population - Population size converting proportions into counts (default: 100000)
+ * @param {Object} options.solver - Model options passed on to simulate(), such as interventions or seasonality (default: none)
+ * @returns {Object} Best-fit parameter values, estimates with 95% confidence intervals, goodness of fit
+ *                   (loss, RMSE, R² and Poisson deviance), loss evaluations and convergence
+ */
+export const fit = (data, values, options = {}) => {
+    const {
+        parameters = [], kind = 'incidence', objective = 'poisson',
+        population = MODEL.DEFAULT_FIT_POPULATION, solver = {}
+    } = options;
+
+    ParameterValidator.validatePositive(population, 'Population size');
+    if (!MODEL.CASE_DATA_KINDS.includes(kind)) {
+        throw new Error(`Unknown kind of case data '${kind}'`);
+    }
+    parameters.forEach(name => {
+        if (!(name in MODEL.FIT_PARAMETERS)) throw new Error(`Parameter '${name}' cannot be fitted`);
+    });
+    if (data.length === 0) {
+        throw new Error('No case data to fit');
+    }
+
+    const fixed = { reporting_fraction: 1, ...values };
+    const n = Math.max(1, ...data.map(({ day }) => day));
+
+    // Expected observations given the estimated parameters
+    const predict = estimated => {
+        const p = { ...fixed, ...estimated };
+        const output = simulate({ ...solver, ...p, n_days: n, integrator: 'dopri5' });
+        const series = kind === 'incidence' ? output.incidence : output.series.i;
+        const scale = p.reporting_fraction * population;
+        return data.map(({ day }) => scale * series[day]);
+    };
+
+    // Start the reporting fraction where it best scales the starting curve
+    const observed = data.map(({ value }) => value);
+    if (parameters.includes('reporting_fraction')) {
+        const expected = predict({ reporting_fraction: 1 });
+        const scale = objective === 'poisson'
+            ? observed.reduce((sum, y) => sum + y, 0) / expected.reduce((sum, mu) => sum + mu, 0)
+            : observed.reduce((sum, y, ix) => sum + y * expected[ix], 0) / expected.reduce((sum, mu) => sum + mu * mu, 0);
+        fixed.reporting_fraction = Number.isFinite(scale) ? clamp(scale) : fixed.reporting_fraction;
+    }
+
+    const result = fitModel({
+        observed,
+        parameters: parameters.map(name => {
+            const [lower, upper] = MODEL.FIT_PARAMETERS[name];
+            return { name, value: fixed[name], lower, upper };
+        }),
+        predict,
+        objective
+    });
+
+    const best = Object.fromEntries(Object.entries(result.estimates).map(([name, { value }]) => [name, value]));
+    return { values: { ...fixed, ...best }, ...result };
+};
+
+/**
+ * Checks that a parameter can be varied by sensitivity() and sweep()
+ */
+const validateVariedParameter = (name) => {
+    if (!MODEL.VARIED_PARAMETERS.includes(name)) {
+        throw new Error(`The effect of '${name}' cannot be analysed`);
+    }
+};
+
+/**
+ * Solves the model deterministically and reads the outcomes of the run (see RUN_OUTCOMES)
+ */
+const runOutcomes = (options) => {
+    const output = simulate(options);
+    return Object.fromEntries(Object.entries(RUN_OUTCOMES).map(([name, outcome]) => [name, outcome(output)]));
+};
+
+/**
+ * Sensitivity of epidemic outcomes to the epidemiological parameters
+ * 
+ * The outcomes of each run are the peak infectious share, the day of the peak, the infections per
+ * person over the run (final size), the disease deaths as a share of the population and the mean
+ * infectious share over the last year of the run (endemic level).
+ * With method 'prcc', all parameters are sampled together across their ranges by Latin hypercube and
+ * each outcome is ranked against each parameter with partial rank correlation coefficients (see
+ * rankCorrelationAnalysis in sensitivity.js). With method 'oat', each parameter is moved to either end
+ * of its range in turn while the others keep their values in options (see oneAtATimeAnalysis).
+ * Every run is deterministic, solved by simulate() with the given options.
+ * 
+ * @param {Object} options - Model options as for simulate(), giving the values of the parameters not varied
+ * @param {Object} settings - Analysis settings
+ * @param {Array} settings.parameters - Varied parameters {name, lower, upper} or, for 'prcc', {name, values}
+ *                                      to sample from a list of values; names are epidemiological options
+ *                                      of simulate() (see MODEL.VARIED_PARAMETERS)
+ * @param {string} settings.method - 'prcc' or 'oat' (default: 'prcc')
+ * @param {number} settings.samples - Latin hypercube samples of a 'prcc' analysis (default: 100)
+ * @param {number} settings.seed - Random seed of the sample (default: 1)
+ * @param {Function} settings.onProgress - Called with the fraction of runs completed after each run (default: none)
+ * @returns {Object} The method and parameters, plus the PRCC of every outcome with every parameter and the
+ *                   values and outcomes of every sample ('prcc'), or the outcomes at the given values and at
+ *                   either end of each parameter's range ('oat')
+ */
+export const sensitivity = (options = {}, settings = {}) => {
+    const {
+        parameters = [], method = 'prcc', samples = MODEL.DEFAULT_SENSITIVITY_SAMPLES, seed = 1, onProgress = null
+    } = settings;
+
+    if (!MODEL.SENSITIVITY_METHODS.includes(method)) {
+        throw new Error(`Unknown sensitivity method '${method}'`);
+    }
+    parameters.forEach(({ name }) => validateVariedParameter(name));
+
+    const evaluate = values => runOutcomes({ ...options, ...values });
+    if (method === 'oat') {
+        const current = { ...DEFAULT_OPTIONS, ...options };
+        const base = Object.fromEntries(parameters.map(({ name }) => [name, current[name]]));
+        return { method, parameters, ...oneAtATimeAnalysis({ base, parameters, evaluate, onProgress }) };
+    }
+    return { method, parameters, samples, ...rankCorrelationAnalysis({ parameters, evaluate, samples, seed, onProgress }) };
+};
+
+/**
+ * Epidemic outcomes over a grid of two epidemiological parameters
+ * 
+ * The model is solved deterministically with every combination of the given values of the two
+ * parameters, all others keeping their values in options. The outcomes are those of sensitivity().
+ * 
+ * @param {Object} options - Model options as for simulate(), giving the values of the parameters not varied
+ * @param {Object} settings - Sweep settings
+ * @param {Object} settings.x - First parameter {name, values} (see MODEL.VARIED_PARAMETERS)
+ * @param {Object} settings.y - Second parameter {name, values}
+ * @param {Function} settings.onProgress - Called with the fraction of runs completed after each run (default: none)
+ * @returns {Object} {x, y, cells}: the two parameters and the outcomes of every combination as {x, y, outcomes}
+ */
+export const sweep = (options = {}, { x, y, onProgress = null } = {}) => {
+    if (!x || !y) {
+        throw new Error('Choose two parameters to sweep');
+    }
+    validateVariedParameter(x.name);
+    validateVariedParameter(y.name);
+
+    return gridSweep({ x, y, evaluate: values => runOutcomes({ ...options, ...values }), onProgress });
+};
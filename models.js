@@ -0,0 +1,695 @@
+// Declarative compartmental models
+//
+// A model is plain data: its compartments, and the flows between them with rates written as
+// arithmetic expressions over named parameters. The solvers of model.js, the plot and the
+// legend all derive from it, so a new model can be added as a JSON file or a JS module
+// exporting such an object, without touching any solver. This module holds the built-in
+// models and compiles specifications into the functions the solvers evaluate.
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Functions that expressions may call: those of Math, and two for stages split into k substages,
+// each left onward at rate k * rate or otherwise at rate exit (see CompartmentalModel.withStages)
+const FUNCTIONS = {
+    exp: Math.exp, log: Math.log, sqrt: Math.sqrt, pow: Math.pow, min: Math.min, max: Math.max, abs: Math.abs,
+    // Chance of passing through all k substages
+    passage: (rate, exit, k = 1) => Math.pow(k * rate / (k * rate + exit), k),
+    // Expected days spent in the k substages
+    sojourn: (rate, exit, k = 1) => {
+        let days = 0;
+        let reached = 1;
+        for (let j = 0; j < k; j++) {
+            days += reached / (k * rate + exit);
+            reached *= k * rate / (k * rate + exit);
+        }
+        return days;
+    }
+};
+
+// Solver options of hospital and intensive care (see withHealthcare and DEFAULT_OPTIONS in model.js)
+export const HEALTHCARE_OPTIONS = [
+    'hospitalisation', 'hospital_stay', 'icu_share', 'icu_stay', 'icu_fatality', 'overflow_fatality', 'icu_capacity'
+];
+
+export const CAPACITY_PEOPLE = 100000;   // ICU capacity is given in beds per this many people
+
+// Compartments added by hospital care (see addHealthcare)
+const HEALTHCARE_COMPARTMENTS = [
+    { key: 'h', name: 'Hospitalised', infected: true },
+    { key: 'c', name: 'Intensive care', infected: true }
+];
+
+// Names that rate expressions may use, besides compartment keys and the model's own parameters
+const NAMES = {
+    // Solver options (see DEFAULT_OPTIONS in model.js)
+    OPTIONS: [
+        'S0', 'R0', 'latent_period', 'infectious_period', 'death_onset',
+        'immunity_duration', 'life_expectancy', 'vaccination_rate', 'latent_stages', 'infectious_stages',
+        ...HEALTHCARE_OPTIONS
+    ],
+    // Daily rates derived from the options (see SEIRParameters in model.js)
+    RATES: ['sigma', 'gamma', 'alpha', 'omega', 'mu'],
+    // Vaccination of births and susceptibles (see VaccinationProgram in model.js)
+    VACCINATION: ['p', 'q', 'eps', 'omega_v'],
+    // Values that change along a run, available to flow rates only
+    DYNAMIC: ['t', 'lambda', 'nu', 'share', 'births', 'n'],
+    // Functions (see FUNCTIONS)
+    FUNCTIONS: Object.keys(FUNCTIONS)
+};
+
+// Options that split a compartment into substages (see the stages of a compartment)
+const STAGE_OPTIONS = ['latent_stages', 'infectious_stages'];
+
+// Option behind each derived rate, so that a page can tell which settings a model uses
+const RATE_SOURCES = {
+    sigma: 'latent_period',
+    gamma: 'infectious_period',
+    alpha: 'death_onset',
+    omega: 'immunity_duration',
+    mu: 'life_expectancy',
+    p: 'vaccination_rate',
+    q: 'vaccine',
+    eps: 'vaccine',
+    omega_v: 'vaccine',
+    nu: 'vaccine',
+    births: 'birth_rate'
+};
+
+// Fields of the solver output (see simulate in model.js), which the page keeps beside the compartment series
+const OUTPUT_FIELDS = ['series', 'bands', 'incidence', 'rt', 'metrics', 'model', 'groups', 'shares', 'arrival', 'stats', 'extinction', 'ymax', 'population', 'cumulative'];
+
+const FLOW_TYPES = ['infection', 'disease-death'];   // Flows counted by the epidemic metrics
+
+// Flows accumulated over a run, each told apart by its type or the compartments at its ends ({infected,
+// infectious, alive}, null for births and deaths): new infections, new infectious cases (entries into
+// infectious compartments from others), recoveries (from infected to living, uninfected compartments),
+// and deaths from the disease or other causes
+const TRACKED_FLOWS = {
+    infections: ({ type }) => type === 'infection',
+    cases: ({ from, to }) => to !== null && to.infectious && !(from !== null && from.infectious),
+    recoveries: ({ from, to, type }) => type === null && from !== null && from.infected && to !== null && to.alive && !to.infected,
+    disease_deaths: ({ type }) => type === 'disease-death',
+    natural_deaths: ({ from, to, type }) => type !== 'disease-death' && from !== null && from.alive && (to === null || !to.alive)
+};
+
+// Names of the accumulated flows, in the order of the tracked indices of each flow (see CompartmentalModel)
+export const TRACKED = Object.keys(TRACKED_FLOWS);
+const COMPARTMENT_KEY = /^[a-z][a-z0-9]*$/;          // Lower-case letters and digits
+const IDENTIFIER = /(?<![\w.])[A-Za-z_]\w*/g;         // Names in an expression (not digits of a number)
+const EXPRESSION_CHARACTERS = /^[\w\s.+\-*/(),]*$/;  // Numbers, names, arithmetic and function calls
+
+// ============================================================================
+// Built-in Models
+// ============================================================================
+
+// Natural deaths at rate mu, replaced by births unless a birth rate is set (see SEIRTransitions.births
+// in model.js); lambda is the force of infection, beta(t) times the share of the population infectious.
+const VITAL_DYNAMICS = keys => keys.map(key => ({ from: key, to: null, rate: `mu * ${key}` }));
+
+/**
+ * Models selectable by name (the model option of simulate() and the model dropdown)
+ */
+export const BUILT_IN_MODELS = {
+    sir: {
+        name: 'SIR',
+        description: 'Susceptible, infectious and recovered with lifelong immunity',
+        compartments: [
+            { key: 's', name: 'Susceptible', initial: 'S0' },
+            { key: 'i', name: 'Infectious', initial: '1 - S0', infectious: true, stages: 'infectious_stages' },
+            { key: 'r', name: 'Recovered' }
+        ],
+        parameters: { beta: 'R0 / sojourn(gamma, mu + alpha, infectious_stages)' },
+        flows: [
+            { from: null, to: 's', rate: 'births' },
+            { from: 's', to: 'i', rate: 'lambda * s', type: 'infection' },
+            { from: 'i', to: 'r', rate: 'gamma * i' },
+            ...VITAL_DYNAMICS(['s', 'i']),
+            { from: 'i', to: null, rate: 'alpha * i', type: 'disease-death' },
+            ...VITAL_DYNAMICS(['r'])
+        ]
+    },
+    sis: {
+        name: 'SIS',
+        description: 'Susceptible and infectious, with no immunity after recovery',
+        compartments: [
+            { key: 's', name: 'Susceptible', initial: 'S0' },
+            { key: 'i', name: 'Infectious', initial: '1 - S0', infectious: true, stages: 'infectious_stages' }
+        ],
+        parameters: { beta: 'R0 / sojourn(gamma, mu + alpha, infectious_stages)' },
+        flows: [
+            { from: null, to: 's', rate: 'births' },
+            { from: 's', to: 'i', rate: 'lambda * s', type: 'infection' },
+            { from: 'i', to: 's', rate: 'gamma * i' },
+            ...VITAL_DYNAMICS(['s', 'i']),
+            { from: 'i', to: null, rate: 'alpha * i', type: 'disease-death' }
+        ]
+    },
+    seir: {
+        name: 'SEIR',
+        description: 'Susceptible, exposed, infectious and recovered with lifelong immunity',
+        compartments: [
+            { key: 's', name: 'Susceptible', initial: 'S0' },
+            { key: 'e', name: 'Exposed', initial: '1 - S0', infected: true, stages: 'latent_stages' },
+            { key: 'i', name: 'Infectious', infectious: true, stages: 'infectious_stages' },
+            { key: 'r', name: 'Recovered' }
+        ],
+        parameters: { beta: 'R0 / (passage(sigma, mu, latent_stages) * sojourn(gamma, mu + alpha, infectious_stages))' },
+        flows: [
+            { from: null, to: 's', rate: 'births' },
+            { from: 's', to: 'e', rate: 'lambda * s', type: 'infection' },
+            { from: 'e', to: 'i', rate: 'sigma * e' },
+            { from: 'i', to: 'r', rate: 'gamma * i' },
+            ...VITAL_DYNAMICS(['s', 'e', 'i']),
+            { from: 'i', to: null, rate: 'alpha * i', type: 'disease-death' },
+            ...VITAL_DYNAMICS(['r'])
+        ]
+    },
+    seird: {
+        name: 'SEIRD',
+        description: 'SEIR with disease deaths counted in a dead compartment (set a death onset to see it fill)',
+        compartments: [
+            { key: 's', name: 'Susceptible', initial: 'S0' },
+            { key: 'e', name: 'Exposed', initial: '1 - S0', infected: true, stages: 'latent_stages' },
+            { key: 'i', name: 'Infectious', infectious: true, stages: 'infectious_stages' },
+            { key: 'r', name: 'Recovered' },
+            { key: 'd', name: 'Dead', alive: false }
+        ],
+        parameters: { beta: 'R0 / (passage(sigma, mu, latent_stages) * sojourn(gamma, mu + alpha, infectious_stages))' },
+        flows: [
+            { from: null, to: 's', rate: 'births' },
+            { from: 's', to: 'e', rate: 'lambda * s', type: 'infection' },
+            { from: 'e', to: 'i', rate: 'sigma * e' },
+            { from: 'i', to: 'r', rate: 'gamma * i' },
+            { from: 'i', to: 'd', rate: 'alpha * i', type: 'disease-death' },
+            ...VITAL_DYNAMICS(['s', 'e', 'i', 'r'])
+        ]
+    },
+    // The model of the equations panel: p is the vaccination rate, q the share of vaccinees
+    // entering V, nu(t) the campaign rate and eps the relative susceptibility of V
+    seirs: {
+        name: 'SEIRS',
+        description: 'SEIR with waning immunity and vaccination (the only model with equilibrium analysis)',
+        compartments: [
+            { key: 's', name: 'Susceptible', initial: 'S0 - p * q' },
+            { key: 'e', name: 'Exposed', initial: '1 - S0', infected: true, stages: 'latent_stages' },
+            { key: 'i', name: 'Infectious', infectious: true, stages: 'infectious_stages' },
+            { key: 'r', name: 'Recovered' },
+            { key: 'v', name: 'Vaccinated', initial: 'p * q' }
+        ],
+        parameters: { beta: 'R0 / (passage(sigma, mu, latent_stages) * sojourn(gamma, mu + alpha, infectious_stages))' },
+        flows: [
+            { from: null, to: 's', rate: 'births * (1 - p * q)' },         // Unvaccinated and unprotected births
+            { from: null, to: 'v', rate: 'births * p * q' },               // Vaccinated births
+            { from: 's', to: 'e', rate: 'lambda * s', type: 'infection' },  // Force of infection
+            { from: 'v', to: 'e', rate: 'eps * lambda * v', type: 'infection' },  // Breakthrough infection (leaky vaccine)
+            { from: 'e', to: 'i', rate: 'sigma * e' },                      // Progression to infectious
+            { from: 'i', to: 'r', rate: 'gamma * i' },                      // Recovery
+            { from: 'r', to: 's', rate: 'omega * r' },                      // Immunity waning
+            { from: 's', to: 'v', rate: 'nu * s' },                         // Vaccination campaign
+            { from: 'v', to: 's', rate: 'omega_v * v' },                    // Vaccine immunity waning
+            ...VITAL_DYNAMICS(['s', 'e', 'i']),                             // Natural deaths
+            { from: 'i', to: null, rate: 'alpha * i', type: 'disease-death' },  // Disease-induced deaths
+            ...VITAL_DYNAMICS(['r', 'v'])
+        ]
+    }
+};
+
+export const DEFAULT_MODEL = 'seirs';
+
+// ============================================================================
+// Expressions
+// ============================================================================
+
+/**
+ * Checks that a rate expression only holds numbers, arithmetic, function calls and known names
+ *
+ * @param {string|number} expression - Number, or expression such as 'sigma * e'
+ * @param {Set} allowed - Names the expression may use
+ * @param {string} label - What the expression is, for error messages
+ * @returns {Array} Names used by the expression
+ */
+const checkExpression = (expression, allowed, label) => {
+    if (typeof expression === 'number') {
+        if (!Number.isFinite(expression)) throw new Error(`${label} must be a finite number`);
+        return [];
+    }
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error(`${label} must be a number or an expression`);
+    }
+    if (!EXPRESSION_CHARACTERS.test(expression) || /\.(?!\d)/.test(expression)) {
+        throw new Error(`${label} '${expression}' may only hold numbers, names, + - * / ( ) and commas`);
+    }
+
+    const names = expression.match(IDENTIFIER) || [];
+    names.forEach(name => {
+        if (!allowed.has(name)) throw new Error(`${label} '${expression}' uses unknown name '${name}'`);
+    });
+    try {
+        new Function(`return (${expression});`);
+    } catch (error) {
+        throw new Error(`${label} '${expression}' is not a valid expression`);
+    }
+    return names;
+};
+
+/**
+ * Compiles checked expressions into one function returning the array of their values
+ *
+ * Each source is an argument of the compiled function holding some of the names: an object
+ * keyed by name, or an array ordered like its names. A name is read from the first source
+ * that holds it, and the FUNCTIONS are always available.
+ *
+ * @param {Array} expressions - Checked expressions (see checkExpression)
+ * @param {Array} sources - {names, array} for each argument, in order of precedence
+ * @returns {Function} (...arguments) => values
+ */
+const compileExpressions = (expressions, sources) => {
+    const used = new Set(expressions.flatMap(expression => String(expression).match(IDENTIFIER) || []));
+    const declared = new Set();
+    const declarations = [...sources, { names: NAMES.FUNCTIONS, functions: true }].flatMap(({ names, array = false, functions = false }, ix) =>
+        names.flatMap((name, position) => {
+            if (!used.has(name) || declared.has(name)) return [];
+            declared.add(name);
+            const value = functions ? `functions.${name}` : array ? `a${ix}[${position}]` : `a${ix}.${name}`;
+            return [`const ${name} = ${value};`];
+        }));
+
+    const create = new Function('functions', `return (${sources.map((_, ix) => `a${ix}`).join(', ')}) => {\n` +
+        `${declarations.join('\n')}\nreturn [${expressions.map(expression => `(${expression})`).join(', ')}];\n};`);
+    return create(FUNCTIONS);
+};
+
+// ============================================================================
+// Stages
+// ============================================================================
+
+/**
+ * Splits staged compartments into sequential substages, so that the time spent in each stage
+ * follows an Erlang rather than an exponential distribution with the same mean
+ *
+ * A compartment split into k substages becomes key1, ..., keyk. Flows into it enter the first
+ * substage. Flows out of it to another compartment, other than disease deaths, end the stage: each
+ * substage passes on to the next at k times their summed rate, and the last one leaves through them
+ * at k times each rate. Other flows out of it, such as deaths, leave every substage at their own
+ * rate. Elsewhere its key stands for the sum of its substages.
+ *
+ * @param {Object} spec - Model specification (see CompartmentalModel)
+ * @param {Object} shapes - Number of substages by compartment key (only keys with more than one)
+ * @returns {Object} Specification of the model with substages
+ */
+const expandStages = (spec, shapes) => {
+    const substages = key => key in shapes
+        ? Array.from({ length: shapes[key] }, (_, j) => `${key}${j + 1}`)
+        : [key];
+    const entry = key => key === null ? null : substages(key)[0];
+    // An expression for one substage of a compartment, with the other staged compartments summed
+    const rewrite = (expression, own = null, substage = null) => typeof expression === 'number'
+        ? expression
+        : expression.replace(IDENTIFIER, name => {
+            if (name === own) return substage;
+            return name in shapes ? `(${substages(name).join(' + ')})` : name;
+        });
+    const ends = ({ from, to, type = null }) => from in shapes && to !== null && type !== 'disease-death';
+
+    const compartments = spec.compartments.flatMap(compartment => compartment.key in shapes
+        ? substages(compartment.key).map((key, j) => ({
+            ...compartment, key, name: `${compartment.name || compartment.key} ${j + 1}`,
+            initial: j === 0 ? compartment.initial : 0, stages: null
+        }))
+        : [compartment]);
+
+    const flows = spec.flows.flatMap(flow => {
+        const { from, to, rate } = flow;
+        if (!(from in shapes)) return [{ ...flow, to: entry(to), rate: rewrite(rate) }];
+        if (!ends(flow)) {
+            return substages(from).map(substage => ({ ...flow, from: substage, to: entry(to), rate: rewrite(rate, from, substage) }));
+        }
+
+        // The flows that end the stage are spread over its substages once, with the first of them
+        const exits = spec.flows.filter(other => other.from === from && ends(other));
+        if (exits[0] !== flow) return [];
+        const k = shapes[from];
+        const keys = substages(from);
+        return [
+            ...keys.slice(0, -1).map((substage, j) => ({
+                from: substage, to: keys[j + 1],
+                rate: `${k} * (${exits.map(exit => rewrite(exit.rate, from, substage)).join(' + ')})`
+            })),
+            ...exits.map(exit => ({ ...exit, from: keys[k - 1], to: entry(exit.to), rate: `${k} * (${rewrite(exit.rate, from, keys[k - 1])})` }))
+        ];
+    });
+
+    return { ...spec, compartments, flows };
+};
+
+// ============================================================================
+// Healthcare
+// ============================================================================
+
+/**
+ * Adds hospital and intensive care to a model: a share of the people leaving the infectious
+ * compartment i (hospitalisation) is admitted to hospital h instead of recovering, and leaves it
+ * after hospital_stay days, a share icu_share of them for intensive care c and the others for
+ * where recoveries from i lead. After icu_stay days in intensive care, a share icu_fatality of the
+ * patients who have a bed die and the others are discharged; patients beyond the icu_capacity beds
+ * per CAPACITY_PEOPLE die with the share overflow_fatality instead. Deaths go to the model's
+ * compartment of the dead, if it has one. Each group of a structured population has the beds of
+ * its share of the population.
+ *
+ * Admissions replace recoveries, so the time infectious and with it R0 stay the same.
+ *
+ * @param {Object} spec - Model specification (see CompartmentalModel)
+ * @returns {Object} Specification of the model with hospital and intensive care
+ */
+const addHealthcare = (spec) => {
+    const name = spec.name || 'Custom';
+    const keys = spec.compartments.map(({ key }) => key);
+    HEALTHCARE_COMPARTMENTS.forEach(({ key }) => {
+        if (keys.includes(key)) throw new Error(`The ${name} model already has a compartment '${key}', which hospital care adds`);
+    });
+    const recovers = ({ from, to, type = null }) => from === 'i' && to !== null && type === null;
+    const recoveries = spec.flows.filter(recovers);
+    if (recoveries.length === 0) {
+        throw new Error(`The ${name} model has no recovery from compartment i to admit patients to hospital from`);
+    }
+
+    const discharge = recoveries[0].to;
+    const dead = spec.compartments.find(({ alive = true }) => !alive);
+    // Patients in the beds of the group and beyond them, each leaving with their own chance of death
+    const beds = `icu_capacity * share / ${CAPACITY_PEOPLE}`;
+    const outcome = (treated, untreated) => `(${treated} * min(c, ${beds}) + ${untreated} * max(c - ${beds}, 0)) / icu_stay`;
+    return {
+        ...spec,
+        compartments: [...spec.compartments, ...HEALTHCARE_COMPARTMENTS],
+        flows: [
+            ...spec.flows.map(flow => recovers(flow) ? { ...flow, rate: `(1 - hospitalisation) * (${flow.rate})` } : flow),
+            { from: 'i', to: 'h', rate: `hospitalisation * (${recoveries.map(({ rate }) => rate).join(' + ')})` },
+            { from: 'h', to: 'c', rate: 'icu_share * h / hospital_stay' },
+            { from: 'h', to: discharge, rate: '(1 - icu_share) * h / hospital_stay' },
+            { from: 'c', to: discharge, rate: outcome('(1 - icu_fatality)', '(1 - overflow_fatality)') },
+            { from: 'c', to: dead ? dead.key : null, rate: outcome('icu_fatality', 'overflow_fatality'), type: 'disease-death' },
+            ...VITAL_DYNAMICS(['h', 'c'])
+        ]
+    };
+};
+
+// ============================================================================
+// Compiled Models
+// ============================================================================
+
+// Built-in models compiled so far, by name
+const COMPILED = new Map();
+
+/**
+ * A validated model specification, compiled for the solvers
+ *
+ * Specification (plain data, so it can be written as JSON):
+ * - name, description: shown in the model dropdown
+ * - compartments: [{key, name, initial, infected, infectious, alive, colour, stages}] where key is lower-case letters
+ *   and digits, initial the share at t=0 (an expression over the options, rates and parameters; default 0),
+ *   infected marks compartments holding infected people and infectious those who transmit (and are
+ *   infected), alive is false for compartments of the dead (left out of the living population n), and stages
+ *   names the option ('latent_stages' or 'infectious_stages') giving the number of
+ *   substages the compartment is split into (see expandStages); every model needs a susceptible 's' and an
+ *   infectious 'i' compartment
+ * - parameters: {name: expression} evaluated in order over the options (S0, R0, latent_period, ...),
+ *   the rates sigma, gamma, alpha, omega and mu and earlier parameters; beta is required and gives the
+ *   transmission rate for the chosen R0, to which it must be proportional (passage() and sojourn() give
+ *   the chance of passing through and the days spent in a stage of substages)
+ * - flows: [{from, to, rate, type}] where from or to is null for births and deaths, rate is an expression
+ *   that may also use the compartment keys, the vaccination settings p, q, eps and omega_v, the campaign
+ *   rate nu, the time t, the force of infection lambda, the group's births per day, its living population n
+ *   and its share of the initial population share, and type marks 'infection' and 'disease-death' flows for
+ *   the metrics; every flow also adds to the TRACKED totals it matches (see TRACKED_FLOWS)
+ *
+ * Hospital care adds the compartments h and c to any model with a recovery flow out of i (see withHealthcare).
+ */
+export class CompartmentalModel {
+    /**
+     * @param {Object} spec - Model specification (see above)
+     * @param {Object} substages - Substage keys by split compartment, when spec was expanded by withStages
+     */
+    constructor(spec, substages = {}) {
+        if (!spec || typeof spec !== 'object') {
+            throw new Error('A model must be an object with compartments, parameters and flows');
+        }
+        const { name = 'Custom', description = '', compartments, parameters = {}, flows } = spec;
+        if (!Array.isArray(compartments) || compartments.length === 0) {
+            throw new Error(`The ${name} model needs a list of compartments`);
+        }
+        if (!Array.isArray(flows) || flows.length === 0) {
+            throw new Error(`The ${name} model needs a list of flows`);
+        }
+        if (typeof parameters !== 'object' || !('beta' in parameters)) {
+            throw new Error(`The ${name} model needs a beta parameter`);
+        }
+
+        this.name = String(name);
+        this.description = String(description);
+        this.spec = spec;
+        this.compartments = compartments.map(({ key, name: label = key, initial = 0, infected = false, infectious = false, alive = true, colour = null, stages = null }) =>
+            ({ key, name: String(label), initial, infected: Boolean(infected || infectious), infectious: Boolean(infectious), alive: Boolean(alive), colour, stages }));
+        this.keys = this.compartments.map(({ key }) => key);
+
+        // Compartment keys and parameter names share one namespace with the predefined names
+        const reserved = new Set([...NAMES.OPTIONS, ...NAMES.RATES, ...NAMES.VACCINATION, ...NAMES.DYNAMIC, ...NAMES.FUNCTIONS]);
+        this.keys.forEach((key, ix) => {
+            if (typeof key !== 'string' || !COMPARTMENT_KEY.test(key)) {
+                throw new Error(`Compartment key '${key}' must be lower-case letters and digits, starting with a letter`);
+            }
+            if (reserved.has(key) || OUTPUT_FIELDS.includes(key) || this.keys.indexOf(key) !== ix) {
+                throw new Error(`Compartment key '${key}' is already used`);
+            }
+        });
+        ['s', 'i'].forEach(key => {
+            if (!this.keys.includes(key) && !(key in substages)) throw new Error(`The ${this.name} model needs a compartment '${key}'`);
+        });
+        this.infectious = this.compartments.flatMap(({ infectious }, ix) => infectious ? [ix] : []);
+        this.infected = this.compartments.filter(({ infected }) => infected).map(({ key }) => key);
+        this.living = this.compartments.flatMap(({ alive }, ix) => alive ? [ix] : []);
+        if (this.infectious.length === 0) {
+            throw new Error(`The ${this.name} model needs at least one infectious compartment`);
+        }
+
+        this.compartments.forEach(({ key, colour, stages }) => {
+            if (colour !== null && !/^(#[0-9a-fA-F]{3,8}|[a-z]+)$/.test(colour)) {
+                throw new Error(`Colour '${colour}' of compartment ${key} must be a hex code or a colour name`);
+            }
+            if (stages !== null && !STAGE_OPTIONS.includes(stages)) {
+                throw new Error(`Stages of compartment ${key} must be one of ${STAGE_OPTIONS.join(', ')}`);
+            }
+        });
+
+        // Parameters, each over the options, rates and the parameters before it
+        const scope = [...NAMES.OPTIONS, ...NAMES.RATES];
+        const used = [];
+        this.parameterNames = Object.keys(parameters);
+        this.parameterFunctions = this.parameterNames.map(parameter => {
+            if (!/^[A-Za-z_]\w*$/.test(parameter) || reserved.has(parameter) || this.keys.includes(parameter)) {
+                throw new Error(`Parameter name '${parameter}' of the ${this.name} model is not allowed`);
+            }
+            const expression = parameters[parameter];
+            used.push(...checkExpression(expression, new Set([...scope, ...NAMES.FUNCTIONS]), `Parameter ${parameter}`));
+            const evaluate = compileExpressions([expression], [{ names: scope.slice() }]);
+            scope.push(parameter);
+            return values => evaluate(values)[0];
+        });
+
+        // Initial shares over the same names as parameters, plus the vaccination settings
+        const constants = [...scope, ...NAMES.VACCINATION];
+        const initial = this.compartments.map(({ key, initial }) => {
+            used.push(...checkExpression(initial, new Set([...constants, ...NAMES.FUNCTIONS]), `Initial share of ${key}`));
+            return initial;
+        });
+        this.initialFunction = compileExpressions(initial, [{ names: constants }]);
+
+        // Flows, over the dynamic values, the state and the constants, with the accumulated flows they count
+        const compartment = key => key === null ? null : this.compartments[this.keys.indexOf(key)];
+        this.flows = flows.map(({ from = null, to = null, rate, type = null }, ix) => {
+            const label = `Rate of flow ${from || 'birth'} → ${to || 'death'}`;
+            [from, to].forEach(key => {
+                if (key !== null && !this.keys.includes(key)) {
+                    throw new Error(`Flow ${ix + 1} of the ${this.name} model refers to unknown compartment '${key}'`);
+                }
+            });
+            if (from === to) {
+                throw new Error(`Flow ${ix + 1} of the ${this.name} model needs two different ends`);
+            }
+            if (type !== null && !FLOW_TYPES.includes(type)) {
+                throw new Error(`Flow type '${type}' is not one of ${FLOW_TYPES.join(', ')}`);
+            }
+            used.push(...checkExpression(rate, new Set([...constants, ...this.keys, ...NAMES.DYNAMIC, ...NAMES.FUNCTIONS]), label));
+            const ends = { from: compartment(from), to: compartment(to), type };
+            const tracked = TRACKED.flatMap((name, ix) => TRACKED_FLOWS[name](ends) ? [ix] : []);
+            return { from, to, rate, type, tracked };
+        });
+        this.flowFunction = compileExpressions(this.flows.map(({ rate }) => rate),
+            [{ names: NAMES.DYNAMIC.concat('alpha') }, { names: this.keys, array: true }, { names: constants }]);
+
+        this.names = new Set(used);
+        this.analysable = false;
+        this.healthcare = false;      // Whether hospital care was added by withHealthcare
+        this.withCare = null;         // Model with hospital care, once built
+        this.substages = substages;   // Substage keys by split compartment (see withStages)
+        this.base = this;             // Model before its compartments were split
+        this.staged = new Map();      // Models with substages, by their numbers of substages
+    }
+
+    /**
+     * Compiles a model given by name or specification
+     * @param {string|Object|CompartmentalModel} model - Name of a built-in model, a specification or a compiled model
+     * @returns {CompartmentalModel} Compiled model (built-in models are compiled once)
+     */
+    static from(model = DEFAULT_MODEL) {
+        if (model instanceof CompartmentalModel) return model;
+        if (typeof model === 'string') {
+            if (!(model in BUILT_IN_MODELS)) {
+                throw new Error(`Unknown model '${model}'; choose one of ${Object.keys(BUILT_IN_MODELS).join(', ')}`);
+            }
+            if (!COMPILED.has(model)) {
+                const compiled = new CompartmentalModel(BUILT_IN_MODELS[model]);
+                // The equilibrium analysis (analysis.js) holds the SEIRS formulas
+                compiled.analysable = model === 'seirs';
+                COMPILED.set(model, compiled);
+            }
+            return COMPILED.get(model);
+        }
+        return new CompartmentalModel(model);
+    }
+
+    /**
+     * Evaluates the model's parameters
+     * @param {Object} scope - Options and rates by name (see NAMES)
+     * @returns {Object} The scope with every parameter added
+     */
+    parameters(scope) {
+        const values = { ...scope };
+        this.parameterNames.forEach((name, ix) => {
+            values[name] = this.parameterFunctions[ix](values);
+            if (!Number.isFinite(values[name])) {
+                throw new Error(`Parameter ${name} of the ${this.name} model is not a finite number`);
+            }
+        });
+        return values;
+    }
+
+    /**
+     * The model with hospital and intensive care added (see addHealthcare)
+     * @param {Object} options - Options giving the share of infectious people hospitalised, such as {hospitalisation: 0.01}
+     * @returns {CompartmentalModel} This model when no one is hospitalised, or the model with hospital care
+     */
+    withHealthcare(options) {
+        if (!(options.hospitalisation > 0)) return this;
+        if (this.withCare === null) {
+            const model = new CompartmentalModel(addHealthcare(this.spec));
+            model.healthcare = true;
+            this.withCare = model;
+        }
+        return this.withCare;
+    }
+
+    /**
+     * The model with its staged compartments split into substages (see expandStages)
+     * @param {Object} options - Options giving the number of substages, such as {latent_stages: 3}
+     * @returns {CompartmentalModel} This model when no compartment is split, or the model with substages
+     */
+    withStages(options) {
+        const shapes = Object.fromEntries(this.compartments
+            .filter(({ stages }) => stages !== null && options[stages] !== 1)
+            .map(({ key, stages }) => [key, options[stages]]));
+        const id = JSON.stringify(shapes);
+        if (id === '{}') return this;
+
+        if (!this.staged.has(id)) {
+            Object.entries(shapes).forEach(([key, k]) => {
+                if (!Number.isInteger(k) || k < 1) {
+                    throw new Error(`The number of substages of compartment ${key} must be a positive whole number`);
+                }
+                if (!this.flows.some(({ from, to, type }) => from === key && to !== null && type !== 'disease-death')) {
+                    throw new Error(`Compartment ${key} of the ${this.name} model has no flow to another compartment to split into substages`);
+                }
+            });
+            const substages = Object.fromEntries(Object.entries(shapes).map(([key, k]) =>
+                [key, Array.from({ length: k }, (_, j) => `${key}${j + 1}`)]));
+            const model = new CompartmentalModel(expandStages(this.spec, shapes), substages);
+            model.base = this;
+            model.healthcare = this.healthcare;
+            this.staged.set(id, model);
+        }
+        return this.staged.get(id);
+    }
+
+    /**
+     * Adds the series of every split compartment, summed over its substages
+     * @param {Object} series - Series keyed by compartment key and suffix
+     * @param {string} suffix - Suffix of the keys ('' for the whole population, '_0' for group 0, ...)
+     * @returns {Object} The same series
+     */
+    aggregate(series, suffix = '') {
+        Object.entries(this.substages).forEach(([key, keys]) => {
+            const parts = keys.map(substage => series[`${substage}${suffix}`]);
+            series[`${key}${suffix}`] = Float64Array.from(parts[0], (_, day) =>
+                parts.reduce((sum, values) => sum + values[day], 0));
+        });
+        return series;
+    }
+
+    /**
+     * Living population: the sum of the compartments of the living
+     * @param {Array} state - Shares ordered like this.keys
+     * @returns {number} Living share of the initial population
+     */
+    livingPopulation(state) {
+        return this.living.reduce((sum, ix) => sum + state[ix], 0);
+    }
+
+    /**
+     * Initial shares of the population
+     * @param {Object} constants - Options, rates, parameters and vaccination settings by name
+     * @returns {Array} Share of each compartment, ordered like this.keys
+     */
+    initialState(constants) {
+        return this.initialFunction(constants);
+    }
+
+    /**
+     * Rate of every flow
+     * @param {Object} constants - Options, rates, parameters and vaccination settings by name
+     * @param {Array} state - Shares ordered like this.keys
+     * @param {Object} dynamic - {t, lambda, nu, share, births, n, alpha} (alpha being the group's disease-induced death rate)
+     * @returns {Array} Rates ordered like this.flows
+     */
+    flowRates(constants, state, dynamic) {
+        return this.flowFunction(dynamic, state, constants);
+    }
+
+    /**
+     * Whether a setting affects the model
+     * @param {string} name - An option (such as 'latent_period') or 'vaccine' for the vaccine settings
+     * @returns {boolean} True when some expression uses the setting or a rate derived from it, or it
+     *                    gives the number of substages of a compartment
+     */
+    uses(name) {
+        return this.names.has(name) || this.compartments.some(({ stages }) => stages === name) || Object.entries(RATE_SOURCES).some(([rate, source]) => source === name && this.names.has(rate));
+    }
+
+    /**
+     * Describes the model for solver output: the compartments of the model before they were split,
+     * and the substages of those that were
+     * @returns {Object} {name, analysable, healthcare, compartments: [{key, name, colour}], substages: [{key, name, parent}]}
+     */
+    describe() {
+        const parents = Object.fromEntries(Object.entries(this.substages).flatMap(([key, keys]) =>
+            keys.map(substage => [substage, key])));
+        return {
+            name: this.name,
+            analysable: this.analysable,
+            healthcare: this.healthcare,
+            compartments: this.base.compartments.map(({ key, name, colour }) => ({ key, name, colour })),
+            substages: this.compartments.filter(({ key }) => key in parents)
+                .map(({ key, name }) => ({ key, name, parent: parents[key] }))
+        };
+    }
+}
@@ -30,6 +30,18 @@ const generateParams = (start, end, step, defaultVal = null, labelFunc = null) =
     return params;
 };
 
+/**
+ * Generates parameter configurations from an explicit list of values
+ * Useful for ranges that are not evenly spaced, such as population sizes.
+ * 
+ * @param {Array} values - Values in the order they appear on the slider
+ * @param {number|null} defaultVal - Value to mark as default (optional)
+ * @param {Function|null} labelFunc - Optional function to format display labels
+ * @returns {Array} Array of parameter objects with {value, default?, label?} structure
+ */
+const generateParamsFromList = (values, defaultVal = null, labelFunc = null) =>
+    values.map(value => createParam(value, defaultVal, labelFunc));
+
 /**
  * Rounds a number to two decimal places
  * Prevents floating-point precision errors in parameter generation
@@ -104,12 +116,121 @@ const percentLabel = (val) => `${Math.round(val * 100)}%`;
  */
 const percentLabel2 = (val) => `${val}%`;
 
+/**
+ * Formats a number of substages, one substage giving exponentially distributed periods
+ * @example stageLabel(1) => "1 (exponential)", stageLabel(3) => "3 stages"
+ */
+const stageLabel = (val) => val === 1 ? '1 (exponential)' : `${val} stages`;
+
 /**
  * Formats log scale toggle value
  * @example logScaleLabel(0) => "Linear", logScaleLabel(1) => "Log10"
  */
 const logScaleLabel = (val) => `${val > 0 ? 'Log10' : 'Linear'}`;
 
+/**
+ * Formats the y-axis units toggle value
+ * @example yUnitsLabel(0) => "Percent", yUnitsLabel(1) => "Counts"
+ */
+const yUnitsLabel = (val) => val > 0 ? 'Counts' : 'Percent';
+
+/**
+ * Formats the flow panel toggle value
+ * @example flowPanelLabel(0) => "Daily", flowPanelLabel(1) => "Cumulative"
+ */
+const flowPanelLabel = (val) => val > 0 ? 'Cumulative' : 'Daily';
+
+/**
+ * Formats a birth rate per 1,000 people per year, with special handling for 0 (births replace deaths)
+ * @example birthRateLabel(0) => "Replace deaths", birthRateLabel(12) => "12 per 1,000/year"
+ */
+const birthRateLabel = (val) => val === 0 ? 'Replace deaths' : `${val} per 1,000/year`;
+
+/**
+ * Formats a share of infectious people admitted to hospital, keeping fractional percentages,
+ * with special handling for 0 (no hospital care)
+ * @example hospitalisationLabel(0) => "None", hospitalisationLabel(0.005) => "0.5%"
+ */
+const hospitalisationLabel = (val) => val === 0 ? 'None' : `${roundToTwoDecimals(val * 100)}%`;
+
+/**
+ * Formats intensive care beds per 100,000 people
+ * @example bedsLabel(10) => "10 per 100,000"
+ */
+const bedsLabel = (val) => `${val.toLocaleString('en-US')} per 100,000`;
+
+/**
+ * Formats transmission value (index into CONSTANTS.TRANSMISSION in seirs.js)
+ * @example transmissionLabel(0) => "Density-dependent", transmissionLabel(1) => "Frequency-dependent"
+ */
+const transmissionLabel = (val) => ['Density-dependent', 'Frequency-dependent'][val];
+
+/**
+ * Formats the equilibrium lines toggle value
+ * @example equilibriumLabel(0) => "Hidden", equilibriumLabel(1) => "Shown"
+ */
+const equilibriumLabel = (val) => val > 0 ? 'Shown' : 'Hidden';
+
+/**
+ * Formats simulation mode value (index into CONSTANTS.SIMULATION_MODES in seirs.js)
+ * @example simulationModeLabel(0) => "Deterministic", simulationModeLabel(2) => "Tau-leaping"
+ */
+const simulationModeLabel = (val) => ['Deterministic', 'Gillespie', 'Tau-leaping'][val];
+
+/**
+ * Formats seasonal forcing profile value (index into CONSTANTS.SEASONAL_FORCING in seirs.js)
+ * @example seasonalForcingLabel(0) => "Sinusoidal", seasonalForcingLabel(1) => "Term-time"
+ */
+const seasonalForcingLabel = (val) => ['Sinusoidal', 'Term-time'][val];
+
+/**
+ * Formats a day number
+ * @example dayNumberLabel(0) => "Day 0", dayNumberLabel(180) => "Day 180"
+ */
+const dayNumberLabel = (val) => `Day ${val}`;
+
+/**
+ * Formats vaccine type value (index into CONSTANTS.VACCINE_TYPES in seirs.js)
+ * @example vaccineTypeLabel(0) => "All-or-nothing", vaccineTypeLabel(1) => "Leaky"
+ */
+const vaccineTypeLabel = (val) => ['All-or-nothing', 'Leaky'][val];
+
+/**
+ * Formats a daily rate (0-1) as a percentage per day, keeping fractional percentages
+ * @example dailyPercentLabel(0.005) => "0.5%/day"
+ */
+const dailyPercentLabel = (val) => `${roundToTwoDecimals(val * 100)}%/day`;
+
+/**
+ * Formats population structure value (index into CONSTANTS.POPULATION_STRUCTURES in seirs.js)
+ * @example populationStructureLabel(0) => "Homogeneous", populationStructureLabel(2) => "Regions"
+ */
+const populationStructureLabel = (val) => ['Homogeneous', 'Age groups', 'Regions'][val];
+
+/**
+ * Formats the compartment split by group (index into CONSTANTS.GROUP_SPLIT in seirs.js)
+ * @example groupSplitLabel(0) => "None", groupSplitLabel(3) => "Infectious"
+ */
+const groupSplitLabel = (val) => ['None', 'Susceptible', 'Exposed', 'Infectious', 'Recovered', 'Vaccinated'][val];
+
+/**
+ * Formats integrator value
+ * @example integratorLabel(0) => "RK4 (1 day)", integratorLabel(1) => "Dormand-Prince"
+ */
+const integratorLabel = (val) => ['RK4 (1 day)', 'Dormand-Prince'][val];
+
+/**
+ * Formats a tolerance in scientific notation
+ * @example toleranceLabel(0.000001) => "1e-6"
+ */
+const toleranceLabel = (val) => val.toExponential(0);
+
+/**
+ * Formats a count with thousands separators
+ * @example countLabel(10000) => "10,000"
+ */
+const countLabel = (val) => val.toLocaleString('en-US');
+
 // ============================================================================
 // Parameter Value Definitions
 // ============================================================================
@@ -133,6 +254,12 @@ export const param_vals = {
     // Infectious period: 1 to 30 days (default: 14 days)
     // Duration of infectiousness before recovery
     infectious_period: generateParams(1, 30, 1, 14, dayLabel),
+
+    // Latent and infectious stages: 1 to 20 substages (default: 1)
+    // Splitting a period into k substages with the same mean makes its length Erlang-distributed,
+    // less spread out the larger k is (1 = exponential)
+    latent_stages: generateParams(1, 20, 1, 1, stageLabel),
+    infectious_stages: generateParams(1, 20, 1, 1, stageLabel),
     
     // Initial susceptible proportion: 0% to 100% in 1% increments (default: 99%)
     S0: generateParams(0, 1, 0.01, 0.99, percentLabel),
@@ -150,10 +277,123 @@ export const param_vals = {
     life_expectancy: generateParams(1, 100, 1, 76, yearLabel),
     
     // Vaccination rate: 0% to 100% in 1% increments (default: 0%)
-    // Proportion of population vaccinated (enter recovered compartment)
+    // Proportion of newborns and of the initial population vaccinated (enter vaccinated compartment)
     vaccination_rate: generateParams(0, 1, 0.01, 0.0, percentLabel),
 
+    // Vaccination campaign rate: 0% to 5% of susceptibles per day (default: 0%, meaning no campaign)
+    vaccine_campaign_rate: generateParamsFromList(
+        [0, 0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05], 0, dailyPercentLabel
+    ),
+
+    // Vaccine efficacy: 0% to 100% in 1% increments (default: 100%)
+    vaccine_efficacy: generateParams(0, 1, 0.01, 1.0, percentLabel),
+
+    // Vaccine type: 0 (All-or-nothing) or 1 (Leaky) (default: All-or-nothing)
+    // All-or-nothing protects a fraction of vaccinees fully; leaky protects every vaccinee partially
+    vaccine_type: generateParams(0, 1, 1, 0, vaccineTypeLabel),
+
+    // Vaccine immunity duration: 0 to 10 years in 0.1-year increments (default: 1 year)
+    // How long vaccine-derived immunity lasts before waning (0 = permanent)
+    vaccine_immunity_duration: generateParams(0, 10, 0.1, 1.0, immunityDurationLabel),
+
+    // Campaign start day: day 0 to 1000 in 10-day increments (default: day 0)
+    vaccine_start_day: generateParams(0, 1000, 10, 0, dayNumberLabel),
+
     // Log scale toggle: 0 (Linear) or 1 (Log10) (default: Linear)
     // Use logarithmic Y-axis scale for better visualization of small values
-    use_log_scale: generateParams(0, 1, 1, 0, logScaleLabel)
+    use_log_scale: generateParams(0, 1, 1, 0, logScaleLabel),
+
+    // Y-axis units: 0 (Percent of the living population) or 1 (Counts of people) (default: Percent)
+    use_counts: generateParams(0, 1, 1, 0, yUnitsLabel),
+
+    // Flow panel: 0 (Daily flows) or 1 (Cumulative totals since day 0) (default: Daily)
+    cumulative_flows: generateParams(0, 1, 1, 0, flowPanelLabel),
+
+    // Endemic equilibrium lines: 0 (Hidden) or 1 (Shown) (default: Hidden)
+    // Dashed reference lines at the long-run level of each compartment
+    show_equilibrium: generateParams(0, 1, 1, 0, equilibriumLabel),
+
+    // Substage curves: 0 (Hidden) or 1 (Shown) (default: Hidden)
+    // Thin curves for each substage of a compartment split into latent or infectious stages
+    show_substages: generateParams(0, 1, 1, 0, equilibriumLabel),
+
+    // Simulation mode: 0 (Deterministic), 1 (Gillespie) or 2 (Tau-leaping) (default: Deterministic)
+    // Stochastic modes simulate individuals and show run-to-run variability
+    simulation_mode: generateParams(0, 2, 1, 0, simulationModeLabel),
+
+    // Population size: 100 to 100,000 individuals (default: 1,000)
+    // Individuals in stochastic runs, and the population counted when the y-axis shows counts
+    population_size: generateParamsFromList(
+        [100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000], 1000, countLabel
+    ),
+
+    // Birth rate: 0 to 50 births per 1,000 people per year (default: 0, births replace natural deaths)
+    // Births proportional to the living population, which then grows or shrinks
+    birth_rate: generateParams(0, 50, 1, 0, birthRateLabel),
+
+    // Transmission: 0 (Density-dependent) or 1 (Frequency-dependent) (default: Density-dependent)
+    // Whether contacts grow and shrink with the population or stay the same per person
+    transmission: generateParams(0, 1, 1, 0, transmissionLabel),
+
+    // Hospitalisation: 0% to 20% of people leaving the infectious state (default: 0%, meaning no hospital care)
+    // Share admitted to hospital instead of recovering
+    hospitalisation: generateParamsFromList(
+        [0, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2], 0, hospitalisationLabel
+    ),
+
+    // Hospital stay: 1 to 30 days (default: 7 days)
+    // Days in hospital before discharge or intensive care
+    hospital_stay: generateParams(1, 30, 1, 7, dayLabel),
+
+    // ICU share: 0% to 100% of hospital patients in 5% increments (default: 25%)
+    icu_share: generateParams(0, 1, 0.05, 0.25, percentLabel),
+
+    // ICU stay: 1 to 30 days (default: 10 days)
+    icu_stay: generateParams(1, 30, 1, 10, dayLabel),
+
+    // ICU fatality: 0% to 100% of intensive care patients in 5% increments (default: 30%)
+    // Share who die when they have a bed, and when there are more patients than beds (default: 80%)
+    icu_fatality: generateParams(0, 1, 0.05, 0.3, percentLabel),
+    overflow_fatality: generateParams(0, 1, 0.05, 0.8, percentLabel),
+
+    // ICU capacity: 1 to 1,000 beds per 100,000 people (default: 10)
+    icu_capacity: generateParamsFromList([1, 2, 5, 10, 20, 50, 100, 200, 500, 1000], 10, bedsLabel),
+
+    // Number of stochastic runs: 10 to 200 in steps of 10 (default: 50)
+    n_runs: generateParams(10, 200, 10, 50),
+
+    // Random seed: 1 to 100 (default: 1)
+    // The same seed always reproduces the same ensemble
+    seed: generateParams(1, 100, 1, 1),
+
+    // Seasonal forcing profile: 0 (Sinusoidal) or 1 (Term-time square wave) (default: Sinusoidal)
+    seasonal_forcing: generateParams(0, 1, 1, 0, seasonalForcingLabel),
+
+    // Seasonal amplitude: 0% to 100% in 5% increments (default: 0%, meaning no seasonality)
+    // Relative variation of transmission above and below its mean
+    seasonal_amplitude: generateParams(0, 1, 0.05, 0, percentLabel),
+
+    // Seasonal period: 30 to 1095 days in 5-day increments (default: 365 days)
+    // Length of one seasonal cycle
+    seasonal_period: generateParams(30, 1095, 5, 365, dayLabel),
+
+    // Seasonal peak day: day 0 to 364 of the cycle (default: 0)
+    // Day of each cycle on which transmission is highest
+    seasonal_peak_day: generateParams(0, 364, 1, 0, dayNumberLabel),
+
+    // Population structure: 0 (Homogeneous mixing), 1 (Age groups with a contact matrix)
+    // or 2 (Regions coupled by mobility) (default: Homogeneous)
+    population_structure: generateParams(0, 2, 1, 0, populationStructureLabel),
+
+    // Compartment drawn separately for each age group or region: 0 (None) or S, E, I, R, V (default: None)
+    group_split: generateParams(0, 5, 1, 0, groupSplitLabel),
+
+    // Integrator: 0 (fixed 1-day RK4) or 1 (adaptive Dormand-Prince 5(4)) (default: RK4)
+    integrator: generateParams(0, 1, 1, 0, integratorLabel),
+
+    // Relative tolerance of the adaptive integrator: 1e-3 to 1e-10 (default: 1e-6)
+    rel_tol: generateParamsFromList([1e-3, 1e-4, 1e-5, 1e-6, 1e-7, 1e-8, 1e-9, 1e-10], 1e-6, toleranceLabel),
+
+    // Absolute tolerance of the adaptive integrator: 1e-6 to 1e-12 (default: 1e-9)
+    abs_tol: generateParamsFromList([1e-6, 1e-7, 1e-8, 1e-9, 1e-10, 1e-11, 1e-12], 1e-9, toleranceLabel)
 };
\ No newline at end of file
@@ -1,4 +1,12 @@
-// SEIRS model implementation
+// Interactive SEIRS model: plot, controls and panels built on the solvers of model.js
+
+import {
+    simulate, simulateStochastic, analyse, fit, sensitivity, sweep,
+    ParameterValidator, InterventionSchedule, AgeStructure, Metapopulation
+} from './model.js';
+import { CompartmentalModel, BUILT_IN_MODELS } from './models.js';
+import { parseCaseData } from './fitting.js';
+import { formatCsv, formatJson, standaloneSvg, renderPng, download } from './export.js';
 
 // ============================================================================
 // Constants
@@ -7,71 +15,202 @@
 const CONSTANTS = {
     DAYS_PER_YEAR: 365,               // Conversion factor for yearly rates to daily rates
     PERCENTAGE_SCALE: 100,            // Scale factor for displaying proportions as percentages
-    RK4: {
-        WEIGHT_MIDDLE: 2,             // Weight for k2 and k3 in RK4 formula
-        WEIGHT_DIVISOR: 6,            // Divisor in RK4 weighted average
-        HALF_STEP: 0.5                // Half step size for intermediate RK4 calculations
-    }
+    NEW_INTERVENTION: {
+        START: 30,                    // Start day of the first intervention added in the editor
+        DURATION: 30,                 // Days each new intervention lasts
+        REDUCTION: 0.5                // Reduction in transmission of each new intervention
+    },
+    NEW_AGE_GROUP: {
+        SHARE: 0.1,                   // Population share of each group added in the editor
+        CONTACTS: 1                   // Daily contacts of a new group with every group (and back)
+    },
+    // Illustrative four-group population with assortative mixing (contacts[a][b] per day)
+    DEFAULT_AGE_STRUCTURE: {
+        groups: [
+            { name: '0-19', share: 0.23, susceptibility: 0.5, ifr: null },
+            { name: '20-39', share: 0.27, susceptibility: 1, ifr: null },
+            { name: '40-59', share: 0.26, susceptibility: 1, ifr: null },
+            { name: '60+', share: 0.24, susceptibility: 1, ifr: null }
+        ],
+        contacts: [
+            [7.0, 2.5, 1.8, 0.5],
+            [2.2, 5.5, 2.6, 0.6],
+            [1.6, 2.6, 3.8, 0.9],
+            [0.8, 1.1, 1.6, 1.9]
+        ]
+    },
+    REGION_PLOT: {
+        WIDTH: 240,                   // Width of each region's small plot (SVG units)
+        HEIGHT: 120,                  // Height of each region's small plot (SVG units)
+        MARGIN: 4                     // Padding around each region's curves
+    },
+    NEW_REGION: {
+        POPULATION: 50000,            // Population of each region added in the editor
+        MOBILITY: 0.005               // Share of time spent by residents of a new region in every other region (and back)
+    },
+    // Illustrative regions: infection starts in the capital and spreads along commuting links
+    DEFAULT_METAPOPULATION: {
+        patches: [
+            { name: 'Capital', population: 400000, infected: 0.01 },
+            { name: 'Northtown', population: 150000, infected: 0 },
+            { name: 'Eastport', population: 100000, infected: 0 },
+            { name: 'Westvale', population: 50000, infected: 0 }
+        ],
+        mobility: [
+            [0, 0.02, 0.01, 0],
+            [0.05, 0, 0.002, 0],
+            [0.04, 0.002, 0, 0.01],
+            [0, 0, 0.03, 0]
+        ]
+    },
+    DEFAULT_FIT_POPULATION: 100000,   // Population size converting proportions into case counts
+    DEFAULT_SENSITIVITY_SAMPLES: 100, // Latin hypercube samples of a PRCC analysis
+    SENSITIVITY_OAT_SHARE: 0.1,       // Share of a slider's range each parameter moves either way in one-at-a-time analyses
+    SENSITIVITY_CHART: {
+        WIDTH: 480,                   // Width of the sensitivity chart (SVG units)
+        BAR_HEIGHT: 22,               // Height of each parameter's row
+        LABEL_WIDTH: 150,             // Width of the parameter labels left of the bars
+        VALUE_WIDTH: 50,              // Width of the values right of the bars
+        AXIS_HEIGHT: 24               // Height of the axis below the bars
+    },
+    PHASE_PLANE: {
+        WIDTH: 420,                   // Width of the phase-plane chart (SVG units)
+        HEIGHT: 320,                  // Height of the phase-plane chart
+        MARGIN: { top: 10, right: 16, bottom: 44, left: 64 },      // Space for the axes
+        ARROWS: 8,                    // Arrowheads along each trajectory
+        ARROW_SIZE: 7                 // Length of each arrowhead
+    },
+    SWEEP_HEATMAP: {
+        WIDTH: 480,                   // Width of the sweep heatmap (SVG units)
+        HEIGHT: 340,                  // Height of the sweep heatmap
+        MARGIN: { top: 8, right: 80, bottom: 44, left: 80 },       // Space for the axes and the colour legend
+        LEGEND_WIDTH: 12,             // Width of the colour legend
+        MAX_TICKS: 6,                 // Most labelled values on each axis
+        COLOURS: ['#fdf3e7', '#e67e22', '#6e2c00']                  // Colours of the lowest, middle and highest outcomes
+    },
+    FLOW_PANEL: {
+        MARGIN: { top: 24, bottom: 24 },   // Space for the title and the x-axis (the sides follow the main plot)
+        TICKS: 3                      // Ticks of the y-axis
+    },
+    // Flows accumulated by the solvers (see TRACKED in models.js), as drawn in the flow panel
+    FLOW_SERIES: [
+        { key: 'infections', name: 'New infections' },
+        { key: 'cases', name: 'New cases' },
+        { key: 'recoveries', name: 'Recoveries' },
+        { key: 'disease_deaths', name: 'Disease deaths' },
+        { key: 'natural_deaths', name: 'Natural deaths' }
+    ],
+    PLOT_NAVIGATION: {
+        MIN_ZOOM_DAYS: 2,             // Fewest days shown by zooming into a range brushed across the plot
+        TOOLTIP_OFFSET: 12            // Distance of the crosshair tooltip from the crosshair (pixels)
+    },
+    URL_HISTORY_DELAY: 1000,          // Milliseconds within which changes share one browser history entry
+    SOLVER_PROGRESS_DELAY: 250,       // Milliseconds after which a computation shows its progress
+    SCENARIO_STORAGE_KEY: 'seirs-scenarios',  // localStorage key of the pinned scenarios
+    MAX_SCENARIOS: 6,                 // Pinned scenarios, each drawn with one of the GROUP_DASHES
+    GROUP_DASHES: ['6,3', '2,3', '8,3,2,3', '12,4', '1,2', '4,2,1,2'],     // Dash patterns of group curves
+    SERIES_PALETTE: ['#16a085', '#d35400', '#2980b9', '#c0392b', '#f39c12', '#7f8c8d'],  // Colours of compartments without styles
+    POPULATION_STRUCTURES: ['homogeneous', 'age-structured', 'metapopulation'],  // Indexed by the population_structure slider
+    GROUP_SPLIT: [null, 's', 'e', 'i', 'r', 'v'],                        // Indexed by the group_split slider
+    VACCINE_TYPES: ['all-or-nothing', 'leaky'],                    // Indexed by the vaccine_type slider
+    SEASONAL_FORCING: ['sinusoidal', 'term-time'],                 // Indexed by the seasonal_forcing slider
+    SIMULATION_MODES: ['deterministic', 'gillespie', 'tau-leap'],  // Indexed by the simulation_mode slider
+    INTEGRATORS: ['rk4', 'dopri5'],                                // Indexed by the integrator slider
+    TRANSMISSION: ['density', 'frequency'],                        // Indexed by the transmission slider
+    MODEL_SETTINGS: [                                              // Settings whose sliders a model may leave unused
+        'S0', 'R0', 'latent_period', 'infectious_period', 'latent_stages', 'infectious_stages', 'death_onset',
+        'immunity_duration', 'life_expectancy', 'birth_rate', 'vaccination_rate', 'vaccine'
+    ]
+};
+
+// Validators of the parameters edited in tables rather than sliders (each throws if a value is invalid)
+const STRUCTURED_PARAMETERS = {
+    interventions: value => new InterventionSchedule(value),
+    age_structure: value => new AgeStructure(value),
+    metapopulation: value => new Metapopulation(value),
+    model: value => CompartmentalModel.from(value)
 };
 
+// Compartments coloured by seirs.css (varS, varE, ...); the page styles those of other models itself
+const STYLED_COMPARTMENTS = ['s', 'e', 'i', 'r', 'v', 'd', 'h', 'c'];
+
 // ============================================================================
-// Validation Utilities
+// Utility Functions
 // ============================================================================
 
 /**
- * Validates input parameters for the SEIR model
+ * Formats an eigenvalue as "a ± bi" (or "a" when real), to three significant figures
+ * @param {Object} eigenvalue - {re, im}
+ * @returns {string} Formatted eigenvalue
  */
-class ParameterValidator {
-    /**
-     * Validates that a value is within a specified range
-     * @param {number} value - The value to validate
-     * @param {number} min - Minimum allowed value
-     * @param {number} max - Maximum allowed value
-     * @param {string} name - Parameter name for error messages
-     */
-    static validateRange(value, min, max, name) {
-        if (value < min || value > max) {
-            throw new Error(`${name} must be between ${min} and ${max}`);
-        }
-    }
-
-    /**
-     * Validates that a value is positive (> 0)
-     * @param {number} value - The value to validate
-     * @param {string} name - Parameter name for error messages
-     */
-    static validatePositive(value, name) {
-        if (value <= 0) {
-            throw new Error(`${name} must be positive`);
-        }
-    }
+const formatEigenvalue = ({ re, im }) => {
+    const real = re.toPrecision(3);
+    return im === 0 ? real : `${real} ± ${Math.abs(im).toPrecision(3)}i`;
+};
 
-    /**
-     * Validates that a value is non-negative (>= 0)
-     * @param {number} value - The value to validate
-     * @param {string} name - Parameter name for error messages
-     */
-    static validateNonNegative(value, name) {
-        if (value < 0) {
-            throw new Error(`${name} must be non-negative`);
-        }
+/**
+ * Units of the plot's y-axis: percent of the living population, or people in a population of
+ * population_size (use_counts)
+ * 
+ * @param {Object} params - Plot parameters (default: percent)
+ * @returns {Object} {id, counts, scale, min, format, tick}: an identifier of the units, whether they
+ *                   count people, the value of the whole initial population, the minimum of a log
+ *                   scale, and formatters of values and of axis ticks
+ */
+const yUnits = (params = {}) => {
+    if (!params.use_counts) {
+        const format = value => `${value.toFixed(2)}%`;
+        return { id: 'percent', counts: false, scale: CONSTANTS.PERCENTAGE_SCALE, min: 0.01, format, tick: null };
     }
-}
+    return {
+        id: `counts-${params.population_size}`,
+        counts: true,
+        scale: params.population_size,
+        min: 1,
+        format: d3.format(',.0f'),
+        tick: d3.format('s')
+    };
+};
 
-// ============================================================================
-// Utility Functions
-// ============================================================================
+/**
+ * Compartments of a model as drawn on the plot, each with the class that colours it (varS, ...,
+ * or modelS, ... for compartments given their own colour by the model, see styleSeries)
+ * 
+ * @param {Object} model - Model of a run (see CompartmentalModel.describe in models.js)
+ * @returns {Array} [{key, class, name, colour}] in the order of the model
+ */
+const modelSeries = model => model.compartments.map(({ key, name, colour }) =>
+    ({ key, class: `${colour === null ? 'var' : 'model'}${key.toUpperCase()}`, name, colour }));
 
 /**
- * Clamps a value between min and max bounds
- * Used to ensure compartment values stay in valid range [0,1]
+ * Colours the compartments that seirs.css does not style, and those given a colour by their model,
+ * with the rules of the built-in compartments (kept in a style element of their own)
  * 
- * @param {number} value - The value to clamp
- * @param {number} min - Minimum allowed value (default: 0)
- * @param {number} max - Maximum allowed value (default: 1)
- * @returns {number} Clamped value between min and max
+ * @param {Array} series - Compartments drawn on the plot (see modelSeries)
  */
-const clamp = (value, min = 0, max = 1) => Math.max(min, Math.min(max, value));
+const styleSeries = series => {
+    const palette = CONSTANTS.SERIES_PALETTE;
+    const rules = series
+        .filter(({ key, colour }) => colour !== null || !STYLED_COMPARTMENTS.includes(key))
+        .map(({ class: className, colour }, ix) => {
+            const c = colour || palette[ix % palette.length];
+            const is = `:where(.${className})`;
+            return [
+                `${is} { color: ${c}; font-weight: 600; }`,
+                `.badge${is} { background: color-mix(in srgb, ${c} 10%, transparent); padding: 0.1875rem 0.5625rem; ` +
+                    'border-radius: 15px; display: inline-block; margin: 0 0.15rem; font-size: 0.825rem; }',
+                `:where(path, line).${className} { stroke: ${c}; stroke-width: 3; fill: none; }`,
+                `path.band${is} { fill: ${c}; }`,
+                `circle.crosshair-marker${is} { fill: ${c}; }`,
+                `.tooltip-row${is} span:first-child { color: ${c}; }`,
+                `.playback-share${is} { background: ${c}; }`
+            ].join('\n');
+        });
+
+    const head = d3.select('head');
+    if (head.select('#series-styles').empty()) head.append('style').attr('id', 'series-styles');
+    head.select('#series-styles').text(rules.join('\n'));
+};
 
 /**
  * Formats numerical array data for plotting
@@ -93,251 +232,239 @@ const formatDataForPlot = (array, scale = CONSTANTS.PERCENTAGE_SCALE, minValue =
     });
 };
 
+/**
+ * Formats a pair of lower/upper bound arrays as a band for plotting
+ * 
+ * @param {Array|TypedArray} lower - Lower bound proportions (0-1)
+ * @param {Array|TypedArray} upper - Upper bound proportions (0-1)
+ * @param {number} scale - Scale factor to apply (default: 100 for percentage)
+ * @param {number|null} minValue - Minimum Y value for log scale (default: null for linear scale)
+ * @returns {Array} Array of {x, y0, y1} objects for D3 area plotting
+ */
+const formatBandForPlot = (lower, upper, scale = CONSTANTS.PERCENTAGE_SCALE, minValue = null) => {
+    const y0 = formatDataForPlot(lower, scale, minValue);
+    const y1 = formatDataForPlot(upper, scale, minValue);
+    return y0.map((point, index) => ({ x: point.x, y0: point.y, y1: y1[index].y }));
+};
+
 // ============================================================================
-// SEIR Model Core
+// SEIR Solver
 // ============================================================================
 
 /**
- * Calculates the rate parameters for the SEIR model
+ * Formats every output series for plotting
  * 
- * Model parameters:
- * - beta: Transmission rate (contact rate × probability of transmission)
- * - sigma: Rate of progression from exposed to infectious (1/latent_period)
- * - gamma: Recovery rate (1/infectious_period)
- * - alpha: Disease-induced death rate (1/death_onset)
- * - mu: Natural death/birth rate (1/life_expectancy)
- * - omega: Immunity waning rate (1/immunity_duration)
+ * @param {Object} summary - Series keyed by compartment (see SEIRTransitions.summarise in model.js)
+ * @param {number|null} logScaleMinValue - Minimum Y value for log scale
+ * @param {number} scale - Scale factor to apply (default: 100 for percentage)
+ * @returns {Object} Formatted series with the same keys
  */
-class SEIRParameters {
-    constructor(config) {
-        const { R0, infectious_period, latent_period, death_onset, immunity_duration, life_expectancy } = config;
-        
-        // Disease-induced death rate (0 if death_onset is 0, meaning no disease-induced deaths)
-        this.alpha = death_onset > 0 ? 1 / death_onset : 0;
-        
-        // Recovery rate (1/days to recover)
-        this.gamma = 1 / infectious_period;
-        
-        // Immunity waning rate (convert years to days, 0 if immunity_duration is 0, meaning permanent immunity)
-        this.omega = immunity_duration > 0 ? 1 / (CONSTANTS.DAYS_PER_YEAR * immunity_duration) : 0;
-        
-        // Natural death/birth rate (convert years to days)
-        this.mu = 1 / (CONSTANTS.DAYS_PER_YEAR * life_expectancy);
-        
-        // Rate of progression from exposed to infectious
-        this.sigma = 1 / latent_period;
-        
-        // Transmission rate calculated from R0 and other parameters
-        // R0 = beta * sigma / ((sigma + mu) * (gamma + mu + alpha))
-        this.beta = R0 * (this.gamma + this.mu + this.alpha) * (this.sigma + this.mu) / this.sigma;
-    }
-}
+const formatSummaryForPlot = (summary, logScaleMinValue, scale = CONSTANTS.PERCENTAGE_SCALE) => Object.fromEntries(
+    Object.entries(summary).map(([key, values]) =>
+        [key, formatDataForPlot(values, scale, logScaleMinValue)])
+);
 
 /**
- * Calculates the rate of change (derivatives) for each SEIR compartment
+ * Formats the raw output of simulate() or simulateStochastic() for plotting
  * 
- * Differential equations:
- * dS/dt = -beta*S*I + omega*R - mu*S + mu*(1-p)
- * dE/dt = beta*S*I - sigma*E - mu*E
- * dI/dt = sigma*E - gamma*I - (mu+alpha)*I
- * dR/dt = gamma*I - omega*R - mu*R + mu*p
+ * Series and quantile bands become {x, y} points in percent of the living population, or in people
+ * when the units count them, clamped for log scale, and are keyed directly by compartment
+ * (s, e, ..., s_0, ...). Rt keeps its own scale.
  * 
- * where p is the vaccination rate
+ * @param {Object} output - Raw solver output (see model.js)
+ * @param {number|null} logScaleMinValue - Minimum Y value for log scale (default: null for linear scale)
+ * @param {Object} units - Units of the y-axis (default: percent, see yUnits)
+ * @returns {Object} Formatted series and bands with the metrics, groups and statistics of the run
  */
-class SEIRTransitions {
-    constructor(params, vaccination_rate) {
-        this.params = params;
-        this.vaccination_rate = vaccination_rate;
+const formatOutput = (output, logScaleMinValue = null, units = yUnits()) => {
+    const { t, series, bands, rt, incidence, population, ...rest } = output;
+    // Counts scale shares of the initial population; percentages are of the population alive each day
+    const relative = values => units.counts ? values
+        : Float64Array.from(values, (value, day) => population[day] > 0 ? value / population[day] : 0);
+    const formatted = {
+        ...rest,
+        ...formatSummaryForPlot(Object.fromEntries(Object.entries(series).map(([key, values]) => [key, relative(values)])),
+            logScaleMinValue, units.scale),
+        rt: formatDataForPlot(rt, 1),
+        incidence: formatDataForPlot(relative(incidence), units.scale),
+        ymax: units.scale
+    };
+    if (bands) {
+        const format = ([lower, upper]) =>
+            formatBandForPlot(relative(lower), relative(upper), units.scale, logScaleMinValue);
+        formatted.bands = Object.fromEntries(Object.entries(bands).map(([key, { inner, outer }]) =>
+            [key, { inner: format(inner), outer: format(outer) }]));
     }
+    return formatted;
+};
 
-    /**
-     * Calculates derivatives for all compartments at current state
-     * @param {number} s - Susceptible proportion
-     * @param {number} e - Exposed proportion
-     * @param {number} i - Infectious proportion
-     * @param {number} r - Recovered proportion
-     * @returns {Object} Derivatives {ds, de, di, dr}
-     */
-    calculateDerivatives(s, e, i, r) {
-        const { beta, sigma, gamma, omega, mu, alpha } = this.params;
-        const p = this.vaccination_rate;
-
-        // Calculate transition rates between compartments
-        const s_to_e = beta * s * i;      // Force of infection
-        const e_to_i = sigma * e;          // Progression to infectious
-        const i_to_r = gamma * i;          // Recovery
-        const r_to_s = omega * r;          // Immunity waning
+// ============================================================================
+// Background Computation
+// ============================================================================
 
-        return {
-            // Susceptible: lose to infection, gain from waning immunity and births
-            ds: -s_to_e + r_to_s - mu * s + mu * (1 - p),
-            
-            // Exposed: gain from infection, lose to progression and death
-            de: s_to_e - e_to_i - mu * e,
-            
-            // Infectious: gain from exposed, lose to recovery and death
-            di: e_to_i - i_to_r - (mu + alpha) * i,
-            
-            // Recovered: gain from recovery and vaccinated births, lose to waning and death
-            dr: i_to_r - r_to_s - mu * r + mu * p
-        };
-    }
-}
+// Solvers that can run on the main thread when no worker is available (as in solver-worker.js)
+const MAIN_THREAD_SOLVERS = { simulate, simulateStochastic, fit, sensitivity, sweep };
 
 /**
- * Runge-Kutta 4th order numerical integrator
+ * Runs solver jobs one at a time in a Web Worker (see solver-worker.js), so the page only renders
  * 
- * RK4 is a high-accuracy method for solving ODEs:
- * x(t+h) = x(t) + (h/6) * (k1 + 2*k2 + 2*k3 + k4)
- * 
- * where:
- * k1 = f(x, t)
- * k2 = f(x + 0.5*h*k1, t + 0.5*h)
- * k3 = f(x + 0.5*h*k2, t + 0.5*h)
- * k4 = f(x + h*k3, t + h)
+ * In coalescing mode only the newest job is kept while another runs: waiting jobs are dropped, the
+ * result of a running job is discarded, and a running job that takes longer than
+ * CONSTANTS.SOLVER_PROGRESS_DELAY is cancelled by restarting the worker. Jobs dropped this way
+ * reject with an error whose superseded property is true. Otherwise jobs run in the order submitted.
+ * Where module workers are unavailable (such as pages opened from file://), jobs run on the main thread.
  */
-class RK4Integrator {
-    constructor(transitions) {
-        this.transitions = transitions;
+class SolverClient {
+    /**
+     * @param {Object} options - {coalesce, onProgress}, where onProgress is called with {fraction}
+     *                           (null while unknown) once a job runs long, and with null when idle
+     */
+    constructor({ coalesce = false, onProgress = () => {} } = {}) {
+        this.coalesce = coalesce;
+        this.onProgress = onProgress;
+        this.queue = [];
+        this.running = null;
+        this.worker = null;
+        this.inline = typeof window.Worker === 'undefined';
+        this.nextId = 1;
     }
 
     /**
-     * Performs one RK4 integration step
-     * @param {Array} state - Current state [s, e, i, r]
-     * @param {number} h - Time step size
-     * @returns {Array} New state [s_new, e_new, i_new, r_new]
+     * Error of a job dropped in favour of a newer one
      */
-    step(state, h) {
-        const [s, e, i, r] = state;
-        const { HALF_STEP, WEIGHT_MIDDLE, WEIGHT_DIVISOR } = CONSTANTS.RK4;
-
-        // k1: slope at beginning of interval
-        const k1 = this.transitions.calculateDerivatives(s, e, i, r);
-        
-        // k2: slope at midpoint using k1
-        const k2 = this.transitions.calculateDerivatives(
-            s + HALF_STEP * h * k1.ds,
-            e + HALF_STEP * h * k1.de,
-            i + HALF_STEP * h * k1.di,
-            r + HALF_STEP * h * k1.dr
-        );
+    static superseded() {
+        const error = new Error('Superseded by a newer run');
+        error.superseded = true;
+        return error;
+    }
 
-        // k3: slope at midpoint using k2
-        const k3 = this.transitions.calculateDerivatives(
-            s + HALF_STEP * h * k2.ds,
-            e + HALF_STEP * h * k2.de,
-            i + HALF_STEP * h * k2.di,
-            r + HALF_STEP * h * k2.dr
-        );
+    /**
+     * Submits a job
+     * @param {string} solver - 'simulate', 'simulateStochastic', 'fit', 'sensitivity' or 'sweep' (see model.js)
+     * @param {...*} args - Arguments of the solver
+     * @returns {Promise} Resolves to the solver's output
+     */
+    run(solver, ...args) {
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextId++, solver, args, resolve, reject, long: false, stale: false, fraction: null };
+            if (this.coalesce) {
+                this.queue.forEach(waiting => waiting.reject(SolverClient.superseded()));
+                this.queue = [job];
+                if (this.running) {
+                    this.running.stale = true;
+                    if (this.running.long && this.worker) this.cancel();
+                }
+            } else {
+                this.queue.push(job);
+            }
+            if (!this.running) this.next();
+        });
+    }
 
-        // k4: slope at end of interval using k3
-        const k4 = this.transitions.calculateDerivatives(
-            s + h * k3.ds,
-            e + h * k3.de,
-            i + h * k3.di,
-            r + h * k3.dr
-        );
+    /**
+     * Starts the next waiting job, if any
+     */
+    next() {
+        const job = this.queue.shift() || null;
+        this.running = job;
+        if (!job) {
+            this.onProgress(null);
+            return;
+        }
 
-        // Helper to compute weighted average of slopes
-        const weightedSum = (k1, k2, k3, k4) => 
-            (h / WEIGHT_DIVISOR) * (k1 + WEIGHT_MIDDLE * k2 + WEIGHT_MIDDLE * k3 + k4);
+        job.timer = setTimeout(() => {
+            job.long = true;
+            if (job.stale && this.worker) {
+                this.cancel();
+                this.next();
+            } else {
+                this.onProgress({ fraction: job.fraction });
+            }
+        }, CONSTANTS.SOLVER_PROGRESS_DELAY);
 
-        // Return new state using RK4 formula
-        return [
-            s + weightedSum(k1.ds, k2.ds, k3.ds, k4.ds),
-            e + weightedSum(k1.de, k2.de, k3.de, k4.de),
-            i + weightedSum(k1.di, k2.di, k3.di, k4.di),
-            r + weightedSum(k1.dr, k2.dr, k3.dr, k4.dr)
-        ];
+        if (this.inline) {
+            setTimeout(() => this.runInline(job), 0);
+        } else {
+            this.getWorker().postMessage({ id: job.id, solver: job.solver, args: job.args });
+        }
     }
-}
-
-// ============================================================================
-// SEIR Solver
-// ============================================================================
 
-/**
- * Main solver function for the SEIR model
- * 
- * @param {number} S0 - Initial proportion susceptible (0-1)
- * @param {number} R0 - Basic reproduction number
- * @param {number} latent_period - Days in exposed state
- * @param {number} infectious_period - Days in infectious state
- * @param {number} n - Number of time steps to simulate
- * @param {number} death_onset - Days until disease-induced death (default: 100)
- * @param {number} immunity_duration - Years of immunity (default: 1)
- * @param {number} life_expectancy - Years of life expectancy (default: 76)
- * @param {number} vaccination_rate - Proportion vaccinated at birth (0-1, default: 0.5)
- * @returns {Object} Time series data for S, E, I, R compartments
- */
-export const solve = (
-    S0,
-    R0,
-    latent_period,
-    infectious_period,
-    n,
-    death_onset = 100,
-    immunity_duration = 1,
-    life_expectancy = 76,
-    vaccination_rate = 0.5,
-    logScaleMinValue = null
-) => {
-    // Validate all input parameters
-    ParameterValidator.validatePositive(n, 'Number of time steps');
-    ParameterValidator.validateRange(S0, 0, 1, 'Initial susceptibility');
-    ParameterValidator.validatePositive(R0, 'R0');
-    ParameterValidator.validatePositive(infectious_period, 'Infectious period');
-    ParameterValidator.validatePositive(latent_period, 'Latent period');
-    ParameterValidator.validateNonNegative(immunity_duration, 'Immunity duration');
-    ParameterValidator.validatePositive(life_expectancy, 'Life expectancy');
-    ParameterValidator.validateNonNegative(death_onset, 'Death onset');
-    ParameterValidator.validateRange(vaccination_rate, 0, 1, 'Vaccination rate');
-
-    // Initialize state arrays (use Float64Array for performance)
-    const state = {
-        s: new Float64Array(n + 1),
-        e: new Float64Array(n + 1),
-        i: new Float64Array(n + 1),
-        r: new Float64Array(n + 1)
-    };
+    /**
+     * Worker of this client, started on first use
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new window.Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = ({ data }) => this.receive(data);
+            // The worker could not be loaded: run this and later jobs on the main thread instead
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                this.worker.terminate();
+                this.worker = null;
+                this.inline = true;
+                if (this.running) setTimeout(() => this.runInline(this.running), 0);
+            };
+        }
+        return this.worker;
+    }
 
-    // Set initial conditions
-    state.s[0] = S0 - vaccination_rate;  // Susceptible minus those vaccinated
-    state.e[0] = 1.0 - S0;               // Initially exposed
-    state.i[0] = 0.0;                    // No infectious initially
-    state.r[0] = vaccination_rate;       // Vaccinated individuals start as recovered
+    /**
+     * Runs a job on the main thread
+     */
+    runInline(job) {
+        if (job !== this.running) return;
+        if (job.stale) {
+            this.finish(job, {});
+            return;
+        }
+        try {
+            this.finish(job, { type: 'result', output: MAIN_THREAD_SOLVERS[job.solver](...job.args) });
+        } catch (error) {
+            this.finish(job, { type: 'error', message: error.message });
+        }
+    }
 
-    // Setup model components
-    const params = new SEIRParameters({
-        R0, infectious_period, latent_period, death_onset, immunity_duration, life_expectancy
-    });
-    const transitions = new SEIRTransitions(params, vaccination_rate);
-    const integrator = new RK4Integrator(transitions);
-
-    // Integrate over time using RK4
-    const timeStep = 1.0;  // 1 day per step
-    for (let ix = 0; ix < n; ix++) {
-        const [s_new, e_new, i_new, r_new] = integrator.step(
-            [state.s[ix], state.e[ix], state.i[ix], state.r[ix]], 
-            timeStep
-        );
+    /**
+     * Handles a message from the worker
+     */
+    receive(message) {
+        const job = this.running;
+        if (!job || message.id !== job.id) return;
+        if (message.type === 'progress') {
+            job.fraction = message.fraction;
+            if (job.long) this.onProgress({ fraction: job.fraction });
+            return;
+        }
+        this.finish(job, message);
+    }
 
-        // Clamp values to [0,1] to prevent numerical errors
-        state.s[ix + 1] = clamp(s_new);
-        state.e[ix + 1] = clamp(e_new);
-        state.i[ix + 1] = clamp(i_new);
-        state.r[ix + 1] = clamp(r_new);
+    /**
+     * Settles a finished job and starts the next one
+     */
+    finish(job, { type, output, message }) {
+        clearTimeout(job.timer);
+        if (job.stale) {
+            job.reject(SolverClient.superseded());
+        } else if (type === 'result') {
+            job.resolve(output);
+        } else {
+            job.reject(new Error(message));
+        }
+        this.next();
     }
 
-    // Return formatted data for plotting
-    return {
-        s: formatDataForPlot(state.s, CONSTANTS.PERCENTAGE_SCALE, logScaleMinValue),
-        e: formatDataForPlot(state.e, CONSTANTS.PERCENTAGE_SCALE, logScaleMinValue),
-        i: formatDataForPlot(state.i, CONSTANTS.PERCENTAGE_SCALE, logScaleMinValue),
-        r: formatDataForPlot(state.r, CONSTANTS.PERCENTAGE_SCALE, logScaleMinValue),
-        ymax: CONSTANTS.PERCENTAGE_SCALE
-    };
-};
+    /**
+     * Abandons the running job by restarting the worker
+     */
+    cancel() {
+        const job = this.running;
+        clearTimeout(job.timer);
+        this.worker.terminate();
+        this.worker = null;
+        this.running = null;
+        job.reject(SolverClient.superseded());
+    }
+}
 
 // ============================================================================
 // Plot Configuration
@@ -362,15 +489,70 @@ class PlotConfiguration {
             R0: 3.0,                     // Basic reproduction number
             latent_period: 7.0,          // 7 days latent period
             infectious_period: 14.0,     // 14 days infectious period
+            latent_stages: 1,            // Exponentially distributed latent period (one substage)
+            infectious_stages: 1,        // Exponentially distributed infectious period (one substage)
             n_days: 3000,                // Simulate 3000 days
-            y_max: 100,                  // Y-axis max (percentage)
+            y_max: 100,                  // Y-axis max (percentage of the population, or of population_size people)
             death_onset: 0,              // No disease-induced death (0 = disabled)
             immunity_duration: 1,        // 1 year of immunity
             life_expectancy: 76,         // 76 years life expectancy
             vaccination_rate: 0,         // No vaccination (0% vaccination rate)
-            use_log_scale: false         // Use linear Y-axis scale
+            use_log_scale: false,        // Use linear Y-axis scale
+            use_counts: false,           // Y-axis in percent of the living population rather than people
+            show_equilibrium: false,     // Hide the endemic equilibrium reference lines
+            show_substages: false,       // Hide the curves of the substages of split compartments
+            cumulative_flows: false,     // Flow panel shows daily flows rather than running totals
+            simulation_mode: 0,          // Deterministic (see CONSTANTS.SIMULATION_MODES)
+            population_size: 1000,       // Individuals in stochastic runs and in counts on the y-axis
+            birth_rate: 0,               // Births replace natural deaths (else births per 1,000 people per year)
+            transmission: 0,             // Density-dependent transmission (see CONSTANTS.TRANSMISSION)
+            hospitalisation: 0,          // No hospital care (else share of infectious people admitted to hospital)
+            hospital_stay: 7,            // 7 days in hospital
+            icu_share: 0.25,             // 25% of hospital patients need intensive care
+            icu_stay: 10,                // 10 days in intensive care
+            icu_fatality: 0.3,           // 30% of intensive care patients with a bed die
+            overflow_fatality: 0.8,      // 80% of intensive care patients beyond the beds die
+            icu_capacity: 10,            // 10 intensive care beds per 100,000 people
+            n_runs: 50,                  // Realisations per stochastic ensemble
+            seed: 1,                     // Random seed for stochastic ensembles
+            integrator: 0,               // Fixed-step RK4 (see CONSTANTS.INTEGRATORS)
+            rel_tol: 1e-6,               // Relative tolerance of the adaptive integrator
+            abs_tol: 1e-9,               // Absolute tolerance of the adaptive integrator
+            interventions: [],           // Periods of reduced transmission {start, end, reduction, ramp_in, ramp_out}
+            seasonal_forcing: 0,         // Sinusoidal forcing (see CONSTANTS.SEASONAL_FORCING)
+            seasonal_amplitude: 0,       // No seasonal variation in transmission
+            seasonal_period: 365,        // Seasonal cycle of one year
+            seasonal_peak_day: 0,        // Transmission peaks on day 0 of each cycle
+            vaccine_campaign_rate: 0,    // No vaccination campaign (0% of susceptibles per day)
+            vaccine_efficacy: 1,         // Fully effective vaccine
+            vaccine_type: 0,             // All-or-nothing (see CONSTANTS.VACCINE_TYPES)
+            vaccine_immunity_duration: 1,  // 1 year of vaccine-derived immunity
+            vaccine_start_day: 0,        // Campaign starts on day 0
+            population_structure: 0,     // Homogeneous mixing (see CONSTANTS.POPULATION_STRUCTURES)
+            group_split: 0,              // No compartment split by group (see CONSTANTS.GROUP_SPLIT)
+            age_structure: CONSTANTS.DEFAULT_AGE_STRUCTURE,      // Age groups and contact matrix
+            metapopulation: CONSTANTS.DEFAULT_METAPOPULATION,    // Regions and mobility matrix
+            model: 'seirs'                                       // Built-in model name or loaded specification (see models.js)
         };
 
+        // Zoomed days and y-axis range of the plot (null shows the full range, see PlotNavigator),
+        // and the compartments hidden with the legend badges
+        this.view = { x: null, y: null, y_full: null };
+        this.hidden_series = new Set();
+
+        // Last day drawn while the run is played back (null draws all of it, see PlaybackController)
+        this.playback_day = null;
+
+        // Curves, bands and markers are drawn in a layer clipped to the plot area, so that zoomed
+        // views stay within the axes
+        this.clip_rect = this.svg.append('svg:defs')
+            .append('svg:clipPath')
+            .attr('id', 'plot-clip')
+            .append('svg:rect');
+        this.data_layer = this.svg.append('svg:g')
+            .attr('class', 'data-layer')
+            .attr('clip-path', 'url(#plot-clip)');
+
         this.updateDimensions();
         this.initializeLineGenerator();
     }
@@ -392,6 +574,13 @@ class PlotConfiguration {
             .x(d => this.x_range(d.x))
             .y(d => this.y_range(d.y))
             .interpolate('linear');
+
+        // Area generator for quantile bands of stochastic ensembles
+        this.draw_area = d3.svg.area()
+            .x(d => this.x_range(d.x))
+            .y0(d => this.y_range(d.y0))
+            .y1(d => this.y_range(d.y1))
+            .interpolate('linear');
     }
 }
 
@@ -413,8 +602,8 @@ class PlotParameterManager {
      * Initializes parameters from form controls without updating plot
      */
     initialize() {
-        this.plot.ctrls.selectAll('select').each(this.createSetter(false));
-        this.plot.ctrls.selectAll('input').each(this.createSetter(false));
+        this.plot.ctrls.selectAll('.plot-control select').each(this.createSetter(false));
+        this.plot.ctrls.selectAll('.plot-control input').each(this.createSetter(false));
     }
     
     /**
@@ -453,13 +642,88 @@ class PlotParameterManager {
         plot.update();
     }
 
+    /**
+     * Formats a parameter value the way its slider shows it
+     */
+    formatValue(id, value) {
+        const entry = (this.param_vals[id] || []).find(item => item.value === Number(value));
+        return entry && entry.label !== undefined ? String(entry.label) : String(value);
+    }
+
+    /**
+     * Sets a parameter to the given value (without updating the plot) and moves its slider to the
+     * nearest position; the label is marked with ≈ when the value falls between slider positions
+     */
+    setParameter(id, value) {
+        this.plot.params[id] = value;
+
+        const input = this.plot.ctrls.select(`#${id}`).node();
+        if (!input || !input.data) return;
+        const ix = input.data.reduce((best, entry, index) =>
+            Math.abs(entry.value - value) < Math.abs(input.data[best].value - value) ? index : best, 0);
+        input.value = ix;
+
+        const entry = input.data[ix];
+        const label = d3.select(input.parentNode).select(".show_value")[0][0];
+        if (label) {
+            label.textContent = (entry.value === value ? '' : '≈ ')
+                + (entry.label !== undefined ? entry.label : entry.value);
+        }
+    }
+
+    /**
+     * Sets parameters from outside the page, such as a shared link (without updating the plot)
+     * 
+     * Slider parameters snap to the nearest slider position and structured parameters are validated;
+     * unknown, invalid or out-of-range values produce a warning instead of an error.
+     * 
+     * @param {Object} values - Parameter values by name
+     * @returns {Array} Warnings describing values that were ignored or changed
+     */
+    applyParameters(values) {
+        const warnings = [];
+        Object.entries(values).forEach(([id, value]) => {
+            if (!(id in this.plot.params)) {
+                warnings.push(`Unknown parameter '${id}' was ignored`);
+                return;
+            }
+
+            if (id in STRUCTURED_PARAMETERS) {
+                try {
+                    STRUCTURED_PARAMETERS[id](value);
+                    this.plot.params[id] = value;
+                } catch (error) {
+                    warnings.push(`Invalid value ${JSON.stringify(value)} for ${id} was ignored: ${error.message}`);
+                }
+                return;
+            }
+
+            const entries = this.param_vals[id];
+            const number = typeof value === 'boolean' ? Number(value) : value;
+            if (!entries || typeof number !== 'number' || !Number.isFinite(number)) {
+                warnings.push(`Invalid value ${JSON.stringify(value)} for ${id} was ignored`);
+                return;
+            }
+
+            const nearest = entries.reduce((best, entry) =>
+                Math.abs(entry.value - number) < Math.abs(best.value - number) ? entry : best);
+            const min = Math.min(...entries.map(entry => entry.value));
+            const max = Math.max(...entries.map(entry => entry.value));
+            if (number < min || number > max) {
+                warnings.push(`${id} = ${number} is outside the range ${min} to ${max}; using ${nearest.value}`);
+            }
+            this.setParameter(id, nearest.value);
+        });
+        return warnings;
+    }
+
     /**
      * Sets up event handlers for parameter changes
      */
     setupEventHandlers() {
-        this.plot.ctrls.selectAll('select').on("change.param_val", this.createSetter(true));
-        this.plot.ctrls.selectAll('input').on("change.param_val", this.createSetter(true));
-        this.plot.ctrls.selectAll('input').on("input.param_val", this.createSetter(true));
+        this.plot.ctrls.selectAll('.plot-control select').on("change.param_val", this.createSetter(true));
+        this.plot.ctrls.selectAll('.plot-control input').on("change.param_val", this.createSetter(true));
+        this.plot.ctrls.selectAll('.plot-control input').on("input.param_val", this.createSetter(true));
     }
 
     /**
@@ -543,139 +807,2730 @@ class PlotParameterManager {
 }
 
 // ============================================================================
-// Plot Rendering
+// URL State
 // ============================================================================
 
 /**
- * Handles all plot rendering operations
+ * Keeps the parameters in the URL hash, so that a scenario can be shared as a link
+ * 
+ * Every parameter is written as name=value, values being JSON; structured parameters (interventions,
+ * age groups and regions) are only written when they differ from the defaults, to keep links short.
+ * Each change adds a browser history entry, except that changes in quick succession, such as
+ * dragging a slider, replace the latest one. Back and forward restore the parameters of each entry.
  */
-class PlotRenderer {
-    constructor(plot) {
+class UrlState {
+    /**
+     * @param {Object} plot - Plot configuration
+     * @param {PlotParameterManager} paramManager - Applies restored parameters to the sliders
+     * @param {string} warnings_id - CSS selector of the list showing restore warnings
+     */
+    constructor(plot, paramManager, warnings_id) {
         this.plot = plot;
+        this.paramManager = paramManager;
+        this.warnings = d3.select(warnings_id);
+        this.lastSaved = null;  // Time of the latest history entry (null: replace the current entry)
     }
 
     /**
-     * Main update function - recalculates model and redraws plot
+     * Restores the parameters in the current URL and follows the browser history
+     * @param {Function} onRestore - Called after parameters are restored from the history
      */
-    update() {
-        // Determine minimum value for log scale (0.01% to avoid log(0))
-        const logScaleMinValue = this.plot.params.use_log_scale ? 0.01 : null;
-        
-        // Solve SEIR model with current parameters
-        const output = solve(
-            this.plot.params.S0,
-            this.plot.params.R0,
-            this.plot.params.latent_period,
-            this.plot.params.infectious_period,
-            this.plot.params.n_days,
-            this.plot.params.death_onset,
-            this.plot.params.immunity_duration,
-            this.plot.params.life_expectancy,
-            this.plot.params.vaccination_rate,
-            logScaleMinValue
-        );
-
-        // Update plot components
-        this.updateScales();
-        this.updateAxes();
-        this.drawDataSeries(output);
+    initialize(onRestore) {
+        this.restore();
+        d3.select(window).on('popstate.url_state', () => {
+            this.restore();
+            this.lastSaved = null;  // Rewrite the restored entry rather than adding one
+            onRestore();
+        });
     }
 
     /**
-     * Updates D3 scales and axes based on current dimensions and parameters
+     * Encodes the current parameters as a URL hash
      */
-    updateScales() {
-        const plot = this.plot;
-        
-        // Adjust left margin for log scale to accommodate wider labels
-        const useLogScale = plot.params.use_log_scale;
-        plot.margin.left = useLogScale ? 60 : 50;
+    serialize() {
+        const defaults = this.paramManager.defaultParams;
+        const query = new URLSearchParams();
+        Object.entries(this.plot.params).forEach(([id, value]) => {
+            const json = JSON.stringify(value);
+            if (id in STRUCTURED_PARAMETERS && json === JSON.stringify(defaults[id])) return;
+            query.set(id, json);
+        });
+        return `#${query.toString()}`;
+    }
 
-        // X-axis scale (time in days)
-        if (!plot.x_range) {
-            plot.x_range = d3.scale.linear();
-        }
-        plot.x_range
-            .range([plot.margin.left, plot.width - plot.margin.right])
-            .domain([0, plot.params.n_days]);
+    /**
+     * Applies the parameters in the URL hash (if any) and lists any warnings
+     */
+    restore() {
+        const query = new URLSearchParams(window.location.hash.slice(1));
+        const values = {};
+        const warnings = [];
+        query.forEach((json, id) => {
+            try {
+                values[id] = JSON.parse(json);
+            } catch (error) {
+                warnings.push(`Unreadable value '${json}' for ${id} was ignored`);
+            }
+        });
 
-        // Y-axis scale (percentage) - linear or logarithmic
-        if (!plot.y_range || (useLogScale && plot.y_range.domain()[0] === 0) || (!useLogScale && plot.y_range.domain()[0] !== 0)) {
-            plot.y_range = useLogScale ? d3.scale.log() : d3.scale.linear();
-        }
-        plot.y_range
-            .range([plot.height - plot.margin.bottom, plot.margin.top])
-            .domain(useLogScale ? [0.01, plot.params.y_max] : [0, plot.params.y_max]);
+        warnings.push(...this.paramManager.applyParameters(values));
+        this.warnings.selectAll('li').remove();
+        warnings.forEach(warning => this.warnings.append('li').text(warning));
+    }
 
-        // X-axis generator
-        if (!plot.x_axis) {
-            plot.x_axis = d3.svg.axis();
-        }
-        plot.x_axis
-            .scale(plot.x_range)
-            .ticks(10)
-            .tickSize(0);
+    /**
+     * Writes the current parameters to the URL, adding a history entry unless the previous
+     * change was moments ago
+     */
+    save() {
+        const hash = this.serialize();
+        if (hash === window.location.hash) return;
 
-        // Y-axis generator
-        if (!plot.y_axis) {
-            plot.y_axis = d3.svg.axis();
-        }
-        
-        // Configure Y-axis based on scale type
-        if (useLogScale) {
-            // Manually specify tick values for better spacing in log scale
-            const logTickValues = [0.01, 0.1, 1, 10, 100];
-            plot.y_axis
-                .scale(plot.y_range)
-                .orient('left')
-                .tickSize(0)
-                .tickValues(logTickValues)
-                .tickFormat(d => {
-                    // Format log scale ticks: show nice round numbers
-                    if (d >= 1) return `${Math.round(d)}`;
-                    if (d >= 0.1) return d.toFixed(1);
-                    if (d >= 0.01) return d.toFixed(2);
-                    return d.toExponential(0);
-                });
+        const now = Date.now();
+        if (this.lastSaved === null || now - this.lastSaved < CONSTANTS.URL_HISTORY_DELAY) {
+            window.history.replaceState(null, '', hash);
         } else {
-            plot.y_axis
-                .scale(plot.y_range)
-                .orient('left')
-                .tickSize(0)
-                .tickValues(null)  // Clear custom tick values
-                .tickFormat(d => `${d}`)
-                .ticks(4);
+            window.history.pushState(null, '', hash);
         }
+        this.lastSaved = now;
+    }
+}
+
+// ============================================================================
+// Intervention Editor
+// ============================================================================
+
+/**
+ * Edits the list of interventions in plot.params.interventions
+ * 
+ * Each intervention is shown as a row of number inputs. The list is replaced rather than
+ * mutated on every edit, so the defaults kept by PlotParameterManager stay untouched.
+ */
+class InterventionEditor {
+    constructor(plot, list_id, add_id) {
+        this.plot = plot;
+        this.list = d3.select(list_id);
+        this.addButton = d3.select(add_id);
     }
 
     /**
-     * Updates both X and Y axes
+     * Sets up the add button and draws the current list
      */
-    updateAxes() {
-        this.updateXAxis();
-        this.updateYAxis();
+    initialize() {
+        this.addButton.on('click', () => {
+            // Append after the last intervention so new periods do not overlap
+            const { START, DURATION, REDUCTION } = CONSTANTS.NEW_INTERVENTION;
+            const last = this.plot.params.interventions[this.plot.params.interventions.length - 1];
+            const start = last ? last.end : START;
+            this.setInterventions([
+                ...this.plot.params.interventions,
+                { start, end: start + DURATION, reduction: REDUCTION, ramp_in: 0, ramp_out: 0 }
+            ]);
+        });
+        this.render();
     }
 
     /**
-     * Updates X-axis line and tick marks
+     * Replaces the intervention list, redraws the editor and updates the plot
      */
-    updateXAxis() {
-        const plot = this.plot;
-        
-        // Get the minimum Y value from the domain (0 for linear, 0.01 for log)
-        const yMin = plot.y_range.domain()[0];
+    setInterventions(interventions) {
+        this.plot.params.interventions = interventions;
+        this.render();
+        this.plot.update();
+    }
 
-        // X-axis baseline
-        if (!plot.x_line) {
-            plot.x_line = plot.svg.append('svg:line')
-                .attr('class', 'x axis')
-                .attr('stroke-width', plot.axis_width);
-        }
-        plot.x_line
-            .attr("x1", plot.x_range(0) - plot.axis_width)
-            .attr("y1", plot.y_range(yMin) + plot.axis_width)
-            .attr("x2", plot.x_range(plot.params.n_days))
-            .attr("y2", plot.y_range(yMin) + plot.axis_width);
+    /**
+     * Applies an edited field to one intervention, keeping its values consistent
+     */
+    updateField(index, field, rawValue) {
+        const value = Math.max(0, parseFloat(rawValue) || 0);
+        const updated = { ...this.plot.params.interventions[index] };
+        updated[field] = field === 'reduction' ? Math.min(value, 100) / 100 : Math.round(value);
+
+        // An intervention must last at least one day
+        if (updated.end <= updated.start) {
+            if (field === 'end') {
+                updated.start = Math.max(0, updated.end - 1);
+            }
+            updated.end = updated.start + 1;
+        }
+
+        this.setInterventions(this.plot.params.interventions.map((item, ix) => ix === index ? updated : item));
+    }
+
+    /**
+     * Draws one row of inputs per intervention
+     */
+    render() {
+        const editor = this;
+        const fields = [
+            { key: 'start', label: 'From day' },
+            { key: 'end', label: 'to day' },
+            { key: 'reduction', label: 'Reduction (%)' },
+            { key: 'ramp_in', label: 'Ramp-in (days)' },
+            { key: 'ramp_out', label: 'Ramp-out (days)' }
+        ];
+
+        this.list.selectAll('.intervention-row').remove();
+        this.plot.params.interventions.forEach((intervention, index) => {
+            const row = this.list.append('div').attr('class', 'intervention-row');
+
+            fields.forEach(({ key, label }) => {
+                const field = row.append('label').attr('class', 'intervention-field');
+                field.append('span').text(label);
+                field.append('input')
+                    .attr('type', 'number')
+                    .attr('min', 0)
+                    .attr('max', key === 'reduction' ? 100 : null)
+                    .property('value', key === 'reduction'
+                        ? Math.round(intervention.reduction * 100)
+                        : intervention[key])
+                    .on('change', function() {
+                        editor.updateField(index, key, this.value);
+                    });
+            });
+
+            row.append('button')
+                .attr('class', 'remove-btn')
+                .attr('title', 'Remove intervention')
+                .text('✕')
+                .on('click', () => {
+                    this.setInterventions(this.plot.params.interventions.filter((_, ix) => ix !== index));
+                });
+        });
+    }
+}
+
+// ============================================================================
+// Model Selection
+// ============================================================================
+
+/**
+ * Chooses the compartmental model of the plot: a built-in model, or a specification loaded from a
+ * JSON file or a JS module whose default export is one (see CompartmentalModel in models.js)
+ * 
+ * plot.params.model holds the name of a built-in model or the loaded specification as plain data,
+ * so that it can be shared in a link and sent to the solver worker. Sliders of settings that the
+ * model does not use are dimmed. Like the structure editors, a model that cannot be solved is
+ * rolled back with the reason shown in the status element.
+ */
+class ModelSelector {
+    /**
+     * @param {Object} plot - Plot configuration
+     * @param {Object} selectors - CSS selectors {select, file, status, description}
+     */
+    constructor(plot, { select, file, status, description }) {
+        this.plot = plot;
+        this.select = d3.select(select);
+        this.fileInput = d3.select(file);
+        this.status = d3.select(status);
+        this.description = d3.select(description);
+    }
+
+    /**
+     * Sets up the dropdown and file input and shows the current model
+     */
+    initialize() {
+        const selector = this;
+        this.select.on('change', function() {
+            // The loaded model keeps its option, whose value is empty
+            if (this.value) selector.setModel(this.value);
+        });
+        this.fileInput.on('change', function() {
+            const file = this.files[0];
+            this.value = '';  // Allow loading the same file again
+            if (file) selector.load(file);
+        });
+        this.render();
+    }
+
+    /**
+     * Replaces the model and updates the plot, restoring the previous model if it is invalid or
+     * cannot be solved
+     * 
+     * @param {string|Object} model - Name of a built-in model or a model specification
+     */
+    setModel(model) {
+        const previous = this.plot.params.model;
+        const restore = (error) => {
+            if (this.plot.params.model === model) {
+                this.plot.params.model = previous;
+                this.plot.update();
+                this.render();
+            }
+            this.status.text(error.message);
+        };
+        try {
+            CompartmentalModel.from(model);
+            this.plot.params.model = model;
+            this.plot.update(restore);
+            this.status.text('');
+        } catch (error) {
+            restore(error);
+        }
+        this.render();
+    }
+
+    /**
+     * Reads a model specification from a JSON file or a JS module
+     */
+    load(file) {
+        const module = /\.m?js$/i.test(file.name);
+        const url = module ? URL.createObjectURL(file) : null;
+        const spec = module
+            ? import(url).then(exports => {
+                if (!exports.default) throw new Error('the module has no default export');
+                return exports.default;
+            })
+            : file.text().then(text => JSON.parse(text));
+        spec
+            // A round trip through JSON keeps plain data only
+            .then(value => this.setModel(JSON.parse(JSON.stringify(value))))
+            .catch(error => this.status.text(`Could not load ${file.name}: ${error.message}`))
+            .finally(() => {
+                if (url) URL.revokeObjectURL(url);
+            });
+    }
+
+    /**
+     * Shows the current model in the dropdown with its description, and dims unused sliders
+     */
+    render() {
+        const current = this.plot.params.model;
+        const model = CompartmentalModel.from(current);
+        const loaded = typeof current !== 'string';
+
+        this.select.selectAll('option').remove();
+        Object.entries(BUILT_IN_MODELS).forEach(([key, { name }]) =>
+            this.select.append('option').attr('value', key).text(name));
+        if (loaded) this.select.append('option').attr('value', '').text(`${model.name} (loaded)`);
+        this.select.property('value', loaded ? '' : current);
+        this.description.text(model.description);
+
+        // Every vaccine_* slider belongs to the vaccine setting
+        this.plot.ctrls.selectAll('.plot-control').each(function() {
+            const id = d3.select(this).select('input, select').attr('id') || '';
+            const setting = id.startsWith('vaccine_') ? 'vaccine' : id;
+            const unused = CONSTANTS.MODEL_SETTINGS.includes(setting) && !model.uses(setting);
+            d3.select(this)
+                .classed('unused', unused)
+                .attr('title', unused ? `Not used by the ${model.name} model` : null);
+        });
+    }
+}
+
+// ============================================================================
+// Population Structure Editors
+// ============================================================================
+
+/**
+ * Base class of the editors for structured populations (age groups, regions)
+ * 
+ * The structure lives in plot.params[key] as plain data: a list of groups plus a square matrix.
+ * Like the intervention editor, every edit replaces the structure, and edits that the model
+ * rejects are rolled back with the reason shown in the status element.
+ */
+class StructureEditor {
+    /**
+     * @param {Object} plot - Plot configuration
+     * @param {string} key - Parameter holding the structure
+     * @param {Function} Structure - Model class that validates the structure
+     * @param {Object} selectors - CSS selectors of the table, add button and status element
+     */
+    constructor(plot, key, Structure, { table, add, status }) {
+        this.plot = plot;
+        this.key = key;
+        this.Structure = Structure;
+        this.table = d3.select(table);
+        this.addButton = d3.select(add);
+        this.status = d3.select(status);
+    }
+
+    /**
+     * Replaces the structure and updates the plot, restoring the previous structure if it is invalid
+     * or the model cannot be solved with it
+     */
+    setStructure(structure) {
+        const previous = this.plot.params[this.key];
+        const restore = (error) => {
+            if (this.plot.params[this.key] === structure) {
+                this.plot.params[this.key] = previous;
+                this.plot.update();
+                this.render();
+            }
+            this.status.text(error.message);
+        };
+        try {
+            new this.Structure(structure);
+            this.plot.params[this.key] = structure;
+            this.plot.update(restore);
+            this.status.text('');
+        } catch (error) {
+            restore(error);
+        }
+        this.render();
+    }
+
+    /**
+     * Clears the table and draws its header row
+     * @returns {Object} D3 selection of the table body
+     */
+    renderTable(labels) {
+        this.table.selectAll('*').remove();
+
+        const header = this.table.append('thead').append('tr');
+        labels.forEach(label => header.append('th').text(label));
+
+        return this.table.append('tbody');
+    }
+
+    /**
+     * Appends a table cell holding an input that calls onChange with its raw value
+     */
+    static inputCell(row, value, onChange, { type = 'number', placeholder = null } = {}) {
+        row.append('td').append('input')
+            .attr('type', type)
+            .attr('min', 0)
+            .attr('step', 'any')
+            .attr('placeholder', placeholder)
+            .property('value', value)
+            .on('change', function() { onChange(this.value); });
+    }
+
+    /**
+     * Appends a table cell holding a button that removes the row's group
+     */
+    static removeCell(row, title, disabled, onClick) {
+        row.append('td').append('button')
+            .attr('class', 'remove-btn')
+            .attr('title', title)
+            .property('disabled', disabled)
+            .text('✕')
+            .on('click', onClick);
+    }
+}
+
+/**
+ * Edits the age groups and contact matrix in plot.params.age_structure
+ * 
+ * Each group is a table row with its name, population share, relative susceptibility and
+ * infection fatality ratio, followed by its row of the contact matrix.
+ * A structure can also be loaded from a JSON file ({groups, contacts}) or a CSV contact matrix.
+ */
+class AgeStructureEditor extends StructureEditor {
+    constructor(plot, { table, add, file, status }) {
+        super(plot, 'age_structure', AgeStructure, { table, add, status });
+        this.fileInput = d3.select(file);
+    }
+
+    /**
+     * Sets up the add button and file input and draws the current structure
+     */
+    initialize() {
+        this.addButton.on('click', () => {
+            const { SHARE, CONTACTS } = CONSTANTS.NEW_AGE_GROUP;
+            const { groups, contacts } = this.plot.params.age_structure;
+            this.setStructure({
+                groups: [...groups, { name: `Group ${groups.length + 1}`, share: SHARE, susceptibility: 1, ifr: null }],
+                contacts: [...contacts.map(row => [...row, CONTACTS]), groups.map(() => CONTACTS).concat(CONTACTS)]
+            });
+        });
+
+        const editor = this;
+        this.fileInput.on('change', function() {
+            const file = this.files[0];
+            this.value = '';  // Allow loading the same file again
+            if (file) editor.load(file);
+        });
+
+        this.render();
+    }
+
+    /**
+     * Applies an edited group field (name, share, susceptibility or ifr)
+     */
+    updateGroup(index, field, rawValue) {
+        const { groups, contacts } = this.plot.params.age_structure;
+        const updated = { ...groups[index] };
+        const value = Math.max(0, parseFloat(rawValue) || 0);
+
+        if (field === 'name') {
+            updated.name = rawValue.trim() || groups[index].name;
+        } else if (field === 'ifr') {
+            // A blank IFR falls back to the death onset rate of the whole population
+            updated.ifr = rawValue.trim() === '' ? null : Math.min(value, 99) / 100;
+        } else {
+            updated[field] = field === 'share' ? value / 100 : value;
+        }
+
+        this.setStructure({ groups: groups.map((group, ix) => ix === index ? updated : group), contacts });
+    }
+
+    /**
+     * Applies an edited contact rate between groups a and b
+     */
+    updateContact(a, b, rawValue) {
+        const { groups, contacts } = this.plot.params.age_structure;
+        const value = Math.max(0, parseFloat(rawValue) || 0);
+        this.setStructure({
+            groups,
+            contacts: contacts.map((row, ix) => ix === a ? row.map((c, jx) => jx === b ? value : c) : row)
+        });
+    }
+
+    /**
+     * Removes a group together with its row and column of the contact matrix
+     */
+    removeGroup(index) {
+        const { groups, contacts } = this.plot.params.age_structure;
+        this.setStructure({
+            groups: groups.filter((_, ix) => ix !== index),
+            contacts: contacts.filter((_, ix) => ix !== index).map(row => row.filter((_, jx) => jx !== index))
+        });
+    }
+
+    /**
+     * Reads a structure from a JSON or CSV file
+     */
+    load(file) {
+        file.text().then(text => {
+            try {
+                const structure = file.name.toLowerCase().endsWith('.csv')
+                    ? AgeStructureEditor.parseCsv(text, this.plot.params.age_structure.groups)
+                    : AgeStructureEditor.parseJson(text);
+                this.setStructure(structure);
+            } catch (error) {
+                this.status.text(`Could not load ${file.name}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Parses a JSON structure {groups: [{name, share, susceptibility, ifr}], contacts}
+     * Missing group settings default to an equal share, full susceptibility and no specific IFR.
+     */
+    static parseJson(text) {
+        const { groups, contacts } = JSON.parse(text);
+        if (!Array.isArray(groups) || !Array.isArray(contacts)) {
+            throw new Error('expected an object with "groups" and "contacts" arrays');
+        }
+        return {
+            groups: groups.map((group, ix) => ({
+                name: String(group.name !== undefined ? group.name : `Group ${ix + 1}`),
+                share: group.share !== undefined ? Number(group.share) : 1 / groups.length,
+                susceptibility: group.susceptibility !== undefined ? Number(group.susceptibility) : 1,
+                ifr: group.ifr !== undefined && group.ifr !== null ? Number(group.ifr) : null
+            })),
+            contacts: contacts.map(row => row.map(Number))
+        };
+    }
+
+    /**
+     * Parses a CSV contact matrix whose header row and first column hold the group names
+     * Groups whose names match the current groups keep their settings; others get an equal share.
+     */
+    static parseCsv(text, currentGroups) {
+        const rows = text.trim().split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim()));
+        const names = rows[0].slice(1);
+        const contacts = rows.slice(1).map(row => row.slice(1).map(Number));
+        if (names.length === 0 || contacts.some(row => row.some(isNaN))) {
+            throw new Error('expected a header row of group names and one numeric row per group');
+        }
+        return {
+            groups: names.map(name => currentGroups.find(group => group.name === name)
+                || { name, share: 1 / names.length, susceptibility: 1, ifr: null }),
+            contacts
+        };
+    }
+
+    /**
+     * Draws the table of groups and contact rates
+     */
+    render() {
+        const { groups, contacts } = this.plot.params.age_structure;
+        const total = groups.reduce((sum, group) => sum + group.share, 0);
+        const cell = StructureEditor.inputCell;
+
+        const body = this.renderTable(['Group', 'Share (%)', 'Susceptibility', 'IFR (%)']
+            .concat(groups.map(group => `→ ${group.name}`), ['']));
+
+        groups.forEach((group, a) => {
+            const row = body.append('tr');
+
+            cell(row, group.name, value => this.updateGroup(a, 'name', value), { type: 'text' });
+            cell(row, Math.round(group.share / total * 1000) / 10, value => this.updateGroup(a, 'share', value));
+            cell(row, group.susceptibility, value => this.updateGroup(a, 'susceptibility', value));
+            cell(row, group.ifr === null ? '' : Math.round(group.ifr * 1e5) / 1e3,
+                value => this.updateGroup(a, 'ifr', value), { placeholder: 'global' });
+            contacts[a].forEach((value, b) => cell(row, value, input => this.updateContact(a, b, input)));
+
+            StructureEditor.removeCell(row, 'Remove group', groups.length === 1, () => this.removeGroup(a));
+        });
+    }
+}
+
+/**
+ * Edits the regions and mobility matrix in plot.params.metapopulation
+ * 
+ * Each region is a table row with its name, population and initially infected share, followed by
+ * the share of time its residents spend in every other region. Time spent at home is derived.
+ */
+class RegionEditor extends StructureEditor {
+    constructor(plot, { table, add, status }) {
+        super(plot, 'metapopulation', Metapopulation, { table, add, status });
+    }
+
+    /**
+     * Sets up the add button and draws the current regions
+     */
+    initialize() {
+        this.addButton.on('click', () => {
+            const { POPULATION, MOBILITY } = CONSTANTS.NEW_REGION;
+            const { patches, mobility } = this.plot.params.metapopulation;
+            this.setStructure({
+                patches: [...patches, { name: `Region ${patches.length + 1}`, population: POPULATION, infected: 0 }],
+                mobility: [...mobility.map(row => [...row, MOBILITY]), patches.map(() => MOBILITY).concat(0)]
+            });
+        });
+        this.render();
+    }
+
+    /**
+     * Applies an edited region field (name, population or infected)
+     */
+    updatePatch(index, field, rawValue) {
+        const { patches, mobility } = this.plot.params.metapopulation;
+        const updated = { ...patches[index] };
+        const value = Math.max(0, parseFloat(rawValue) || 0);
+
+        if (field === 'name') {
+            updated.name = rawValue.trim() || patches[index].name;
+        } else {
+            updated[field] = field === 'infected' ? Math.min(value, 100) / 100 : Math.round(value);
+        }
+
+        this.setStructure({ patches: patches.map((patch, ix) => ix === index ? updated : patch), mobility });
+    }
+
+    /**
+     * Applies an edited share of time (in %) that residents of region a spend in region b
+     */
+    updateMobility(a, b, rawValue) {
+        const { patches, mobility } = this.plot.params.metapopulation;
+        const value = Math.max(0, parseFloat(rawValue) || 0) / 100;
+        this.setStructure({
+            patches,
+            mobility: mobility.map((row, ix) => ix === a ? row.map((m, jx) => jx === b ? value : m) : row)
+        });
+    }
+
+    /**
+     * Removes a region together with its row and column of the mobility matrix
+     */
+    removePatch(index) {
+        const { patches, mobility } = this.plot.params.metapopulation;
+        this.setStructure({
+            patches: patches.filter((_, ix) => ix !== index),
+            mobility: mobility.filter((_, ix) => ix !== index).map(row => row.filter((_, jx) => jx !== index))
+        });
+    }
+
+    /**
+     * Draws the table of regions and mobility
+     */
+    render() {
+        const { patches, mobility } = this.plot.params.metapopulation;
+        const cell = StructureEditor.inputCell;
+
+        const body = this.renderTable(['Region', 'Population', 'Infected (%)']
+            .concat(patches.map(patch => `→ ${patch.name} (%)`), ['']));
+
+        patches.forEach((patch, a) => {
+            const row = body.append('tr');
+
+            cell(row, patch.name, value => this.updatePatch(a, 'name', value), { type: 'text' });
+            cell(row, patch.population, value => this.updatePatch(a, 'population', value));
+            cell(row, Math.round(patch.infected * 1e5) / 1e3, value => this.updatePatch(a, 'infected', value));
+            mobility[a].forEach((value, b) => {
+                if (a === b) {
+                    // Time at home is whatever is not spent elsewhere
+                    const away = mobility[a].reduce((sum, m, ix) => ix === a ? sum : sum + m, 0);
+                    row.append('td').attr('class', 'derived-cell').text(Math.round((1 - away) * 1000) / 10);
+                } else {
+                    cell(row, Math.round(value * 1e5) / 1e3, input => this.updateMobility(a, b, input));
+                }
+            });
+
+            StructureEditor.removeCell(row, 'Remove region', patches.length === 1, () => this.removePatch(a));
+        });
+    }
+}
+
+// ============================================================================
+// Case Data Fitting
+// ============================================================================
+
+// Labels and formats of the parameters that can be fitted (see fit in model.js)
+const FIT_PARAMETER_LABELS = {
+    R0: { label: 'R₀', format: value => value.toFixed(2) },
+    latent_period: { label: 'Latent period', format: value => `${value.toFixed(1)} days` },
+    infectious_period: { label: 'Infectious period', format: value => `${value.toFixed(1)} days` },
+    S0: { label: 'Initial susceptibility', format: value => `${(value * CONSTANTS.PERCENTAGE_SCALE).toPrecision(5)}%` },
+    reporting_fraction: { label: 'Reporting fraction', format: value => `${(value * CONSTANTS.PERCENTAGE_SCALE).toFixed(1)}%` }
+};
+
+/**
+ * Loads case data, overlays it on the plot and fits the chosen parameters to it
+ * 
+ * The data and the settings of the observation model (kind of data, population size and
+ * reporting fraction) are kept in plot.case_data, which is replaced on every change.
+ * Fitted model parameters are pushed back into their sliders through the PlotParameterManager.
+ */
+class CaseDataFitter {
+    /**
+     * @param {Object} plot - Plot configuration
+     * @param {PlotParameterManager} paramManager - Sets the fitted parameters
+     * @param {PlotRenderer} renderer - Provides the current model options
+     * @param {Object} selectors - CSS selectors of the file input, settings, parameter checkboxes,
+     *                             fit button, status element and results panel
+     */
+    constructor(plot, paramManager, renderer, { file, kind, population, reporting, objective, parameters, fit, status, results }) {
+        this.plot = plot;
+        this.paramManager = paramManager;
+        this.renderer = renderer;
+        this.fileInput = d3.select(file);
+        this.kindInput = d3.select(kind);
+        this.populationInput = d3.select(population);
+        this.reportingInput = d3.select(reporting);
+        this.objectiveInput = d3.select(objective);
+        this.parameterInputs = d3.select(parameters);
+        this.fitButton = d3.select(fit);
+        this.status = d3.select(status);
+        this.results = d3.select(results);
+    }
+
+    /**
+     * Sets up the file input, settings and fit button
+     */
+    initialize() {
+        this.plot.case_data = null;
+        this.populationInput.property('value', CONSTANTS.DEFAULT_FIT_POPULATION);
+        this.reportingInput.property('value', CONSTANTS.PERCENTAGE_SCALE);
+
+        const fitter = this;
+        this.fileInput.on('change', function() {
+            if (this.files.length > 0) fitter.load(this.files[0]);
+            this.value = '';  // Allow the same file to be loaded again
+        });
+        [this.kindInput, this.populationInput, this.reportingInput].forEach(input =>
+            input.on('change', () => this.updateSettings()));
+        this.fitButton.on('click', () => this.run());
+        this.fitButton.property('disabled', true);
+    }
+
+    /**
+     * Reads the observation model settings from the inputs
+     */
+    readSettings() {
+        const population = parseFloat(this.populationInput.property('value'));
+        const reporting = parseFloat(this.reportingInput.property('value')) / CONSTANTS.PERCENTAGE_SCALE;
+        ParameterValidator.validatePositive(population, 'Population size');
+        if (!(reporting > 0 && reporting <= 1)) {
+            throw new Error('Reporting fraction must be between 0 and 100%');
+        }
+        return {
+            kind: this.kindInput.property('value'),
+            population,
+            reporting_fraction: reporting
+        };
+    }
+
+    /**
+     * Applies changed settings to the loaded data and updates the plot
+     */
+    updateSettings() {
+        if (!this.plot.case_data) return;
+        try {
+            this.plot.case_data = { ...this.plot.case_data, ...this.readSettings() };
+            this.status.text('');
+            this.plot.update();
+        } catch (error) {
+            this.status.text(error.message);
+        }
+    }
+
+    /**
+     * Loads a CSV file of observations and draws them on the plot
+     */
+    load(file) {
+        file.text().then(text => {
+            try {
+                const points = parseCaseData(text);
+                this.plot.case_data = { points, ...this.readSettings() };
+                this.status.text(`Loaded ${points.length} observations from ${file.name}`);
+                this.results.selectAll('*').remove();
+                this.fitButton.property('disabled', false);
+                this.plot.update();
+            } catch (error) {
+                this.status.text(`Could not load ${file.name}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Fits the checked parameters, pushes the estimates into the sliders and shows the results
+     * The fit runs in the background, since it can take a few seconds.
+     */
+    run() {
+        const data = this.plot.case_data;
+        const parameters = [];
+        this.parameterInputs.selectAll('input[type="checkbox"]').each(function() {
+            if (this.checked) parameters.push(this.value);
+        });
+
+        const params = this.plot.params;
+        this.status.text('Fitting…');
+        this.fitButton.property('disabled', true);
+        this.renderer.background.run('fit', data.points, {
+            S0: params.S0,
+            R0: params.R0,
+            latent_period: params.latent_period,
+            infectious_period: params.infectious_period,
+            death_onset: params.death_onset,
+            immunity_duration: params.immunity_duration,
+            life_expectancy: params.life_expectancy,
+            vaccination_rate: params.vaccination_rate,
+            reporting_fraction: data.reporting_fraction
+        }, {
+            parameters,
+            kind: data.kind,
+            objective: this.objectiveInput.property('value'),
+            population: data.population,
+            solver: this.renderer.getModelOptions()
+        })
+            .then(result => {
+                // Push the estimates into the sliders and the reporting fraction input
+                Object.keys(result.estimates)
+                    .filter(name => name !== 'reporting_fraction')
+                    .forEach(name => this.paramManager.setParameter(name, result.values[name]));
+                this.plot.case_data = { ...data, reporting_fraction: result.values.reporting_fraction };
+                this.reportingInput.property('value', +(result.values.reporting_fraction * CONSTANTS.PERCENTAGE_SCALE).toFixed(2));
+
+                this.status.text(result.converged ? '' : 'The search stopped before converging; try fitting again');
+                this.renderResults(result);
+                this.plot.update();
+            })
+            .catch(error => this.status.text(error.message))
+            .then(() => this.fitButton.property('disabled', false));
+    }
+
+    /**
+     * Shows the estimates with their confidence intervals and the goodness of fit
+     */
+    renderResults({ estimates, goodness, evaluations }) {
+        this.results.selectAll('*').remove();
+
+        const table = this.results.append('table').attr('class', 'fit-table');
+        const header = table.append('thead').append('tr');
+        ['Parameter', 'Estimate', '95% CI'].forEach(label => header.append('th').text(label));
+
+        const body = table.append('tbody');
+        Object.entries(estimates).forEach(([name, { value, lower, upper, at_bound }]) => {
+            const { label, format } = FIT_PARAMETER_LABELS[name];
+            const row = body.append('tr');
+            row.append('td').text(label);
+            row.append('td').text(format(value));
+            row.append('td').text(lower !== null
+                ? `${format(lower)} – ${format(upper)}`
+                : at_bound ? 'at the edge of the search range' : 'not identifiable');
+        });
+
+        const { objective, rmse, r_squared, deviance, dof } = goodness;
+        this.results.append('p').attr('class', 'fit-note').text(
+            (objective === 'poisson' ? `Poisson deviance ${deviance.toFixed(1)} on ${dof} degrees of freedom, ` : '') +
+            `RMSE ${rmse.toPrecision(3)}` +
+            (r_squared !== null ? `, R² ${r_squared.toFixed(3)}` : '') +
+            ` (${evaluations} model runs)`
+        );
+    }
+}
+
+// ============================================================================
+// Sensitivity Analysis
+// ============================================================================
+
+// Labels of the parameters whose influence can be analysed (see sensitivity and sweep in model.js); off
+// marks a slider value that switches the process off (no disease deaths, permanent immunity) rather
+// than continuing the range, so it is left out of the values analysed
+const VARIED_PARAMETER_LABELS = {
+    R0: { label: 'R₀' },
+    latent_period: { label: 'Latent period' },
+    infectious_period: { label: 'Infectious period' },
+    S0: { label: 'Initial susceptibility' },
+    death_onset: { label: 'Death onset', off: 0 },
+    immunity_duration: { label: 'Immunity duration', off: 0 },
+    life_expectancy: { label: 'Life expectancy' },
+    vaccination_rate: { label: 'Vaccination rate' }
+};
+
+// Labels and formats of the outcomes analysed (see sensitivity and sweep in model.js)
+const RUN_OUTCOME_LABELS = {
+    peak_infectious: { label: 'Peak infectious', format: value => `${(value * CONSTANTS.PERCENTAGE_SCALE).toFixed(1)}%` },
+    peak_day: { label: 'Day of peak', format: value => `Day ${Math.round(value)}` },
+    final_size: { label: 'Infections per person', format: value => value.toFixed(2) },
+    disease_deaths: { label: 'Disease deaths', format: value => `${(value * CONSTANTS.PERCENTAGE_SCALE).toFixed(2)}%` },
+    endemic_infectious: { label: 'Endemic infectious', format: value => `${(value * CONSTANTS.PERCENTAGE_SCALE).toFixed(2)}%` }
+};
+
+/**
+ * Analyses which parameters matter for the outcomes of the current scenario
+ * 
+ * Across slider ranges, the checked parameters are sampled together over the values of their sliders
+ * and each outcome is ranked against them (PRCC), drawn as a bar chart. Around current values, each
+ * checked parameter is moved CONSTANTS.SENSITIVITY_OAT_SHARE of its slider's range either way in turn,
+ * drawn as a tornado chart. All other parameters keep their current values, and every run is
+ * deterministic. The last result is kept, so the chart can switch between outcomes without new runs.
+ */
+class SensitivityAnalyser {
+    /**
+     * @param {Object} plot - Plot configuration
+     * @param {PlotParameterManager} paramManager - Provides the slider values of each parameter
+     * @param {PlotRenderer} renderer - Provides the current model options
+     * @param {Object} selectors - CSS selectors of the method, outcome and sample size inputs, parameter
+     *                             checkboxes, analyse button, status element and chart container
+     */
+    constructor(plot, paramManager, renderer, { method, outcome, samples, parameters, run, status, chart }) {
+        this.plot = plot;
+        this.paramManager = paramManager;
+        this.renderer = renderer;
+        this.methodInput = d3.select(method);
+        this.outcomeInput = d3.select(outcome);
+        this.samplesInput = d3.select(samples);
+        this.parameterInputs = d3.select(parameters);
+        this.runButton = d3.select(run);
+        this.status = d3.select(status);
+        this.chart = d3.select(chart);
+        this.result = null;
+
+        // Analyses run in order in their own worker, reporting progress in the status element
+        this.client = new SolverClient({ onProgress: state => this.showProgress(state) });
+    }
+
+    /**
+     * Sets up the settings and the analyse button
+     */
+    initialize() {
+        this.samplesInput.property('value', CONSTANTS.DEFAULT_SENSITIVITY_SAMPLES);
+        this.methodInput.on('change', () =>
+            this.samplesInput.property('disabled', this.methodInput.property('value') !== 'prcc'));
+        this.outcomeInput.on('change', () => this.render());
+        this.runButton.on('click', () => this.run());
+    }
+
+    /**
+     * Ranges of the checked parameters: every value of their sliders for PRCC, or the slider
+     * values either side of the current value for one-at-a-time analyses. Values that switch a
+     * process off are left out, unless a one-at-a-time analysis starts from one.
+     * 
+     * @param {string} method - 'prcc' or 'oat'
+     * @param {Object} params - Current parameters
+     * @returns {Array} Parameters {name, values} or {name, lower, upper} (see sensitivity in model.js)
+     */
+    readParameters(method, params) {
+        const names = [];
+        this.parameterInputs.selectAll('input[type="checkbox"]').each(function() {
+            if (this.checked) names.push(this.value);
+        });
+
+        return names.map(name => {
+            const { off } = VARIED_PARAMETER_LABELS[name];
+            const values = this.paramManager.param_vals[name]
+                .map(({ value }) => value)
+                .filter(value => value !== off || (method === 'oat' && value === params[name]));
+            if (method === 'prcc') return { name, values };
+
+            const ix = values.reduce((best, value, k) =>
+                Math.abs(value - params[name]) < Math.abs(values[best] - params[name]) ? k : best, 0);
+            const steps = Math.max(1, Math.round(CONSTANTS.SENSITIVITY_OAT_SHARE * (values.length - 1)));
+            return {
+                name,
+                lower: values[Math.max(0, ix - steps)],
+                upper: values[Math.min(values.length - 1, ix + steps)]
+            };
+        });
+    }
+
+    /**
+     * Runs the analysis for the current parameters in the background and draws its chart
+     */
+    run() {
+        const params = { ...this.plot.params };
+        const method = this.methodInput.property('value');
+        let settings;
+        try {
+            const samples = parseInt(this.samplesInput.property('value'), 10);
+            ParameterValidator.validatePositive(samples, 'Number of samples');
+            settings = { method, samples, parameters: this.readParameters(method, params) };
+        } catch (error) {
+            this.status.text(error.message);
+            return;
+        }
+
+        const options = this.renderer.deterministicOptions(params);
+        this.status.text('Analysing…');
+        this.runButton.property('disabled', true);
+        this.client.run('sensitivity', options, settings)
+            .then(result => {
+                this.result = result;
+                const runs = method === 'prcc' ? result.samples : 1 + 2 * result.parameters.length;
+                this.status.text(`${runs} model runs`);
+                this.render();
+            })
+            .catch(error => this.status.text(error.message))
+            .then(() => this.runButton.property('disabled', false));
+    }
+
+    /**
+     * Shows how far a long analysis has got
+     * @param {Object|null} state - {fraction} (null while unknown), or null when no analysis runs
+     */
+    showProgress(state) {
+        if (state === null) return;
+        this.status.text(state.fraction === null
+            ? 'Analysing…'
+            : `Analysing… ${Math.round(state.fraction * CONSTANTS.PERCENTAGE_SCALE)}%`);
+    }
+
+    /**
+     * Draws the result of the last analysis for the chosen outcome
+     */
+    render() {
+        this.chart.selectAll('*').remove();
+        if (!this.result) return;
+
+        const outcome = this.outcomeInput.property('value');
+        if (this.result.method === 'prcc') {
+            this.drawCorrelations(outcome);
+        } else {
+            this.drawTornado(outcome);
+        }
+    }
+
+    /**
+     * Adds an SVG sized for one row per parameter, with the axis below the rows
+     * @returns {Object} The SVG selection and the height of the rows
+     */
+    createChart(rows) {
+        const { WIDTH, BAR_HEIGHT, AXIS_HEIGHT } = CONSTANTS.SENSITIVITY_CHART;
+        const height = rows * BAR_HEIGHT;
+        const svg = this.chart.append('svg:svg')
+            .attr('class', 'sensitivity-svg')
+            .attr('viewBox', `0 0 ${WIDTH} ${height + AXIS_HEIGHT}`);
+        return { svg, height };
+    }
+
+    /**
+     * Draws the axis of a chart and the line at its reference value
+     */
+    drawAxis(svg, x, height, reference, format = null) {
+        const axis = d3.svg.axis().scale(x).orient('bottom').ticks(5);
+        if (format) axis.tickFormat(format);
+        svg.append('svg:g')
+            .attr('class', 'sensitivity-axis')
+            .attr('transform', `translate(0,${height})`)
+            .call(axis);
+        svg.append('svg:line')
+            .attr('class', 'sensitivity-reference')
+            .attr('x1', x(reference)).attr('x2', x(reference))
+            .attr('y1', 0).attr('y2', height);
+    }
+
+    /**
+     * Draws the label of each row left of its bars
+     */
+    drawRowLabels(svg, labels) {
+        const { LABEL_WIDTH, BAR_HEIGHT } = CONSTANTS.SENSITIVITY_CHART;
+        labels.forEach((label, row) => {
+            svg.append('svg:text')
+                .attr('class', 'sensitivity-label')
+                .attr('x', LABEL_WIDTH - 6)
+                .attr('y', (row + 0.5) * BAR_HEIGHT)
+                .text(label);
+        });
+    }
+
+    /**
+     * Draws a horizontal bar of a row from one value to another
+     */
+    drawBar(svg, x, row, from, to, className) {
+        const { BAR_HEIGHT } = CONSTANTS.SENSITIVITY_CHART;
+        return svg.append('svg:rect')
+            .attr('class', `sensitivity-bar ${className}`)
+            .attr('x', x(Math.min(from, to)))
+            .attr('y', row * BAR_HEIGHT + 3)
+            .attr('width', Math.abs(x(to) - x(from)))
+            .attr('height', BAR_HEIGHT - 6);
+    }
+
+    /**
+     * Draws the PRCC of each parameter with an outcome as a bar chart, strongest first
+     */
+    drawCorrelations(outcome) {
+        const { parameters, indices, samples } = this.result;
+        const { label: outcomeLabel } = RUN_OUTCOME_LABELS[outcome];
+        if (!indices[outcome]) {
+            this.chart.append('p').attr('class', 'fit-note')
+                .text(`${outcomeLabel} is the same in every sample, so it depends on none of these parameters.`);
+            return;
+        }
+
+        const { WIDTH, LABEL_WIDTH, VALUE_WIDTH, BAR_HEIGHT } = CONSTANTS.SENSITIVITY_CHART;
+        const rows = parameters
+            .map(({ name }) => ({ name, ...indices[outcome][name] }))
+            .sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+        const { svg, height } = this.createChart(rows.length);
+        const x = d3.scale.linear().domain([-1, 1]).range([LABEL_WIDTH, WIDTH - VALUE_WIDTH]);
+
+        this.drawAxis(svg, x, height, 0);
+        this.drawRowLabels(svg, rows.map(({ name }) => VARIED_PARAMETER_LABELS[name].label));
+        rows.forEach(({ value, significant }, row) => {
+            this.drawBar(svg, x, row, 0, value, value < 0 ? 'negative' : 'positive')
+                .classed('not-significant', !significant);
+            svg.append('svg:text')
+                .attr('class', 'sensitivity-value')
+                .attr('x', WIDTH - VALUE_WIDTH + 6)
+                .attr('y', (row + 0.5) * BAR_HEIGHT)
+                .text(value.toFixed(2));
+        });
+
+        this.chart.append('p').attr('class', 'fit-note').text(
+            `Partial rank correlation of ${outcomeLabel.toLowerCase()} with each parameter over ${samples} ` +
+            'Latin hypercube samples of the slider ranges. Values near ±1 mean the outcome rises or falls ' +
+            'steadily with the parameter; faded bars are not significant at the 5% level.');
+    }
+
+    /**
+     * Draws the change in an outcome when each parameter moves to either end of its range
+     * as a tornado chart, largest swing first
+     */
+    drawTornado(outcome) {
+        const { parameters, baseline, effects } = this.result;
+        const { label: outcomeLabel, format } = RUN_OUTCOME_LABELS[outcome];
+        const { WIDTH, LABEL_WIDTH, VALUE_WIDTH } = CONSTANTS.SENSITIVITY_CHART;
+
+        const rows = parameters
+            .map(({ name }) => ({
+                name,
+                lower: effects[name].lower,
+                upper: effects[name].upper,
+                swing: Math.abs(effects[name].upper.outcomes[outcome] - effects[name].lower.outcomes[outcome])
+            }))
+            .sort((a, b) => b.swing - a.swing);
+        const { svg, height } = this.createChart(rows.length);
+
+        const values = [baseline[outcome], ...rows.flatMap(({ lower, upper }) => [lower.outcomes[outcome], upper.outcomes[outcome]])];
+        const [min, max] = d3.extent(values);
+        const padding = max > min ? 0 : Math.max(Math.abs(max), 1) * 0.1;
+        const x = d3.scale.linear().domain([min - padding, max + padding]).range([LABEL_WIDTH, WIDTH - VALUE_WIDTH]).nice();
+
+        this.drawAxis(svg, x, height, baseline[outcome], format);
+        this.drawRowLabels(svg, rows.map(({ name, lower, upper }) => `${VARIED_PARAMETER_LABELS[name].label} ` +
+            `${this.paramManager.formatValue(name, lower.value)}–${this.paramManager.formatValue(name, upper.value)}`));
+        rows.forEach(({ lower, upper }, row) => {
+            this.drawBar(svg, x, row, baseline[outcome], lower.outcomes[outcome], 'lower');
+            this.drawBar(svg, x, row, baseline[outcome], upper.outcomes[outcome], 'upper');
+        });
+
+        this.chart.append('p').attr('class', 'fit-note').text(
+            `${outcomeLabel} with each parameter at the lower (light) and upper (dark) value of its range ` +
+            `and the others unchanged; the line marks the current value, ${format(baseline[outcome])}.`);
+    }
+}
+
+// ============================================================================
+// Parameter Sweep
+// ============================================================================
+
+/**
+ * Maps an outcome over a grid of two parameters as a heatmap
+ * 
+ * Each axis takes up to the chosen number of evenly spaced values of its parameter's slider, the
+ * other parameters keep their current values and every run is deterministic. Clicking a cell loads
+ * its combination into the sliders and the plot. The last result is kept, so the heatmap can switch
+ * between outcomes without new runs.
+ */
+class ParameterSweep {
+    /**
+     * @param {Object} plot - Plot configuration
+     * @param {PlotParameterManager} paramManager - Provides the slider values and sets the parameters of a clicked cell
+     * @param {PlotRenderer} renderer - Provides the current model options
+     * @param {Object} selectors - CSS selectors of the parameter, outcome and grid size inputs, sweep button,
+     *                             status element and chart container
+     */
+    constructor(plot, paramManager, renderer, { x, y, outcome, resolution, run, status, chart }) {
+        this.plot = plot;
+        this.paramManager = paramManager;
+        this.renderer = renderer;
+        this.xInput = d3.select(x);
+        this.yInput = d3.select(y);
+        this.outcomeInput = d3.select(outcome);
+        this.resolutionInput = d3.select(resolution);
+        this.runButton = d3.select(run);
+        this.status = d3.select(status);
+        this.chart = d3.select(chart);
+        this.result = null;
+        this.selected = null;
+
+        // Sweeps run in order in their own worker, reporting progress in the status element
+        this.client = new SolverClient({ onProgress: state => this.showProgress(state) });
+    }
+
+    /**
+     * Sets up the outcome input and the sweep button
+     */
+    initialize() {
+        this.outcomeInput.on('change', () => this.render());
+        this.runButton.on('click', () => this.run());
+    }
+
+    /**
+     * Values of a parameter along an axis: up to count evenly spaced values of its slider,
+     * always including both ends (values that switch a process off are left out)
+     */
+    axisValues(name, count) {
+        const { off } = VARIED_PARAMETER_LABELS[name];
+        const values = this.paramManager.param_vals[name].map(({ value }) => value).filter(value => value !== off);
+        if (values.length <= count) return values;
+        return Array.from({ length: count }, (_, k) => values[Math.round(k * (values.length - 1) / (count - 1))]);
+    }
+
+    /**
+     * Runs the sweep for the current parameters in the background and draws its heatmap
+     */
+    run() {
+        const count = parseInt(this.resolutionInput.property('value'), 10);
+        const [xName, yName] = [this.xInput, this.yInput].map(input => input.property('value'));
+        const settings = {
+            x: { name: xName, values: this.axisValues(xName, count) },
+            y: { name: yName, values: this.axisValues(yName, count) }
+        };
+
+        this.status.text('Sweeping…');
+        this.runButton.property('disabled', true);
+        this.client.run('sweep', this.renderer.deterministicOptions({ ...this.plot.params }), settings)
+            .then(result => {
+                this.result = result;
+                this.selected = null;
+                this.status.text(`${result.cells.length} model runs; click a cell to load it`);
+                this.render();
+            })
+            .catch(error => this.status.text(error.message))
+            .then(() => this.runButton.property('disabled', false));
+    }
+
+    /**
+     * Shows how far a long sweep has got
+     * @param {Object|null} state - {fraction} (null while unknown), or null when no sweep runs
+     */
+    showProgress(state) {
+        if (state === null) return;
+        this.status.text(state.fraction === null
+            ? 'Sweeping…'
+            : `Sweeping… ${Math.round(state.fraction * CONSTANTS.PERCENTAGE_SCALE)}%`);
+    }
+
+    /**
+     * Loads the combination of a cell into the sliders and updates the plot
+     */
+    load(cell) {
+        const { x, y } = this.result;
+        this.paramManager.setParameter(x.name, cell.x);
+        this.paramManager.setParameter(y.name, cell.y);
+        this.selected = cell;
+        this.chart.selectAll('rect.sweep-cell').classed('selected', d => d === cell);
+        this.plot.update();
+    }
+
+    /**
+     * Draws the heatmap of the chosen outcome with its colour legend
+     */
+    render() {
+        this.chart.selectAll('*').remove();
+        if (!this.result) return;
+
+        const { x: xParameter, y: yParameter, cells } = this.result;
+        const outcome = this.outcomeInput.property('value');
+        const { label: outcomeLabel, format } = RUN_OUTCOME_LABELS[outcome];
+        const { WIDTH, HEIGHT, MARGIN, LEGEND_WIDTH, MAX_TICKS, COLOURS } = CONSTANTS.SWEEP_HEATMAP;
+        const right = WIDTH - MARGIN.right;
+        const bottom = HEIGHT - MARGIN.bottom;
+
+        const svg = this.chart.append('svg:svg')
+            .attr('class', 'sweep-svg')
+            .attr('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+
+        // Cells, with the largest y value at the top
+        const x = d3.scale.ordinal().domain(xParameter.values).rangeBands([MARGIN.left, right]);
+        const y = d3.scale.ordinal().domain(yParameter.values.slice().reverse()).rangeBands([MARGIN.top, bottom]);
+        const [min, max] = d3.extent(cells, cell => cell.outcomes[outcome]);
+        const colour = d3.scale.linear()
+            .domain([min, (min + max) / 2, max])
+            .range(COLOURS)
+            .interpolate(d3.interpolateLab);
+
+        const xLabel = VARIED_PARAMETER_LABELS[xParameter.name].label;
+        const yLabel = VARIED_PARAMETER_LABELS[yParameter.name].label;
+        svg.selectAll('rect.sweep-cell')
+            .data(cells)
+            .enter().append('svg:rect')
+            .attr('class', 'sweep-cell')
+            .classed('selected', cell => cell === this.selected)
+            .attr('x', cell => x(cell.x))
+            .attr('y', cell => y(cell.y))
+            .attr('width', x.rangeBand())
+            .attr('height', y.rangeBand())
+            .style('fill', cell => colour(cell.outcomes[outcome]))
+            .on('click', cell => this.load(cell))
+            .append('svg:title')
+            .text(cell => `${xLabel} ${this.paramManager.formatValue(xParameter.name, cell.x)}, ` +
+                `${yLabel} ${this.paramManager.formatValue(yParameter.name, cell.y)}: ${format(cell.outcomes[outcome])}`);
+
+        // Axes labelled like the sliders, thinned out to at most MAX_TICKS labels
+        const thinned = values => values.filter((_, k) => k % Math.ceil(values.length / MAX_TICKS) === 0);
+        svg.append('svg:g')
+            .attr('class', 'sensitivity-axis')
+            .attr('transform', `translate(0,${bottom})`)
+            .call(d3.svg.axis().scale(x).orient('bottom')
+                .tickValues(thinned(xParameter.values))
+                .tickFormat(value => this.paramManager.formatValue(xParameter.name, value)));
+        svg.append('svg:g')
+            .attr('class', 'sensitivity-axis')
+            .attr('transform', `translate(${MARGIN.left},0)`)
+            .call(d3.svg.axis().scale(y).orient('left')
+                .tickValues(thinned(yParameter.values))
+                .tickFormat(value => this.paramManager.formatValue(yParameter.name, value)));
+        svg.append('svg:text')
+            .attr('class', 'sweep-title')
+            .attr('x', (MARGIN.left + right) / 2)
+            .attr('y', HEIGHT - 4)
+            .text(xLabel);
+        svg.append('svg:text')
+            .attr('class', 'sweep-title')
+            .attr('transform', `translate(12,${(MARGIN.top + bottom) / 2}) rotate(-90)`)
+            .text(yLabel);
+
+        // Colour legend: a vertical gradient right of the cells, with its own axis
+        const gradient = svg.append('svg:defs').append('svg:linearGradient')
+            .attr('id', 'sweep-gradient')
+            .attr('x1', 0).attr('y1', 1).attr('x2', 0).attr('y2', 0);
+        COLOURS.forEach((value, k) => gradient.append('svg:stop')
+            .attr('offset', k / (COLOURS.length - 1))
+            .attr('stop-color', value));
+        const legendX = right + LEGEND_WIDTH;
+        svg.append('svg:rect')
+            .attr('class', 'sweep-legend')
+            .attr('x', legendX).attr('y', MARGIN.top)
+            .attr('width', LEGEND_WIDTH).attr('height', bottom - MARGIN.top)
+            .style('fill', 'url(#sweep-gradient)');
+        svg.append('svg:g')
+            .attr('class', 'sensitivity-axis')
+            .attr('transform', `translate(${legendX + LEGEND_WIDTH},0)`)
+            .call(d3.svg.axis()
+                .scale(d3.scale.linear().domain([min, max]).range([bottom, MARGIN.top]))
+                .orient('right').ticks(5).tickFormat(format));
+
+        this.chart.append('p').attr('class', 'fit-note').text(
+            `${outcomeLabel} from ${format(min)} to ${format(max)}, with all other parameters as they were when swept.`);
+    }
+}
+
+// ============================================================================
+// Scenario Snapshots
+// ============================================================================
+
+// Outcomes compared between scenarios, taken from the metrics of each run (see computeMetrics)
+const SCENARIO_OUTCOMES = [
+    { label: 'Peak infectious', value: m => `${(m.peak_infectious * CONSTANTS.PERCENTAGE_SCALE).toFixed(1)}%` },
+    { label: 'Day of peak', value: m => `Day ${m.peak_day}` },
+    { label: 'Infections per person', value: m => m.attack_rate.toFixed(2) },
+    { label: 'Annual attack rate', value: m => m.annual_attack_rate === null
+        ? '–' : `${(m.annual_attack_rate * CONSTANTS.PERCENTAGE_SCALE).toFixed(1)}%` },
+    { label: 'Disease deaths', value: m => `${(m.disease_deaths * CONSTANTS.PERCENTAGE_SCALE).toFixed(2)}%` },
+    { label: 'I below threshold', value: m => m.fade_out_day === null ? '–' : `Day ${m.fade_out_day}` }
+];
+
+/**
+ * Pins runs as named scenarios, overlays them on the plot and compares them in a table
+ * 
+ * Pinned scenarios are kept in plot.scenarios as {name, params, raw} and stored in localStorage
+ * by name and parameters only; their runs are solved again when the page is loaded, and those
+ * that cannot be solved are kept in storage as they were.
+ * The table has one column for the current run and one per scenario, listing the parameters
+ * that differ between any of them followed by the outcomes of each run.
+ */
+export class ScenarioManager {
+    /**
+     * @param {Object} plot - Plot configuration
+     * @param {PlotRenderer} renderer - Solves the runs of pinned scenarios
+     * @param {PlotParameterManager} paramManager - Provides the slider labels of parameter values
+     * @param {Object} selectors - CSS selectors of the name input, pin button, comparison table and status element
+     */
+    constructor(plot, renderer, paramManager, { name, pin, table, status }) {
+        this.plot = plot;
+        this.renderer = renderer;
+        this.paramManager = paramManager;
+        this.nameInput = d3.select(name);
+        this.pinButton = d3.select(pin);
+        this.table = d3.select(table);
+        this.status = d3.select(status);
+        this.unrestored = [];
+        this.restoring = Promise.resolve();
+    }
+
+    /**
+     * Restores the scenarios stored by earlier visits and sets up the pin button
+     */
+    initialize() {
+        this.plot.scenarios = [];
+        let stored = [];
+        try {
+            stored = JSON.parse(window.localStorage.getItem(CONSTANTS.SCENARIO_STORAGE_KEY)) || [];
+        } catch (error) {
+            this.status.text('Stored scenarios could not be read');
+        }
+        if (!Array.isArray(stored)) {
+            this.status.text('Stored scenarios could not be read');
+            stored = [];
+        }
+
+        // Solve each stored scenario in the background, filling in parameters added since it was stored.
+        // Scenarios that cannot be restored stay in storage rather than being dropped by the next store().
+        stored = stored.slice(0, CONSTANTS.MAX_SCENARIOS);
+        this.restoring = Promise.all(stored.map(entry => Promise.resolve()
+            .then(() => {
+                if (typeof entry.name !== 'string') throw new Error('Stored scenario has no name');
+                const merged = { ...this.paramManager.defaultParams, ...entry.params };
+                return this.renderer.solveFor(merged).then(raw => ({ name: entry.name, params: merged, raw }));
+            })
+            .catch(() => null)
+        )).then(restored => {
+            this.unrestored = stored.filter((_, ix) => restored[ix] === null);
+            // Scenarios pinned in the meantime follow the restored ones
+            this.plot.scenarios = [...restored.filter(Boolean), ...this.plot.scenarios].slice(0, CONSTANTS.MAX_SCENARIOS);
+            if (this.unrestored.length > 0) {
+                const names = this.unrestored.map(entry => (entry && typeof entry.name === 'string') ? entry.name : 'an unnamed scenario');
+                this.status.text(`Could not restore ${names.join(', ')}`);
+            }
+            if (this.plot.scenarios.length > 0) this.plot.update();
+        });
+
+        this.pinButton.on('click', () => this.pin());
+    }
+
+    /**
+     * Writes the names and parameters of the pinned scenarios, and the scenarios that could not
+     * be restored, to localStorage
+     */
+    store() {
+        // Waits for the stored scenarios to be restored, so that a pin during restoring keeps them
+        this.restoring.then(() => {
+            try {
+                const pinned = this.plot.scenarios.map(({ name, params }) => ({ name, params }));
+                window.localStorage.setItem(CONSTANTS.SCENARIO_STORAGE_KEY, JSON.stringify([...pinned, ...this.unrestored]));
+            } catch (error) {
+                this.status.text('Scenarios could not be saved in this browser');
+            }
+        });
+    }
+
+    /**
+     * Pins the run on the plot under the name entered (or a numbered default)
+     */
+    pin() {
+        const scenarios = this.plot.scenarios;
+        if (!this.renderer.raw) {
+            this.status.text('The run has not been solved yet');
+            return;
+        }
+        if (scenarios.length >= CONSTANTS.MAX_SCENARIOS) {
+            this.status.text(`At most ${CONSTANTS.MAX_SCENARIOS} scenarios can be pinned; remove one first`);
+            return;
+        }
+
+        const taken = new Set(scenarios.map(scenario => scenario.name));
+        let number = scenarios.length + 1;
+        while (taken.has(`Scenario ${number}`)) number++;
+        const name = this.nameInput.property('value').trim() || `Scenario ${number}`;
+        const params = { ...this.renderer.params };
+        this.plot.scenarios = [...scenarios, { name, params, raw: this.renderer.raw }];
+        this.nameInput.property('value', '');
+        this.status.text('');
+        this.store();
+        this.plot.update();
+    }
+
+    /**
+     * Removes a pinned scenario
+     */
+    remove(index) {
+        this.plot.scenarios = this.plot.scenarios.filter((_, ix) => ix !== index);
+        this.status.text('');
+        this.store();
+        this.plot.update();
+    }
+
+    /**
+     * Name of a parameter as shown on its slider (or its key when it has none)
+     */
+    static parameterLabel(id) {
+        const label = d3.select(`label[for="${id}"]`).node();
+        const text = label && label.firstChild ? label.firstChild.textContent.trim() : '';
+        return text || id;
+    }
+
+    /**
+     * Formats a parameter value the way its slider shows it
+     */
+    formatParameter(id, value) {
+        if (id === 'interventions') return `${value.length} intervention${value.length === 1 ? '' : 's'}`;
+        if (id === 'age_structure') return `${value.groups.length} age groups`;
+        if (id === 'metapopulation') return `${value.patches.length} regions`;
+        if (id === 'model') return CompartmentalModel.from(value).name;
+        return this.paramManager.formatValue(id, value);
+    }
+
+    /**
+     * Draws the table comparing the current run with the pinned scenarios
+     */
+    render() {
+        this.table.selectAll('*').remove();
+        const scenarios = this.plot.scenarios;
+        this.pinButton.property('disabled', scenarios.length >= CONSTANTS.MAX_SCENARIOS);
+        if (scenarios.length === 0) return;
+
+        const columns = [
+            { name: 'Current run', params: this.renderer.params, raw: this.renderer.raw },
+            ...scenarios
+        ];
+
+        const header = this.table.append('thead').append('tr');
+        header.append('th');
+        columns.forEach(({ name }, ix) => {
+            const cell = header.append('th');
+            cell.append('span').text(name);
+            if (ix > 0) {
+                cell.append('button')
+                    .attr('class', 'remove-btn')
+                    .attr('title', 'Remove scenario')
+                    .text('✕')
+                    .on('click', () => this.remove(ix - 1));
+            }
+        });
+
+        const body = this.table.append('tbody');
+
+        // Parameters that differ between any two columns (slider values compared as shown)
+        const differing = Object.keys(this.plot.params).filter(id => new Set(columns.map(({ params }) =>
+            id in STRUCTURED_PARAMETERS ? JSON.stringify(params[id]) : this.formatParameter(id, params[id]))).size > 1);
+        differing.forEach(id => {
+            const row = body.append('tr').attr('class', 'scenario-parameter');
+            row.append('th').text(ScenarioManager.parameterLabel(id));
+            columns.forEach(({ params }) => row.append('td').text(this.formatParameter(id, params[id])));
+        });
+        if (differing.length === 0) {
+            body.append('tr').append('td')
+                .attr('colspan', columns.length + 1)
+                .attr('class', 'scenario-none')
+                .text('All parameters are the same');
+        }
+
+        SCENARIO_OUTCOMES.forEach(({ label, value }) => {
+            const row = body.append('tr').attr('class', 'scenario-outcome');
+            row.append('th').text(label);
+            columns.forEach(({ raw }) => row.append('td').text(value(raw.metrics)));
+        });
+    }
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Exports the current run as CSV or JSON and the chart as SVG or PNG
+ * 
+ * Data files hold the unclamped output of a fresh run, so the log scale's floor does not
+ * leak into the numbers, with the parameters of the run as metadata.
+ */
+class ExportManager {
+    /**
+     * @param {Object} plot - Plot configuration
+     * @param {PlotRenderer} renderer - Solves the current run
+     * @param {Object} selectors - CSS selectors of the export buttons, PNG scale input and status element
+     */
+    constructor(plot, renderer, { csv, json, svg, png, scale, status }) {
+        this.plot = plot;
+        this.renderer = renderer;
+        this.csvButton = d3.select(csv);
+        this.jsonButton = d3.select(json);
+        this.svgButton = d3.select(svg);
+        this.pngButton = d3.select(png);
+        this.scaleInput = d3.select(scale);
+        this.status = d3.select(status);
+    }
+
+    /**
+     * Sets up the export buttons
+     */
+    initialize() {
+        this.csvButton.on('click', () => this.exportData(formatCsv, 'csv', 'text/csv'));
+        this.jsonButton.on('click', () => this.exportData(formatJson, 'json', 'application/json'));
+        this.svgButton.on('click', () => this.exportSvg());
+        this.pngButton.on('click', () => this.exportPng());
+    }
+
+    /**
+     * File name with today's date, such as seirs-2025-01-31.csv
+     */
+    static filename(extension) {
+        return `seirs-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    /**
+     * Downloads the run on the plot in the given format
+     */
+    exportData(format, extension, type) {
+        const { params, raw } = this.renderer;
+        if (!raw) {
+            this.status.text('The run has not been solved yet');
+            return;
+        }
+        const mode = CONSTANTS.SIMULATION_MODES[params.simulation_mode];
+        const metadata = {
+            exported: new Date().toISOString(),
+            simulation: mode === 'deterministic' ? mode : `${mode}, median of ${params.n_runs} runs`,
+            units: 'compartments, N and incidence as proportions of the initial population'
+        };
+        download(format(raw, params, metadata), ExportManager.filename(extension), type);
+        this.status.text('');
+    }
+
+    /**
+     * Downloads the chart as a standalone SVG
+     */
+    exportSvg() {
+        const plot = this.plot;
+        download(standaloneSvg(plot.svg.node(), plot.width, plot.height), ExportManager.filename('svg'), 'image/svg+xml');
+        this.status.text('');
+    }
+
+    /**
+     * Downloads the chart as a PNG at the chosen scale
+     */
+    exportPng() {
+        const plot = this.plot;
+        const scale = parseFloat(this.scaleInput.property('value'));
+        this.status.text('Rendering…');
+        renderPng(standaloneSvg(plot.svg.node(), plot.width, plot.height), plot.width, plot.height, scale)
+            .then(blob => {
+                download(blob, ExportManager.filename('png'));
+                this.status.text('');
+            })
+            .catch(error => this.status.text(error.message));
+    }
+}
+
+// ============================================================================
+// Phase Plane
+// ============================================================================
+
+/**
+ * Draws the trajectory of a run in the plane of two of its model's compartments
+ * 
+ * Arrowheads along the trajectory show the direction of time from day 0. For homogeneous runs of
+ * the SEIRS model the endemic equilibrium is marked and, when one axis is S, so is the epidemic threshold
+ * S + εV = 1/R₀ on which infections stop growing (the I-nullcline once exposed and infectious
+ * shares are in balance). When the other axis is not V, V is held at its equilibrium share.
+ * The chart is redrawn with every run of the main plot.
+ */
+class PhasePlane {
+    /**
+     * @param {Object} selectors - CSS selectors of the chart container and the compartment inputs {chart, x, y}
+     */
+    constructor({ chart, x, y }) {
+        this.chart = d3.select(chart);
+        this.xInput = d3.select(x);
+        this.yInput = d3.select(y);
+        this.raw = null;
+        this.analysis = null;
+    }
+
+    /**
+     * Redraws the last run whenever another pair of compartments is chosen
+     */
+    initialize() {
+        [this.xInput, this.yInput].forEach(input => input.on('change', () => this.draw()));
+    }
+
+    /**
+     * Draws a run with the equilibrium analysis of its parameters
+     * 
+     * @param {Object} raw - Raw output of simulate() or simulateStochastic() (see model.js)
+     * @param {Object|null} analysis - Output of analyse() for the same parameters, or null for models it does not cover
+     */
+    render(raw, analysis) {
+        this.raw = raw;
+        this.analysis = analysis;
+        this.setCompartments(raw.model.compartments);
+        this.draw();
+    }
+
+    /**
+     * Offers the compartments of a run's model on both axes, keeping the chosen ones where the model has them
+     * 
+     * @param {Array} compartments - [{key, name}] of the model (see CompartmentalModel.describe in models.js)
+     */
+    setCompartments(compartments) {
+        [[this.xInput, 's'], [this.yInput, 'i']].forEach(([input, fallback]) => {
+            const chosen = input.property('value');
+            input.selectAll('option').remove();
+            compartments.forEach(({ key, name }) => input.append('option').attr('value', key).text(name));
+            input.property('value', compartments.some(({ key }) => key === chosen) ? chosen : fallback);
+        });
+    }
+
+    /**
+     * Draws the trajectory in the chosen plane, with the threshold and equilibrium where they apply
+     */
+    draw() {
+        this.chart.selectAll('*').remove();
+        if (!this.raw) return;
+
+        const { WIDTH, HEIGHT, MARGIN } = CONSTANTS.PHASE_PLANE;
+        const [xKey, yKey] = [this.xInput, this.yInput].map(input => input.property('value'));
+        const { series, groups, model } = this.raw;
+        const homogeneous = !groups;
+        const analysed = homogeneous && this.analysis !== null;
+        const endemic = analysed && this.analysis.endemic ? this.analysis.endemic.state : null;
+        const keys = model.compartments.map(({ key }) => key);
+        const index = key => keys.indexOf(key);
+        const label = key => model.compartments[index(key)].name;
+
+        const scale = (key, range) => {
+            const max = Math.max(d3.max(series[key]), endemic ? endemic[index(key)] : 0);
+            return d3.scale.linear().domain([0, max > 0 ? max : 1]).range(range).nice();
+        };
+        const x = scale(xKey, [MARGIN.left, WIDTH - MARGIN.right]);
+        const y = scale(yKey, [HEIGHT - MARGIN.bottom, MARGIN.top]);
+        const points = Array.from(series[xKey], (value, day) => [x(value), y(series[yKey][day])]);
+
+        const svg = this.chart.append('svg:svg')
+            .attr('class', 'phase-svg')
+            .attr('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+        svg.append('svg:defs').append('svg:clipPath')
+            .attr('id', 'phase-clip')
+            .append('svg:rect')
+            .attr('x', MARGIN.left).attr('y', MARGIN.top)
+            .attr('width', WIDTH - MARGIN.left - MARGIN.right)
+            .attr('height', HEIGHT - MARGIN.top - MARGIN.bottom);
+
+        // Axes in percent of the population
+        svg.append('svg:g')
+            .attr('class', 'sensitivity-axis')
+            .attr('transform', `translate(0,${HEIGHT - MARGIN.bottom})`)
+            .call(d3.svg.axis().scale(x).orient('bottom').ticks(5).tickFormat(x.tickFormat(5, '%')));
+        svg.append('svg:g')
+            .attr('class', 'sensitivity-axis')
+            .attr('transform', `translate(${MARGIN.left},0)`)
+            .call(d3.svg.axis().scale(y).orient('left').ticks(5).tickFormat(y.tickFormat(5, '%')));
+        svg.append('svg:text')
+            .attr('class', 'sweep-title')
+            .attr('x', (MARGIN.left + WIDTH - MARGIN.right) / 2)
+            .attr('y', HEIGHT - 4)
+            .text(label(xKey));
+        svg.append('svg:text')
+            .attr('class', 'sweep-title')
+            .attr('transform', `translate(12,${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}) rotate(-90)`)
+            .text(label(yKey));
+
+        const plotArea = svg.append('svg:g').attr('clip-path', 'url(#phase-clip)');
+        const threshold = analysed ? this.drawThreshold(plotArea, x, y, xKey, yKey, endemic, index) : null;
+
+        plotArea.append('svg:path')
+            .attr('class', 'phase-trajectory')
+            .attr('d', d3.svg.line()(points));
+        this.drawArrows(plotArea, points);
+        plotArea.append('svg:circle')
+            .attr('class', 'phase-start')
+            .attr('cx', points[0][0]).attr('cy', points[0][1])
+            .attr('r', 3.5)
+            .append('svg:title').text('Day 0');
+
+        const percent = d3.format('.3p');
+        if (endemic) {
+            const [xStar, yStar] = [xKey, yKey].map(key => endemic[index(key)]);
+            plotArea.append('svg:circle')
+                .attr('class', 'phase-equilibrium')
+                .attr('cx', x(xStar)).attr('cy', y(yStar))
+                .attr('r', 4)
+                .append('svg:title')
+                .text(`Endemic equilibrium: ${label(xKey)} ${percent(xStar)}, ${label(yKey)} ${percent(yStar)}`);
+        }
+
+        const notes = ['Arrowheads show the direction of time from day 0 (open circle).'];
+        if (!homogeneous) {
+            notes.push('Structured runs are drawn as totals over all groups, without an equilibrium or threshold.');
+        } else if (!analysed) {
+            notes.push(`The equilibrium and threshold are only analysed for the SEIRS model, not ${model.name}.`);
+        } else {
+            notes.push(endemic ? 'The filled point is the endemic equilibrium.' : 'There is no endemic equilibrium.');
+            if (threshold !== null) {
+                notes.push(`Infections grow ${xKey === 's' ? 'to the right of' : 'above'} the dashed threshold, ${threshold}.`);
+            }
+        }
+        this.chart.append('p').attr('class', 'analysis-note').text(notes.join(' '));
+    }
+
+    /**
+     * Draws the epidemic threshold S + εV = 1/R₀ when one axis is S
+     * 
+     * @returns {string|null} Description of the threshold for the note, or null when it is not drawn
+     */
+    drawThreshold(plotArea, x, y, xKey, yKey, endemic, index) {
+        if (xKey !== 's' && yKey !== 's') return null;
+        const { susceptible, relative_susceptibility: eps } = this.analysis.threshold;
+        const other = xKey === 's' ? yKey : xKey;
+        const otherScale = xKey === 's' ? y : x;
+
+        // S on the threshold for a value u of the other axis
+        const equilibrium = endemic || this.analysis.disease_free.state;
+        const vaccinated = equilibrium[index('v')];
+        const sAt = u => susceptible - eps * (other === 'v' ? u : vaccinated);
+        const ends = otherScale.domain().map(u => xKey === 's' ? [x(sAt(u)), y(u)] : [x(u), y(sAt(u))]);
+
+        plotArea.append('svg:line')
+            .attr('class', 'phase-threshold')
+            .attr('x1', ends[0][0]).attr('y1', ends[0][1])
+            .attr('x2', ends[1][0]).attr('y2', ends[1][1]);
+
+        const percent = d3.format('.3p');
+        if (eps === 0) return `S = 1/R₀ = ${percent(susceptible)}`;
+        return other === 'v'
+            ? `S + ${eps.toFixed(2)}·V = 1/R₀ = ${percent(susceptible)}`
+            : `S = 1/R₀ − ${eps.toFixed(2)}·V* = ${percent(sAt(0))}`;
+    }
+
+    /**
+     * Draws arrowheads at even distances along the trajectory, pointing forward in time
+     * @param {Array} points - Screen coordinates [x, y] of each day
+     */
+    drawArrows(plotArea, points) {
+        const { ARROWS, ARROW_SIZE } = CONSTANTS.PHASE_PLANE;
+        const lengths = [0];
+        for (let day = 1; day < points.length; day++) {
+            const [dx, dy] = [points[day][0] - points[day - 1][0], points[day][1] - points[day - 1][1]];
+            lengths.push(lengths[day - 1] + Math.hypot(dx, dy));
+        }
+        const total = lengths[lengths.length - 1];
+        if (!(total > 0)) return;
+
+        for (let k = 1; k <= ARROWS; k++) {
+            const day = lengths.findIndex(length => length >= total * k / (ARROWS + 1));
+            const [from, to] = [points[Math.max(day - 1, 0)], points[Math.min(day + 1, points.length - 1)]];
+            const angle = Math.atan2(to[1] - from[1], to[0] - from[0]) * 180 / Math.PI;
+            plotArea.append('svg:path')
+                .attr('class', 'phase-arrow')
+                .attr('d', `M0,0L${-ARROW_SIZE},${-ARROW_SIZE / 2}L${-ARROW_SIZE},${ARROW_SIZE / 2}Z`)
+                .attr('transform', `translate(${points[day][0]},${points[day][1]}) rotate(${angle})`);
+        }
+    }
+}
+
+// ============================================================================
+// Flow Panel
+// ============================================================================
+
+/**
+ * Draws the flows of a run under the main plot: new infections, new cases (people becoming
+ * infectious), recoveries and deaths, either per day or as running totals since day 0
+ * 
+ * The solvers accumulate every flow alongside the compartments (see AccumulatingTransitions in
+ * model.js); daily values are the differences between the totals of consecutive days. The panel
+ * shares the days of the main plot, including its zoom and playback, and has a linear y-axis of its
+ * own in the units of the main plot (people, or percent of the initial population).
+ */
+class FlowPanel {
+    /**
+     * @param {Object} plot - Plot configuration
+     * @param {string} container - CSS selector of the panel
+     */
+    constructor(plot, container) {
+        this.plot = plot;
+        this.container = d3.select(container);
+    }
+
+    /**
+     * Draws a run within the days shown on the main plot
+     * 
+     * @param {Object} raw - Raw output of simulate() or simulateStochastic() (see model.js)
+     * @param {Object} params - Parameters of the run
+     */
+    draw(raw, params) {
+        this.container.selectAll('*').remove();
+        if (!raw || !raw.cumulative) return;
+
+        const plot = this.plot;
+        const { MARGIN, TICKS } = CONSTANTS.FLOW_PANEL;
+        const units = yUnits(params);
+        const cumulative = params.cumulative_flows;
+        const [from, to] = plot.x_range.domain();
+        const last = plot.playback_day === null ? Math.floor(to) : Math.min(plot.playback_day, Math.floor(to));
+        const first = Math.max(Math.ceil(from), cumulative ? 0 : 1);
+
+        // Daily differences of the running totals, or the totals themselves, on the days shown
+        const values = key => {
+            const totals = raw.cumulative[key];
+            return d3.range(first, last + 1).map(day =>
+                ({ x: day, y: units.scale * (cumulative ? totals[day] : totals[day] - totals[day - 1]) }));
+        };
+        const series = CONSTANTS.FLOW_SERIES.map(item => ({ ...item, points: values(item.key) }));
+
+        const svg = this.container.append('svg:svg').attr('class', 'flow-svg');
+        const { height } = svg.node().getBoundingClientRect();
+        const x = d3.scale.linear().domain([from, to]).range(plot.x_range.range());
+        const yMax = d3.max(series, ({ points }) => d3.max(points, d => d.y));
+        const y = d3.scale.linear()
+            .domain([0, yMax > 0 ? yMax : 1])
+            .range([height - MARGIN.bottom, MARGIN.top])
+            .nice(TICKS);
+        const line = d3.svg.line().x(d => x(d.x)).y(d => y(d.y)).interpolate('linear');
+
+        svg.append('svg:defs').append('svg:clipPath')
+            .attr('id', 'flow-clip')
+            .append('svg:rect')
+            .attr('x', x.range()[0]).attr('y', MARGIN.top)
+            .attr('width', x.range()[1] - x.range()[0])
+            .attr('height', height - MARGIN.top - MARGIN.bottom);
+        svg.append('svg:g')
+            .attr('class', 'sensitivity-axis')
+            .attr('transform', `translate(0,${height - MARGIN.bottom})`)
+            .call(d3.svg.axis().scale(x).orient('bottom').ticks(10).tickSize(0));
+        svg.append('svg:g')
+            .attr('class', 'sensitivity-axis')
+            .attr('transform', `translate(${x.range()[0]},0)`)
+            .call(d3.svg.axis().scale(y).orient('left').ticks(TICKS).tickSize(0)
+                .tickFormat(units.tick || (d => `${d}`)));
+        svg.append('svg:text')
+            .attr('class', 'flow-title')
+            .attr('x', x.range()[0])
+            .attr('y', MARGIN.top - 10)
+            .text(`${cumulative ? 'Since day 0' : 'Per day'} (${units.counts ? 'people' : '% of the initial population'})`);
+
+        const area = svg.append('svg:g').attr('clip-path', 'url(#flow-clip)');
+        series.forEach(({ key, points }) => {
+            area.append('svg:path')
+                .attr('class', `flow-series flow-${key.replace('_', '-')}`)
+                .attr('d', line(points));
+        });
+        if (plot.playback_day !== null) {
+            area.append('svg:line')
+                .attr('class', 'time-cursor')
+                .attr('x1', x(plot.playback_day)).attr('x2', x(plot.playback_day))
+                .attr('y1', MARGIN.top).attr('y2', height - MARGIN.bottom);
+        }
+
+        // Legend with the total of each flow over the days shown
+        const legend = this.container.append('div').attr('class', 'flow-legend');
+        series.forEach(({ key, name }) => {
+            const totals = raw.cumulative[key];
+            const total = units.scale * (totals[last] - totals[Math.max(Math.ceil(from), 0)]);
+            legend.append('span')
+                .attr('class', `flow-key flow-${key.replace('_', '-')}`)
+                .attr('title', `${name} from day ${Math.max(Math.ceil(from), 0)} to day ${last}`)
+                .text(`${name}: ${units.format(total)}`);
+        });
+    }
+}
+
+// ============================================================================
+// Plot Navigation
+// ============================================================================
+
+/**
+ * Fits a zoomed range of an axis into its full range, keeping its width
+ *
+ * Log scales are zoomed and panned in proportion, so their ranges are compared in log space.
+ *
+ * @param {Array} domain - Zoomed range [from, to]
+ * @param {Array} full - Full range [from, to]
+ * @param {boolean} log - Whether the axis has a log scale
+ * @returns {Array|null} Zoomed range within the full range, or null when it covers the full range
+ */
+const fitView = (domain, full, log) => {
+    const toAxis = log ? Math.log10 : d => d;
+    const fromAxis = log ? d => 10 ** d : d => d;
+    const [from, to] = domain.map(toAxis);
+    const [min, max] = full.map(toAxis);
+    if (to - from >= max - min) return null;
+    const shift = Math.max(min - from, 0) + Math.min(max - to, 0);
+    return [from + shift, to + shift].map(fromAxis);
+};
+
+/**
+ * Lets users explore the main plot without solving the model again
+ *
+ * A crosshair follows the pointer and reads off every shown compartment on that day. Dragging
+ * across the plot zooms into the days brushed, the mouse wheel zooms the y-axis around the pointer,
+ * dragging the y-axis pans it, and the legend badges show and hide compartments. Views are kept in
+ * plot.view and plot.hidden_series (see PlotRenderer.updateScales), so they last across runs.
+ */
+class PlotNavigator {
+    /**
+     * @param {PlotConfiguration} plot - Plot being explored
+     * @param {PlotRenderer} renderer - Renderer that redraws the last run
+     * @param {Object} selectors - CSS selectors {tooltip, reset, legend}
+     */
+    constructor(plot, renderer, { tooltip, reset, legend }) {
+        this.plot = plot;
+        this.renderer = renderer;
+        this.tooltip = d3.select(tooltip);
+        this.resetButton = d3.select(reset);
+        this.legend = d3.select(legend);
+        this.day = null;           // Day under the crosshair, while it is shown
+        this.zooming = false;      // Whether a y-axis zoom or pan gesture is under way
+    }
+
+    /**
+     * Wires up the reset button
+     */
+    initialize() {
+        this.resetButton.on('click', () => this.reset());
+    }
+
+    /**
+     * Shows a legend badge for each compartment of the model run, before the reset button
+     *
+     * @param {Array} series - Compartments drawn on the plot (see modelSeries)
+     */
+    setSeries(series) {
+        const hidden = this.plot.hidden_series;
+        const badges = this.legend.selectAll('[data-series]').data(series, d => d.key);
+        badges.exit().remove();
+        badges.enter().insert('button', '#reset-zoom-btn')
+            .attr('type', 'button')
+            .attr('data-series', d => d.key)
+            .on('click', d => this.toggle(d.key));
+        badges
+            .attr('class', d => `${d.class} badge`)
+            .classed('off', d => hidden.has(d.key))
+            .attr('aria-pressed', d => String(!hidden.has(d.key)))
+            .text(d => d.name)
+            .order();
+    }
+
+    /**
+     * Creates the crosshair and the areas that take pointer input, above the axes
+     */
+    createLayers() {
+        const svg = this.plot.svg;
+        this.crosshair = svg.append('svg:g')
+            .attr('class', 'crosshair')
+            .style('display', 'none');
+        this.crosshair.append('svg:line');
+
+        this.brush = d3.svg.brush().on('brushend', () => this.zoomToBrush());
+        this.zoom = d3.behavior.zoom()
+            .on('zoomstart', () => { this.zooming = true; })
+            .on('zoom', () => this.zoomY())
+            .on('zoomend', () => {
+                this.zooming = false;
+                this.zoom.y(this.plot.y_range);
+            });
+
+        // Over the plot area, dragging brushes days and the wheel zooms the y-axis
+        this.overlay = svg.append('svg:g')
+            .attr('class', 'plot-overlay')
+            .call(this.zoom)
+            .on('mousedown.zoom', null)
+            .on('touchstart.zoom', null)
+            .on('dblclick.zoom', null)
+            .call(this.brush)
+            .on('mousemove.crosshair', () => this.moveCrosshair())
+            .on('mouseleave.crosshair', () => this.hideCrosshair());
+
+        // Over the y-axis, dragging pans it and the wheel zooms it
+        this.axisArea = svg.append('svg:rect')
+            .attr('class', 'y-zoom')
+            .call(this.zoom)
+            .on('dblclick.zoom', null);
+        this.axisArea.append('svg:title').text('Drag to pan the y-axis, scroll to zoom it');
+    }
+
+    /**
+     * Fits the pointer areas and crosshair to the plot after it is drawn
+     */
+    update() {
+        const plot = this.plot;
+        if (!this.overlay) this.createLayers();
+
+        const [left] = plot.x_range.range();
+        const [bottom, top] = plot.y_range.range();
+        this.overlay.call(this.brush.x(plot.x_range));
+        this.overlay.selectAll('rect')
+            .attr('y', top)
+            .attr('height', bottom - top);
+        this.axisArea
+            .attr('x', 0).attr('y', top)
+            .attr('width', left).attr('height', bottom - top);
+
+        // Rebinding the scale restarts the zoom behaviour from the current view, which must wait
+        // for the end of a gesture
+        if (!this.zooming) this.zoom.y(plot.y_range);
+
+        this.resetButton.classed('active', Boolean(plot.view.x || plot.view.y));
+        if (this.day !== null) this.showCrosshair(this.day);
+    }
+
+    /**
+     * Zooms into the days brushed across the plot
+     */
+    zoomToBrush() {
+        const [from, to] = this.brush.extent();
+        this.overlay.call(this.brush.clear());
+        if (to - from < CONSTANTS.PLOT_NAVIGATION.MIN_ZOOM_DAYS) return;
+
+        this.plot.view.x = [Math.floor(from), Math.ceil(to)];
+        this.renderer.draw();
+    }
+
+    /**
+     * Keeps the y-axis range set by the zoom behaviour, within the full range of the axis
+     */
+    zoomY() {
+        const plot = this.plot;
+        plot.view.y = fitView(plot.y_range.domain(), plot.view.y_full, plot.log_scale);
+        this.renderer.draw();
+    }
+
+    /**
+     * Shows the full range of both axes again
+     */
+    reset() {
+        this.plot.view.x = null;
+        this.plot.view.y = null;
+        this.renderer.draw();
+    }
+
+    /**
+     * Shows or hides a compartment on the plot
+     * @param {string} key - Compartment of the model (s, i, ...)
+     */
+    toggle(key) {
+        const hidden = this.plot.hidden_series;
+        if (hidden.has(key)) {
+            hidden.delete(key);
+        } else {
+            hidden.add(key);
+        }
+        this.legend.select(`[data-series="${key}"]`)
+            .classed('off', hidden.has(key))
+            .attr('aria-pressed', String(!hidden.has(key)));
+        this.renderer.draw();
+    }
+
+    /**
+     * Moves the crosshair to the day under the pointer
+     */
+    moveCrosshair() {
+        const [x] = d3.mouse(this.overlay.node());
+        this.showCrosshair(Math.round(this.plot.x_range.invert(x)));
+    }
+
+    /**
+     * Draws the crosshair on a day, with a marker on each shown compartment, and lists their values
+     * in the tooltip (stochastic ensembles give their median curves)
+     *
+     * @param {number} day - Day of the run, moved into the days shown
+     */
+    showCrosshair(day) {
+        const plot = this.plot;
+        const { raw, output } = this.renderer;
+        if (!raw) return;
+
+        const [from, to] = plot.x_range.domain();
+        const last = plot.playback_day === null ? raw.t.length - 1 : plot.playback_day;
+        this.day = Math.max(Math.ceil(from), Math.min(day, Math.floor(to), last));
+        const x = plot.x_range(this.day);
+        const [bottom, top] = plot.y_range.range();
+        const [yMin, yMax] = plot.y_range.domain();
+        const series = this.renderer.series.filter(({ key }) => !plot.hidden_series.has(key));
+        const value = ({ key }) => output[key][this.day].y;
+
+        this.crosshair.style('display', null);
+        this.crosshair.select('line')
+            .attr('x1', x).attr('x2', x)
+            .attr('y1', top).attr('y2', bottom);
+        const markers = this.crosshair.selectAll('circle').data(series, d => d.key);
+        markers.enter().append('svg:circle').attr('r', 3.5);
+        markers.exit().remove();
+        markers
+            .attr('class', d => `${d.class} crosshair-marker`)
+            .attr('cx', x)
+            .attr('cy', d => plot.y_range(value(d)))
+            .style('display', d => value(d) >= yMin && value(d) <= yMax ? null : 'none');
+
+        this.tooltip.selectAll('*').remove();
+        this.tooltip.append('div')
+            .attr('class', 'tooltip-day')
+            .text(`Day ${this.day}${raw.bands ? ' (median of runs)' : ''}`);
+        const units = yUnits(this.renderer.params);
+        const total = units.counts ? 1 : raw.population[this.day];
+        series.forEach(({ key, class: className, name }) => {
+            const row = this.tooltip.append('div').attr('class', `tooltip-row ${className}`);
+            row.append('span').text(name);
+            row.append('span').text(units.format(units.scale * raw.series[key][this.day] / total));
+        });
+
+        // Beside the crosshair, on whichever side has more room
+        const frame = this.tooltip.node().parentNode.getBoundingClientRect();
+        const svg = plot.svg.node().getBoundingClientRect();
+        const offset = CONSTANTS.PLOT_NAVIGATION.TOOLTIP_OFFSET;
+        const left = x < (plot.x_range.range()[0] + plot.x_range.range()[1]) / 2;
+        this.tooltip
+            .classed('active', true)
+            .style('top', `${svg.top - frame.top + top}px`)
+            .style('left', left ? `${svg.left - frame.left + x + offset}px` : null)
+            .style('right', left ? null : `${frame.right - svg.left - x + offset}px`);
+    }
+
+    /**
+     * Hides the crosshair and its tooltip
+     */
+    hideCrosshair() {
+        this.day = null;
+        this.crosshair.style('display', 'none');
+        this.tooltip.classed('active', false);
+    }
+}
+
+// ============================================================================
+// Playback
+// ============================================================================
+
+/**
+ * Animates the current run from day 0 to the end of the simulation
+ *
+ * While playing, the curves are revealed day by day at the chosen speed behind a moving time
+ * cursor, and a stacked bar shows the shares of the population in each compartment on the day
+ * reached. The slider scrubs to any day. The last day drawn is kept in plot.playback_day
+ * (null once the whole run is shown, see PlotRenderer.drawDataSeries).
+ */
+class PlaybackController {
+    /**
+     * @param {PlotConfiguration} plot - Plot being animated
+     * @param {PlotRenderer} renderer - Renderer that redraws the last run
+     * @param {Object} selectors - CSS selectors {play, day, speed, label, shares}
+     */
+    constructor(plot, renderer, { play, day, speed, label, shares }) {
+        this.plot = plot;
+        this.renderer = renderer;
+        this.playButton = d3.select(play);
+        this.dayInput = d3.select(day);
+        this.speedSelect = d3.select(speed);
+        this.label = d3.select(label);
+        this.shares = d3.select(shares);
+        this.playing = false;
+        this.frame = null;         // Pending animation frame
+        this.position = 0;         // Day reached, including the fraction of the next day
+        this.lastTime = null;      // Time of the previous frame (milliseconds)
+    }
+
+    /**
+     * Wires up the play button and the day slider
+     */
+    initialize() {
+        this.playButton.on('click', () => {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+        this.dayInput.on('input', () => {
+            this.pause();
+            this.seek(+this.dayInput.property('value'));
+        });
+    }
+
+    /**
+     * Prepares playback for a new run before it is drawn: an animation under way starts again
+     * from day 0, and a paused one keeps its day if the run is still as long
+     */
+    reset() {
+        const plot = this.plot;
+        const n_days = this.renderer.params.n_days;
+        this.dayInput.attr('max', n_days);
+        if (this.playing) {
+            this.position = 0;
+            this.lastTime = null;
+            plot.playback_day = 0;
+        } else if (plot.playback_day !== null && plot.playback_day >= n_days) {
+            plot.playback_day = null;
+        }
+        this.showDay();
+    }
+
+    /**
+     * Starts playback, from day 0 if the whole run is shown
+     */
+    play() {
+        if (!this.renderer.raw) return;
+        if (this.plot.playback_day === null) {
+            this.seek(0);
+        }
+        this.playing = true;
+        this.lastTime = null;
+        this.playButton.text('Pause').classed('active', true);
+        this.frame = window.requestAnimationFrame(time => this.tick(time));
+    }
+
+    /**
+     * Stops playback on the day reached
+     */
+    pause() {
+        this.playing = false;
+        if (this.frame !== null) {
+            window.cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.playButton.text('Play').classed('active', false);
+    }
+
+    /**
+     * Advances playback by the days that the chosen speed covers since the previous frame
+     * @param {number} time - Time of this frame (milliseconds)
+     */
+    tick(time) {
+        this.frame = null;
+        if (!this.playing) return;
+
+        if (this.lastTime !== null) {
+            const speed = +this.speedSelect.property('value');
+            this.position += (time - this.lastTime) / 1000 * speed;
+        }
+        this.lastTime = time;
+
+        const n_days = this.renderer.params.n_days;
+        this.plot.playback_day = this.position < n_days ? Math.floor(this.position) : null;
+        this.renderer.draw();
+        this.showDay();
+
+        if (this.plot.playback_day === null) {
+            this.pause();
+        } else {
+            this.frame = window.requestAnimationFrame(next => this.tick(next));
+        }
+    }
+
+    /**
+     * Shows the run up to a day
+     * @param {number} day - Last day to draw (the end of the run shows all of it)
+     */
+    seek(day) {
+        const n_days = this.renderer.params.n_days;
+        this.position = Math.max(0, Math.min(day, n_days));
+        this.plot.playback_day = this.position < n_days ? this.position : null;
+        this.renderer.draw();
+        this.showDay();
+    }
+
+    /**
+     * Updates the slider, the day label and the stacked bar of compartment shares
+     */
+    showDay() {
+        const { raw, params } = this.renderer;
+        if (!raw) return;
+        const day = this.plot.playback_day === null ? params.n_days : this.plot.playback_day;
+
+        this.dayInput.property('value', day);
+        this.label.text(`Day ${day} of ${params.n_days}`);
+
+        // Shares of everyone in the compartments on the day, which outgrow the initial population with births
+        const total = this.renderer.series.reduce((sum, { key }) => sum + raw.series[key][day], 0);
+        const shares = this.renderer.series.map(({ key, class: className, name }) =>
+            ({ key, className, name, share: total > 0 ? raw.series[key][day] / total : 0 }));
+        const segments = this.shares.selectAll('div.playback-share').data(shares);
+        segments.enter().append('div');
+        segments.exit().remove();
+        segments
+            .attr('class', d => `playback-share ${d.className}`)
+            .attr('title', d => `${d.name}: ${(d.share * CONSTANTS.PERCENTAGE_SCALE).toFixed(2)}%`)
+            .style('width', d => `${d.share * CONSTANTS.PERCENTAGE_SCALE}%`)
+            .text(d => d.share >= 0.08 ? `${d.key.toUpperCase()} ${Math.round(d.share * CONSTANTS.PERCENTAGE_SCALE)}%` : '');
+    }
+}
+
+// ============================================================================
+// Plot Rendering
+// ============================================================================
+
+/**
+ * Handles all plot rendering operations
+ */
+class PlotRenderer {
+    constructor(plot) {
+        this.plot = plot;
+        this.status = d3.select('#solver-status');
+
+        // Runs of the plot replace each other while sliders are dragged; other jobs run in order
+        this.solver = new SolverClient({ coalesce: true, onProgress: state => this.showProgress(state) });
+        this.background = new SolverClient();
+
+        this.phasePlane = new PhasePlane({ chart: '#phase-plane', x: '#phase-x', y: '#phase-y' });
+        this.phasePlane.initialize();
+
+        this.flowPanel = new FlowPanel(plot, '#flow-panel');
+
+        this.navigator = new PlotNavigator(plot, this, { tooltip: '#plot-tooltip', reset: '#reset-zoom-btn', legend: '#series-legend' });
+        this.navigator.initialize();
+
+        this.playback = new PlaybackController(plot, this, {
+            play: '#playback-btn', day: '#playback-day', speed: '#playback-speed',
+            label: '#playback-label', shares: '#playback-shares'
+        });
+        this.playback.initialize();
+    }
+
+    /**
+     * Main update function - recalculates model in the background and redraws plot
+     * 
+     * @returns {Promise} Resolves to true once the plot is redrawn, or to false when a newer update
+     *                    superseded this one; rejects when the model cannot be solved
+     */
+    update() {
+        const params = { ...this.plot.params };
+        return this.solver.run(...this.solverJob(params))
+            .then(raw => {
+                this.render(params, raw);
+                return true;
+            })
+            .catch(error => {
+                if (error.superseded) return false;
+                throw error;
+            });
+    }
+
+    /**
+     * Redraws the plot with a solved run
+     * 
+     * @param {Object} params - Parameters of the run
+     * @param {Object} raw - Raw output of simulate() or simulateStochastic() (see model.js)
+     */
+    render(params, raw) {
+        // Determine minimum value for log scale (0.01% or one person, to avoid log(0))
+        const units = yUnits(params);
+        const output = formatOutput(raw, params.use_log_scale ? units.min : null, units);
+        this.params = params;
+        this.raw = raw;
+        this.output = output;
+        this.status.select('.solver-message').classed('error', false).text('');
+
+        // Update plot components
+        this.series = modelSeries(raw.model);
+        styleSeries(this.series);
+        this.navigator.setSeries(this.series);
+        this.updateAnalysis(params, raw.model);
+        this.playback.reset();
+        this.draw();
+        this.drawRegions(raw);
+        this.updateRunSummary(output);
+        this.updateMetrics(output);
+        this.phasePlane.render(raw, this.analysis);
+    }
+
+    /**
+     * Draws the last run on the main plot within the current view, without solving the model again
+     * (used on its own when the plot is zoomed, panned or a compartment is shown or hidden)
+     */
+    draw() {
+        if (!this.output) return;
+        this.updateScales();
+        this.updateAxes();
+        this.drawInterventions();
+        this.drawScenarios();
+        this.drawDataSeries(this.output);
+        this.drawCaseData(this.output);
+        this.drawEquilibrium(this.params.show_equilibrium && this.analysis ? this.analysis.endemic : null);
+        this.drawTimeCursor();
+        this.navigator.update();
+        this.flowPanel.draw(this.raw, this.params);
+    }
+
+    /**
+     * Solves the model for a set of parameters in the background, behind any jobs already waiting
+     * 
+     * @param {Object} params - Parameters in the shape of plot.params
+     * @returns {Promise} Resolves to the raw output of the solver (see model.js)
+     */
+    solveFor(params) {
+        return this.background.run(...this.solverJob(params));
+    }
+
+    /**
+     * Solver and options for a set of parameters, either deterministic or a stochastic ensemble
+     * 
+     * @param {Object} params - Parameters in the shape of plot.params
+     * @returns {Array} Solver name ('simulate' or 'simulateStochastic', see model.js) and its options
+     */
+    solverJob(params) {
+        const mode = CONSTANTS.SIMULATION_MODES[params.simulation_mode];
+        const options = {
+            S0: params.S0,
+            R0: params.R0,
+            latent_period: params.latent_period,
+            infectious_period: params.infectious_period,
+            n_days: params.n_days,
+            death_onset: params.death_onset,
+            immunity_duration: params.immunity_duration,
+            life_expectancy: params.life_expectancy,
+            vaccination_rate: params.vaccination_rate,
+            ...this.getModelOptions(params)
+        };
+        return mode === 'deterministic'
+            ? ['simulate', {
+                ...options,
+                integrator: CONSTANTS.INTEGRATORS[params.integrator],
+                rtol: params.rel_tol,
+                atol: params.abs_tol
+            }]
+            : ['simulateStochastic', {
+                ...options,
+                population_size: params.population_size,
+                n_runs: params.n_runs,
+                seed: params.seed,
+                method: mode
+            }];
+    }
+
+    /**
+     * Options of a deterministic run for a set of parameters, whatever the simulation mode
+     * 
+     * @param {Object} params - Parameters in the shape of plot.params
+     * @returns {Object} Options of simulate() (see model.js)
+     */
+    deterministicOptions(params) {
+        const [, options] = this.solverJob({ ...params, simulation_mode: CONSTANTS.SIMULATION_MODES.indexOf('deterministic') });
+        return options;
+    }
+
+    /**
+     * Shows the progress of a long computation, and fades the plot it will replace
+     * @param {Object|null} state - {fraction} (null while unknown), or null when no computation runs
+     */
+    showProgress(state) {
+        const busy = state !== null;
+        const fraction = busy ? state.fraction : null;
+        this.plot.svg.classed('computing', busy);
+        this.status.classed('active', busy);
+        this.status.select('progress').attr('value', fraction);
+        const message = this.status.select('.solver-message');
+        if (busy) {
+            message.classed('error', false)
+                .text(fraction === null ? 'Computing…' : `Computing… ${Math.round(fraction * CONSTANTS.PERCENTAGE_SCALE)}%`);
+        } else if (!message.classed('error')) {
+            message.text('');
+        }
+    }
+
+    /**
+     * Shows why the current parameters could not be solved (the plot keeps the last run drawn)
+     */
+    showError(error) {
+        this.status.select('.solver-message').classed('error', true).text(error.message);
+    }
+
+    /**
+     * Collects the model settings shared by all solvers (model and its stages, births, transmission,
+     * hospital care, interventions, seasonality, vaccine and structure)
+     */
+    getModelOptions(params = this.plot.params) {
+        return {
+            model: params.model,
+            latent_stages: params.latent_stages,
+            infectious_stages: params.infectious_stages,
+            birth_rate: params.birth_rate,
+            transmission: CONSTANTS.TRANSMISSION[params.transmission],
+            hospitalisation: params.hospitalisation,
+            hospital_stay: params.hospital_stay,
+            icu_share: params.icu_share,
+            icu_stay: params.icu_stay,
+            icu_fatality: params.icu_fatality,
+            overflow_fatality: params.overflow_fatality,
+            icu_capacity: params.icu_capacity,
+            interventions: params.interventions,
+            seasonality: this.getSeasonality(params),
+            vaccine: this.getVaccine(params),
+            age_structure: this.getStructure('age-structured', 'age_structure', params),
+            metapopulation: this.getStructure('metapopulation', 'metapopulation', params)
+        };
+    }
+
+    /**
+     * Collects the seasonal forcing settings from the current parameters
+     */
+    getSeasonality(params = this.plot.params) {
+        return {
+            type: CONSTANTS.SEASONAL_FORCING[params.seasonal_forcing],
+            amplitude: params.seasonal_amplitude,
+            period: params.seasonal_period,
+            peak_day: params.seasonal_peak_day
+        };
+    }
+
+    /**
+     * Collects the vaccine and campaign settings from the current parameters
+     */
+    getVaccine(params = this.plot.params) {
+        return {
+            campaign_rate: params.vaccine_campaign_rate,
+            efficacy: params.vaccine_efficacy,
+            type: CONSTANTS.VACCINE_TYPES[params.vaccine_type],
+            immunity_duration: params.vaccine_immunity_duration,
+            start_day: params.vaccine_start_day
+        };
+    }
+
+    /**
+     * Returns the structure stored in params[key] if the given population structure is selected, or null
+     */
+    getStructure(structure, key, params = this.plot.params) {
+        return CONSTANTS.POPULATION_STRUCTURES[params.population_structure] === structure ? params[key] : null;
+    }
+
+    /**
+     * Updates D3 scales and axes based on current dimensions and parameters
+     */
+    updateScales() {
+        const plot = this.plot;
+        
+        // Adjust left margin for log scale to accommodate wider labels
+        const useLogScale = plot.params.use_log_scale;
+        plot.margin.left = useLogScale ? 60 : 50;
+
+        // X-axis scale (time in days), limited to the zoomed days if any
+        const { view } = plot;
+        if (view.x && !(view.x[0] < plot.params.n_days)) {
+            view.x = null;
+        }
+        if (!plot.x_range) {
+            plot.x_range = d3.scale.linear();
+        }
+        plot.x_range
+            .range([plot.margin.left, plot.width - plot.margin.right])
+            .domain(view.x ? [view.x[0], Math.min(view.x[1], plot.params.n_days)] : [0, plot.params.n_days]);
+
+        // Y-axis scale (percentage or people) - linear or logarithmic, limited to the zoomed range if any.
+        // A zoomed range is dropped when the scale type, the units or the y-axis maximum changes.
+        if (!plot.y_range || plot.log_scale !== useLogScale) {
+            plot.y_range = useLogScale ? d3.scale.log() : d3.scale.linear();
+            plot.log_scale = useLogScale;
+        }
+        const units = yUnits(plot.params);
+        const yMaxFull = units.scale * plot.params.y_max / CONSTANTS.PERCENTAGE_SCALE;
+        const yFull = useLogScale ? [units.min, yMaxFull] : [0, yMaxFull];
+        if (view.y && `${view.y_full}` !== `${yFull}`) {
+            view.y = null;
+        }
+        view.y_full = yFull;
+        plot.y_range
+            .range([plot.height - plot.margin.bottom, plot.margin.top])
+            .domain(view.y || yFull);
+
+        // Clip data to the plot area, leaving room for strokes along its edges
+        const [left, right] = plot.x_range.range();
+        const [bottom, top] = plot.y_range.range();
+        plot.clip_rect
+            .attr('x', left - plot.axis_width)
+            .attr('y', top - plot.axis_width)
+            .attr('width', right - left + 2 * plot.axis_width)
+            .attr('height', bottom - top + 2 * plot.axis_width);
+
+        // X-axis generator
+        if (!plot.x_axis) {
+            plot.x_axis = d3.svg.axis();
+        }
+        plot.x_axis
+            .scale(plot.x_range)
+            .ticks(10)
+            .tickSize(0);
+
+        // Y-axis generator
+        if (!plot.y_axis) {
+            plot.y_axis = d3.svg.axis();
+        }
+        
+        // Configure Y-axis based on scale type
+        if (useLogScale) {
+            // Manually specify tick values for better spacing in log scale. Zoomed ranges that span
+            // less than a decade take the scale's own ticks, preferring 1, 2 and 5 times a power of ten.
+            const [yMin, yMax] = plot.y_range.domain();
+            const logTickValues = d3.range(Math.ceil(Math.log10(units.min)), Math.floor(Math.log10(yMaxFull)) + 1)
+                .map(k => 10 ** k).filter(d => d >= yMin && d <= yMax);
+            const zoomedTickValues = plot.y_range.ticks();
+            const roundTickValues = zoomedTickValues.filter(d => [1, 2, 5].includes(Math.round(d / 10 ** Math.floor(Math.log10(d)))));
+            plot.y_axis
+                .scale(plot.y_range)
+                .orient('left')
+                .tickSize(0)
+                .tickValues(logTickValues.length >= 2 ? logTickValues
+                    : roundTickValues.length >= 2 ? roundTickValues : zoomedTickValues)
+                .tickFormat(units.tick || (d => {
+                    // Format log scale ticks: show nice round numbers
+                    if (d >= 1) return `${Math.round(d)}`;
+                    if (d >= 0.1) return d.toFixed(1);
+                    if (d >= 0.01) return d.toFixed(2);
+                    return d.toExponential(0);
+                }));
+        } else {
+            plot.y_axis
+                .scale(plot.y_range)
+                .orient('left')
+                .tickSize(0)
+                .tickValues(null)  // Clear custom tick values
+                .tickFormat(units.tick || (d => `${d}`))
+                .ticks(4);
+        }
+    }
+
+    /**
+     * Updates both X and Y axes
+     */
+    updateAxes() {
+        this.updateXAxis();
+        this.updateYAxis();
+    }
+
+    /**
+     * Updates X-axis line and tick marks
+     */
+    updateXAxis() {
+        const plot = this.plot;
+        
+        // Edges of the plot area (the ends of the possibly zoomed scales)
+        const [left, right] = plot.x_range.range();
+        const [bottom] = plot.y_range.range();
+
+        // X-axis baseline
+        if (!plot.x_line) {
+            plot.x_line = plot.svg.append('svg:line')
+                .attr('class', 'x axis')
+                .attr('stroke-width', plot.axis_width);
+        }
+        plot.x_line
+            .attr("x1", left - plot.axis_width)
+            .attr("y1", bottom + plot.axis_width)
+            .attr("x2", right)
+            .attr("y2", bottom + plot.axis_width);
 
         // X-axis tick marks and labels
         if (!plot.x_ticks) {
@@ -693,8 +3548,9 @@ class PlotRenderer {
     updateYAxis() {
         const plot = this.plot;
         
-        // Get the minimum Y value from the domain (0 for linear, 0.01 for log)
-        const yMin = plot.y_range.domain()[0];
+        // Edges of the plot area (the ends of the possibly zoomed scales)
+        const [left] = plot.x_range.range();
+        const [bottom, top] = plot.y_range.range();
 
         // Y-axis baseline
         if (!plot.y_line) {
@@ -703,10 +3559,10 @@ class PlotRenderer {
                 .attr('stroke-width', plot.axis_width);
         }
         plot.y_line
-            .attr("x1", plot.x_range(0) - plot.axis_width)
-            .attr("y1", plot.y_range(yMin) + plot.axis_width)
-            .attr("x2", plot.x_range(0) - plot.axis_width)
-            .attr("y2", plot.y_range(plot.params.y_max));
+            .attr("x1", left - plot.axis_width)
+            .attr("y1", bottom + plot.axis_width)
+            .attr("x2", left - plot.axis_width)
+            .attr("y2", top);
 
         // Y-axis tick marks and labels
         if (!plot.y_ticks) {
@@ -719,26 +3575,507 @@ class PlotRenderer {
     }
 
     /**
-     * Draws the SEIR data series as SVG paths
+     * Draws intervention periods as shaded bands behind the data series
+     * Darker bands correspond to larger reductions in transmission.
+     */
+    drawInterventions() {
+        const plot = this.plot;
+
+        // Keep bands in a layer underneath the series
+        if (!plot.intervention_layer) {
+            plot.intervention_layer = plot.data_layer.insert('svg:g', ':first-child')
+                .attr('class', 'interventions');
+        }
+
+        const [bottom, top] = plot.y_range.range();
+        const visible = plot.params.interventions.filter(({ start }) => start < plot.params.n_days);
+        const bands = plot.intervention_layer.selectAll('rect.intervention').data(visible);
+
+        bands.enter().append('svg:rect')
+            .attr('class', 'intervention')
+            .append('svg:title');
+        bands.exit().remove();
+
+        bands
+            .attr('x', d => plot.x_range(d.start))
+            .attr('y', top)
+            .attr('width', d => plot.x_range(Math.min(d.end, plot.params.n_days)) - plot.x_range(d.start))
+            .attr('height', bottom - top)
+            .style('fill-opacity', d => 0.05 + 0.25 * d.reduction);
+        bands.select('title')
+            .text(d => `Days ${d.start}-${d.end}: ${Math.round(d.reduction * 100)}% less transmission`);
+    }
+
+    /**
+     * Draws the compartments of the model as SVG paths, leaving out those hidden with the legend badges and
+     * the days not yet reached by playback
+     * Stochastic output also carries quantile bands, which are drawn underneath the median curves,
+     * and runs with hospital care the capacity of intensive care.
      */
     drawDataSeries(output) {
         // Remove old series
         this.plot.svg.selectAll('path.series').remove();
+        this.plot.svg.selectAll('path.band').remove();
 
-        // Define series to draw (S, E, I, R)
-        const series = [
-            { data: output.s, class: 'varS' },  // Susceptible
-            { data: output.e, class: 'varE' },  // Exposed
-            { data: output.i, class: 'varI' },  // Infectious
-            { data: output.r, class: 'varR' }   // Recovered
-        ];
+        const series = this.series.filter(({ key }) => !this.plot.hidden_series.has(key));
+        const played = this.played();
+
+        // Draw 90% and 50% quantile bands as shaded areas
+        if (output.bands) {
+            series.forEach(({ key, class: className }) => {
+                ['outer', 'inner'].forEach(width => {
+                    this.plot.data_layer.append('svg:path')
+                        .attr('d', this.plot.draw_area(played(output.bands[key][width])))
+                        .attr('class', `${className} band ${width}`);
+                });
+            });
+        }
 
         // Draw each series as an SVG path
-        series.forEach(({ data, class: className }) => {
-            this.plot.svg.append('svg:path')
-                .attr('d', this.plot.draw_line(data))
+        series.forEach(({ key, class: className }) => {
+            this.plot.data_layer.append('svg:path')
+                .attr('d', this.plot.draw_line(played(output[key])))
                 .attr('class', `${className} series`);
         });
+
+        this.drawSubstages(output);
+        this.drawGroupSplit(output);
+        this.drawCapacity(output);
+    }
+
+    /**
+     * Draws the intensive care beds as a dotted horizontal line, and shades the days drawn so far with
+     * more patients in intensive care than beds (only with hospital care, while intensive care is shown)
+     */
+    drawCapacity(output) {
+        const plot = this.plot;
+        plot.svg.selectAll('.icu-capacity, .icu-capacity-label, rect.over-capacity').remove();
+        const capacity = output.metrics.icu_capacity;
+        if (capacity === null || plot.hidden_series.has('c')) return;
+
+        // Spans of consecutive days over capacity
+        const played = this.played();
+        const spans = played(Array.from(this.raw.series.c)).reduce((list, value, day) => {
+            if (value <= capacity) return list;
+            const last = list[list.length - 1];
+            if (last && last.end === day - 1) last.end = day;
+            else list.push({ start: day, end: day });
+            return list;
+        }, []);
+        const [bottom, top] = plot.y_range.range();
+        spans.forEach(({ start, end }) => plot.data_layer.insert('svg:rect', ':first-child')
+            .attr('class', 'over-capacity')
+            .attr('x', plot.x_range(start))
+            .attr('y', top)
+            .attr('width', plot.x_range(end) - plot.x_range(start))
+            .attr('height', bottom - top));
+
+        const [xMin, xMax] = plot.x_range.domain();
+        const [yMin, yMax] = plot.y_range.domain();
+        const units = yUnits(this.params);
+        const y = units.scale * capacity;
+        if (y < yMin || y > yMax) return;
+        plot.data_layer.append('svg:line')
+            .attr('class', 'varC icu-capacity')
+            .attr('x1', plot.x_range(xMin)).attr('x2', plot.x_range(xMax))
+            .attr('y1', plot.y_range(y)).attr('y2', plot.y_range(y));
+        plot.data_layer.append('svg:text')
+            .attr('class', 'icu-capacity-label')
+            .attr('x', plot.x_range(xMax) - 4)
+            .attr('y', plot.y_range(y) - 4)
+            .text(`ICU capacity (${units.format(y)})`);
+    }
+
+    /**
+     * Draws each substage of a compartment split into latent or infectious stages as a thin curve
+     * in the colour of its compartment (when substages are shown and the compartment is not hidden)
+     */
+    drawSubstages(output) {
+        const plot = this.plot;
+        if (!plot.params.show_substages) return;
+
+        const played = this.played();
+        output.model.substages.forEach(({ key, parent }) => {
+            const compartment = this.series.find(item => item.key === parent);
+            if (!compartment || plot.hidden_series.has(parent)) return;
+            plot.data_layer.append('svg:path')
+                .attr('d', plot.draw_line(played(output[key])))
+                .attr('class', `${compartment.class} series substage-curve`);
+        });
+    }
+
+    /**
+     * Returns a function that cuts daily points off after the last day drawn by playback
+     */
+    played() {
+        const day = this.plot.playback_day;
+        return points => day === null ? points : points.slice(0, day + 1);
+    }
+
+    /**
+     * Draws the time cursor of playback on the last day drawn (or removes it once the whole run is shown)
+     */
+    drawTimeCursor() {
+        const plot = this.plot;
+        plot.svg.selectAll('line.time-cursor').remove();
+        if (plot.playback_day === null) return;
+
+        const [bottom, top] = plot.y_range.range();
+        plot.data_layer.append('svg:line')
+            .attr('class', 'time-cursor')
+            .attr('x1', plot.x_range(plot.playback_day)).attr('x2', plot.x_range(plot.playback_day))
+            .attr('y1', top).attr('y2', bottom);
+    }
+
+    /**
+     * Draws the compartments of each pinned scenario as ghosted dashed curves, with a legend
+     * that tells them apart from the current run (scenarios of another model show only the
+     * compartments it shares with the current one). Each scenario keeps its run formatted in the
+     * units of the y-axis until they change.
+     */
+    drawScenarios() {
+        const plot = this.plot;
+        plot.svg.selectAll('.scenario').remove();
+
+        const scenarios = plot.scenarios || [];
+        if (scenarios.length === 0) return;
+
+        const yMin = plot.y_range.domain()[0];
+        const dash = k => CONSTANTS.GROUP_DASHES[k % CONSTANTS.GROUP_DASHES.length];
+        const series = this.series.filter(({ key }) => !plot.hidden_series.has(key));
+        const units = yUnits(this.params);
+        scenarios.forEach((scenario, k) => {
+            if (!scenario.formatted || scenario.formatted.units !== units.id) {
+                scenario.formatted = { units: units.id, output: formatOutput(scenario.raw, null, units) };
+            }
+            const { output } = scenario.formatted;
+            series.filter(({ key }) => key in output).forEach(({ key, class: className }) => {
+                plot.data_layer.append('svg:path')
+                    .attr('d', plot.draw_line(output[key].map(({ x, y }) => ({ x, y: Math.max(y, yMin) }))))
+                    .attr('class', `${className} scenario`)
+                    .style('stroke-dasharray', dash(k));
+            });
+        });
+
+        // Legend in the top-left corner of the plot area
+        const legend = plot.svg.append('svg:g')
+            .attr('class', 'scenario scenario-legend')
+            .attr('transform', `translate(${plot.margin.left + 10}, ${plot.margin.top + 10})`);
+        [{ name: 'Current run', dash: null }, ...scenarios.map(({ name }, k) => ({ name, dash: dash(k) }))]
+            .forEach(({ name, dash }, ix) => {
+                const entry = legend.append('svg:g').attr('transform', `translate(0, ${ix * 16})`);
+                entry.append('svg:line')
+                    .attr('class', 'scenario-key')
+                    .attr('x1', 0).attr('x2', 24)
+                    .style('stroke-dasharray', dash);
+                entry.append('svg:text')
+                    .attr('x', 30)
+                    .attr('dy', '0.35em')
+                    .text(name);
+            });
+    }
+
+    /**
+     * Draws uploaded case data as points, scaled to a share of the population (or to people in the
+     * population of the y-axis) by the reporting fraction and population size, together with the
+     * model incidence when the data are daily new cases
+     */
+    drawCaseData(output) {
+        const plot = this.plot;
+        plot.svg.selectAll('.case-data').remove();
+
+        const data = plot.case_data;
+        if (!data) return;
+
+        const [, xMax] = plot.x_range.domain();
+        const yMin = plot.y_range.domain()[0];
+        if (data.kind === 'incidence') {
+            plot.data_layer.append('svg:path')
+                .attr('d', plot.draw_line(output.incidence.map(({ x, y }) => ({ x, y: Math.max(y, yMin) }))))
+                .attr('class', 'incidence case-data');
+        }
+
+        const scale = yUnits(this.params).scale / (data.reporting_fraction * data.population);
+        const points = data.points
+            .map(({ day, value }) => ({ x: day, y: value * scale }))
+            .filter(({ x, y }) => x <= xMax && y > yMin && y <= plot.view.y_full[1]);
+        plot.data_layer.selectAll('circle.observed')
+            .data(points)
+            .enter()
+            .append('svg:circle')
+            .attr('class', 'observed case-data')
+            .attr('cx', d => plot.x_range(d.x))
+            .attr('cy', d => plot.y_range(d.y))
+            .attr('r', 2.5);
+    }
+
+    /**
+     * Draws the selected compartment of each age group or region as a dashed curve, with a legend
+     * (structured runs of a model with that compartment only, unless it is hidden; stochastic runs show
+     * the median of each group)
+     */
+    drawGroupSplit(output) {
+        const plot = this.plot;
+        plot.svg.selectAll('g.group-legend').remove();
+
+        const key = CONSTANTS.GROUP_SPLIT[plot.params.group_split];
+        const split = this.series.find(item => item.key === key);
+        if (!split || !output.groups || plot.hidden_series.has(key)) return;
+
+        const { class: className } = split;
+        const dash = a => CONSTANTS.GROUP_DASHES[a % CONSTANTS.GROUP_DASHES.length];
+
+        const played = this.played();
+        output.groups.forEach((_, a) => {
+            plot.data_layer.append('svg:path')
+                .attr('d', plot.draw_line(played(output[`${key}_${a}`])))
+                .attr('class', `${className} series group-curve`)
+                .style('stroke-dasharray', dash(a));
+        });
+
+        // Legend in the top-right corner of the plot area
+        const legend = plot.svg.append('svg:g')
+            .attr('class', 'group-legend')
+            .attr('transform', `translate(${plot.width - plot.margin.right - 90}, ${plot.margin.top + 10})`);
+        output.groups.forEach((name, a) => {
+            const entry = legend.append('svg:g').attr('transform', `translate(0, ${a * 16})`);
+            entry.append('svg:line')
+                .attr('class', `${className} series group-curve`)
+                .attr('x1', 0).attr('x2', 24)
+                .style('stroke-dasharray', dash(a));
+            entry.append('svg:text')
+                .attr('x', 30)
+                .attr('dy', '0.35em')
+                .text(name);
+        });
+    }
+
+    /**
+     * Draws one small plot per region with its compartments as a percentage of the region's
+     * initial population, whatever the units of the main plot, marking the day on which the
+     * epidemic arrives (metapopulation runs only)
+     */
+    drawRegions(raw) {
+        const container = d3.select('#region-plots');
+        container.selectAll('.region-plot').remove();
+        if (!raw.arrival) return;
+
+        const { WIDTH, HEIGHT, MARGIN } = CONSTANTS.REGION_PLOT;
+        const n_days = this.plot.params.n_days;
+        const x = d3.scale.linear().domain([0, n_days]).range([MARGIN, WIDTH - MARGIN]);
+        const y = d3.scale.linear().domain([0, CONSTANTS.PERCENTAGE_SCALE]).range([HEIGHT - MARGIN, MARGIN]);
+        const line = d3.svg.line().x(d => x(d.x)).y(d => y(d.y)).interpolate('linear');
+
+        raw.groups.forEach((name, a) => {
+            const arrival = raw.arrival[a];
+            const panel = container.append('div').attr('class', 'region-plot');
+            panel.append('p')
+                .attr('class', 'region-title')
+                .text(`${name}: ${arrival === null ? 'no epidemic' : `arrival on day ${arrival}`}`);
+
+            const svg = panel.append('svg:svg')
+                .attr('viewBox', `0 0 ${WIDTH} ${HEIGHT}`)
+                .attr('preserveAspectRatio', 'none');
+            svg.append('svg:rect')
+                .attr('class', 'region-frame')
+                .attr('x', MARGIN).attr('y', MARGIN)
+                .attr('width', WIDTH - 2 * MARGIN).attr('height', HEIGHT - 2 * MARGIN);
+
+            if (arrival !== null) {
+                svg.append('svg:line')
+                    .attr('class', 'arrival')
+                    .attr('x1', x(arrival)).attr('x2', x(arrival))
+                    .attr('y1', y(0)).attr('y2', y(CONSTANTS.PERCENTAGE_SCALE));
+            }
+
+            // Rescale from the whole population to the region's own population
+            const share = raw.shares[a];
+            this.series.forEach(({ key, class: className }) => {
+                const points = formatDataForPlot(raw.series[`${key}_${a}`], CONSTANTS.PERCENTAGE_SCALE / share);
+                svg.append('svg:path')
+                    .attr('d', line(points.map(d => ({ x: d.x, y: Math.min(d.y, CONSTANTS.PERCENTAGE_SCALE) }))))
+                    .attr('class', `${className} region-series`);
+            });
+        });
+    }
+
+    /**
+     * Analyses the equilibria of the parameters of a run and fills the analysis panel (see
+     * drawEquilibrium for the reference lines on the plot). Only the SEIRS model is analysed.
+     * 
+     * @param {Object} params - Parameters of the run
+     * @param {Object} model - Model of the run (see CompartmentalModel.describe in models.js)
+     */
+    updateAnalysis(params, model) {
+        const panel = d3.select('#analysis-panel');
+        panel.selectAll('*').remove();
+        if (!model.analysable) {
+            this.analysis = null;
+            panel.append('p').attr('class', 'analysis-note')
+                .text(`${model.analysis_note}.`);
+            return;
+        }
+
+        const analysis = analyse({
+            R0: params.R0,
+            latent_period: params.latent_period,
+            infectious_period: params.infectious_period,
+            death_onset: params.death_onset,
+            immunity_duration: params.immunity_duration,
+            life_expectancy: params.life_expectancy,
+            vaccination_rate: params.vaccination_rate,
+            vaccine: this.getVaccine(params)
+        });
+        this.analysis = analysis;
+
+        // One row per equilibrium with its state, stability and eigenvalues
+        const percent = value => `${(value * CONSTANTS.PERCENTAGE_SCALE).toFixed(2)}%`;
+        const table = panel.append('table').attr('class', 'analysis-table');
+        const header = table.append('thead').append('tr');
+        ['Equilibrium', 'S*', 'E*', 'I*', 'R*', 'V*', 'Stability', 'Eigenvalues of the Jacobian']
+            .forEach(label => header.append('th').text(label));
+
+        const body = table.append('tbody');
+        [
+            { name: 'Disease-free', equilibrium: analysis.disease_free },
+            { name: 'Endemic', equilibrium: analysis.endemic }
+        ].forEach(({ name, equilibrium }) => {
+            const row = body.append('tr');
+            row.append('td').text(name);
+            if (!equilibrium) {
+                row.append('td').attr('colspan', 7).attr('class', 'analysis-none').text('Does not exist (the infection dies out)');
+                return;
+            }
+            equilibrium.state.forEach(value => row.append('td').text(percent(value)));
+            row.append('td').text(equilibrium.stable ? 'Stable' : 'Unstable');
+            row.append('td').text(equilibrium.eigenvalues
+                .filter(({ im }) => im >= 0)
+                .map(formatEigenvalue)
+                .join(', '));
+        });
+
+        const { reproduction_number, oscillation } = analysis;
+        panel.append('p').attr('class', 'analysis-note').text(
+            `Reproduction number in the disease-free population: ${reproduction_number.toFixed(2)}. ` +
+            (oscillation
+                ? `Oscillations around the endemic equilibrium recur every ${Math.round(oscillation.period)} days ` +
+                  `(${(oscillation.period / CONSTANTS.DAYS_PER_YEAR).toFixed(1)} years) and shrink by a factor e every ` +
+                  `${isFinite(oscillation.damping_time) ? Math.round(oscillation.damping_time) : '∞'} days.`
+                : 'There are no oscillations around an endemic equilibrium.')
+        );
+    }
+
+    /**
+     * Draws dashed horizontal lines at the endemic equilibrium of each shown compartment (or removes them)
+     */
+    drawEquilibrium(equilibrium) {
+        const plot = this.plot;
+        plot.svg.selectAll('line.equilibrium').remove();
+        if (!equilibrium) return;
+
+        const [xMin, xMax] = plot.x_range.domain();
+        const [yMin, yMax] = plot.y_range.domain();
+        const units = yUnits(this.params);
+        const total = units.counts ? 1 : equilibrium.state.reduce((sum, value) => sum + value, 0);
+        equilibrium.state.forEach((value, ix) => {
+            const y = units.scale * value / total;
+            if (y <= yMin || y > yMax || plot.hidden_series.has(this.series[ix].key)) return;
+            plot.data_layer.append('svg:line')
+                .attr('class', `${this.series[ix].class} equilibrium`)
+                .attr('x1', plot.x_range(xMin)).attr('x2', plot.x_range(xMax))
+                .attr('y1', plot.y_range(y)).attr('y2', plot.y_range(y));
+        });
+    }
+
+    /**
+     * Fills the metrics panel with summary numbers of the run and a sparkline of Rt
+     * (stochastic ensembles report the metrics of their median curves)
+     */
+    updateMetrics(output) {
+        const { metrics, rt, model } = output;
+        const panel = d3.select('#metrics-panel');
+        const percent = (value, digits = 1) => `${(value * CONSTANTS.PERCENTAGE_SCALE).toFixed(digits)}%`;
+        const day = value => value === null ? '–' : `Day ${value}`;
+        const equilibrium = metrics.endemic_equilibrium;
+
+        const tiles = [
+            { label: 'Peak infectious', value: percent(metrics.peak_infectious) },
+            { label: 'Day of peak', value: day(metrics.peak_day) },
+            { label: 'Infections per person', value: metrics.attack_rate.toFixed(2),
+                title: 'Cumulative new infections over the run, counting reinfections' },
+            { label: 'Annual attack rate', value: metrics.annual_attack_rate === null ? '–' : percent(metrics.annual_attack_rate),
+                title: 'New infections in the last 365 days of the run, as a share of the population' },
+            { label: 'Disease deaths', value: percent(metrics.disease_deaths, 2) },
+            { label: `I below ${percent(metrics.fade_out_threshold)}`, value: day(metrics.fade_out_day),
+                title: 'First day after the peak with fewer infectious than the threshold' },
+            { label: 'Herd immunity threshold', value: percent(metrics.herd_immunity_threshold) },
+            metrics.endemic_equilibrium_note === null
+                ? { label: 'Endemic equilibrium', value: equilibrium
+                    ? this.series.filter(({ key }) => key in equilibrium)
+                        .map(({ key }) => `${key.toUpperCase()}* ${percent(equilibrium[key])}`).join(' · ')
+                    : 'Disease-free',
+                    title: 'Long-run balance of the SEIRS equations with vaccination, as found by the equilibrium analysis' }
+                : { label: 'Endemic equilibrium', value: '–',
+                    title: metrics.endemic_equilibrium_note }
+        ];
+        if (model.healthcare) {
+            tiles.push(
+                { label: 'Peak in hospital', value: percent(metrics.peak_hospital, 3),
+                    title: 'Largest share in hospital, in intensive care or not' },
+                { label: 'Peak in intensive care', value: `${percent(metrics.peak_icu, 3)} (${day(metrics.peak_icu_day)})`,
+                    title: `Largest share in intensive care, which has beds for ${percent(metrics.icu_capacity, 3)}` },
+                { label: 'Days over ICU capacity', value: metrics.days_over_capacity.toLocaleString('en-US'),
+                    title: 'Days with more patients in intensive care than beds, when more of them die' }
+            );
+        }
+
+        panel.selectAll('*').remove();
+        tiles.forEach(({ label, value, title }) => {
+            const tile = panel.append('div').attr('class', 'metric').attr('title', title || null);
+            tile.append('span').attr('class', 'metric-label').text(label);
+            tile.append('span').attr('class', 'metric-value').text(value);
+        });
+
+        // Sparkline of the effective reproduction number with the epidemic threshold Rt = 1
+        const { WIDTH, HEIGHT, MARGIN } = CONSTANTS.REGION_PLOT;
+        const rtMax = Math.max(1.5, d3.max(rt, d => d.y));
+        const x = d3.scale.linear().domain([0, rt.length - 1]).range([MARGIN, WIDTH - MARGIN]);
+        const y = d3.scale.linear().domain([0, rtMax]).range([HEIGHT - MARGIN, MARGIN]);
+
+        const tile = panel.append('div').attr('class', 'metric metric-wide');
+        tile.append('span').attr('class', 'metric-label')
+            .text(`Effective reproduction number Rt (final ${rt[rt.length - 1].y.toFixed(2)})`);
+        const svg = tile.append('svg:svg')
+            .attr('viewBox', `0 0 ${WIDTH} ${HEIGHT}`)
+            .attr('preserveAspectRatio', 'none');
+        svg.append('svg:line')
+            .attr('class', 'rt-threshold')
+            .attr('x1', x(0)).attr('x2', x(rt.length - 1))
+            .attr('y1', y(1)).attr('y2', y(1));
+        svg.append('svg:path')
+            .attr('class', 'rt-series')
+            .attr('d', d3.svg.line().x(d => x(d.x)).y(d => y(d.y))(rt));
+    }
+
+    /**
+     * Updates the note under the plot with run statistics
+     * (stochastic ensembles and the adaptive integrator only)
+     */
+    updateRunSummary(output) {
+        const summary = d3.select('#run-summary');
+
+        if (output.extinction) {
+            const { count, runs, fraction, threshold } = output.extinction;
+            summary.text(`Median of ${runs} runs with 50% and 90% bands. ` +
+                `The epidemic died out before infecting ${Math.round(threshold * 100)}% of the population ` +
+                `in ${count} of ${runs} runs (${Math.round(fraction * 100)}%).`);
+        } else if (output.stats && output.stats.integrator === 'dopri5') {
+            const { steps, rejected, evaluations } = output.stats;
+            summary.text(`Dormand-Prince: ${steps.toLocaleString('en-US')} accepted steps, ` +
+                `${rejected.toLocaleString('en-US')} rejected, ${evaluations.toLocaleString('en-US')} derivative evaluations.`);
+        } else {
+            summary.text('');
+        }
     }
 }
 
@@ -758,17 +4095,80 @@ export const plot = (plot_id, ctrl_id, param_vals = {}) => {
     const plotConfig = new PlotConfiguration(plot_id, ctrl_id);
     const paramManager = new PlotParameterManager(plotConfig, param_vals);
     const renderer = new PlotRenderer(plotConfig);
+    const interventionEditor = new InterventionEditor(plotConfig, '#intervention-list', '#add-intervention-btn');
+    const ageStructureEditor = new AgeStructureEditor(plotConfig, {
+        table: '#age-structure-table', add: '#add-age-group-btn', file: '#age-structure-file', status: '#age-structure-status'
+    });
+    const regionEditor = new RegionEditor(plotConfig, {
+        table: '#region-table', add: '#add-region-btn', status: '#region-status'
+    });
+    const modelSelector = new ModelSelector(plotConfig, {
+        select: '#model', file: '#model-file', status: '#model-status', description: '#model-description'
+    });
+    const urlState = new UrlState(plotConfig, paramManager, '#url-warnings');
+    const exportManager = new ExportManager(plotConfig, renderer, {
+        csv: '#export-csv-btn', json: '#export-json-btn', svg: '#export-svg-btn', png: '#export-png-btn',
+        scale: '#png-scale', status: '#export-status'
+    });
+    const scenarioManager = new ScenarioManager(plotConfig, renderer, paramManager, {
+        name: '#scenario-name', pin: '#pin-scenario-btn', table: '#scenario-table', status: '#scenario-status'
+    });
+    const caseDataFitter = new CaseDataFitter(plotConfig, paramManager, renderer, {
+        file: '#case-data-file', kind: '#case-data-kind', population: '#fit-population', reporting: '#fit-reporting',
+        objective: '#fit-objective', parameters: '#fit-parameters', fit: '#fit-btn',
+        status: '#case-data-status', results: '#fit-results'
+    });
+    const sensitivityAnalyser = new SensitivityAnalyser(plotConfig, paramManager, renderer, {
+        method: '#sensitivity-method', outcome: '#sensitivity-outcome', samples: '#sensitivity-samples',
+        parameters: '#sensitivity-parameters', run: '#sensitivity-btn', status: '#sensitivity-status',
+        chart: '#sensitivity-chart'
+    });
+    const parameterSweep = new ParameterSweep(plotConfig, paramManager, renderer, {
+        x: '#sweep-x', y: '#sweep-y', outcome: '#sweep-outcome', resolution: '#sweep-resolution',
+        run: '#sweep-btn', status: '#sweep-status', chart: '#sweep-chart'
+    });
 
     // Setup parameters and event handlers
     paramManager.initialize();
     paramManager.setupEventHandlers();
 
-    // Attach update function to plot config
-    plotConfig.update = () => renderer.update();
+    // Restore any parameters shared in the URL, and keep the URL up to date
+    urlState.initialize(() => {
+        modelSelector.render();
+        interventionEditor.render();
+        ageStructureEditor.render();
+        regionEditor.render();
+        plotConfig.update();
+    });
+
+    // Attach update function to plot config: the model is solved in the background, and the plot and
+    // scenario table are redrawn once the newest run is ready. Solver errors are shown under the plot,
+    // or passed to onError to let the caller undo the change.
+    plotConfig.update = (onError = error => renderer.showError(error)) => {
+        urlState.save();
+        renderer.update()
+            .then(drawn => {
+                if (drawn) scenarioManager.render();
+            })
+            .catch(onError);
+    };
+    modelSelector.initialize();
+    interventionEditor.initialize();
+    ageStructureEditor.initialize();
+    regionEditor.initialize();
+    caseDataFitter.initialize();
+    sensitivityAnalyser.initialize();
+    parameterSweep.initialize();
+    scenarioManager.initialize();
+    exportManager.initialize();
 
     // Setup reset button
     d3.select('#reset-params-btn').on('click', () => {
         paramManager.resetToDefaults();
+        modelSelector.render();
+        interventionEditor.render();
+        ageStructureEditor.render();
+        regionEditor.render();
     });
 
     // Handle window resize
@@ -0,0 +1,247 @@
+// Sensitivity analysis of model outcomes
+//
+// This module measures how strongly the outcomes of a model depend on its parameters,
+// either globally, by sampling all parameter ranges at once with a Latin hypercube and
+// ranking outcomes against parameters with partial rank correlation coefficients (PRCC),
+// or locally, by moving one parameter at a time away from a base point. It also maps
+// outcomes over a grid of two parameters. Like fitting.js, it knows nothing about the
+// model itself: outcomes come from a callback.
+
+import { createRng } from './stochastic.js';
+import { invert } from './fitting.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const SENSITIVITY = {
+    Z_95: 1.959964                    // Standard normal quantile of two-sided 5% significance tests
+};
+
+// ============================================================================
+// Sampling
+// ============================================================================
+
+/**
+ * Draws a Latin hypercube sample of the unit cube
+ *
+ * Each dimension is split into as many equal strata as there are samples, and every stratum
+ * holds exactly one sample, placed at random within it. Strata are paired across dimensions
+ * by independent random permutations.
+ *
+ * @param {number} samples - Number of points
+ * @param {number} dimensions - Number of coordinates of each point
+ * @param {Function} rng - Uniform random number generator (see createRng in stochastic.js)
+ * @returns {Array} Points, each an array of coordinates in [0, 1)
+ */
+export const latinHypercube = (samples, dimensions, rng) => {
+    const columns = Array.from({ length: dimensions }, () => {
+        // Fisher-Yates shuffle of the strata
+        const strata = Array.from({ length: samples }, (_, k) => k);
+        for (let k = samples - 1; k > 0; k--) {
+            const j = Math.floor(rng() * (k + 1));
+            [strata[k], strata[j]] = [strata[j], strata[k]];
+        }
+        return strata.map(stratum => (stratum + rng()) / samples);
+    });
+    return Array.from({ length: samples }, (_, k) => columns.map(column => column[k]));
+};
+
+/**
+ * Maps a coordinate in [0, 1) onto the range of a parameter
+ *
+ * @param {Object} parameter - {lower, upper} for a continuous range, or {values} for a list of
+ *                             allowed values (such as the positions of a slider), each equally likely
+ * @param {number} u - Coordinate in [0, 1)
+ * @returns {number} Parameter value
+ */
+const valueAt = ({ lower, upper, values }, u) => values
+    ? values[Math.min(Math.floor(u * values.length), values.length - 1)]
+    : lower + u * (upper - lower);
+
+/**
+ * Checks that every parameter has a range to vary over
+ */
+const validateParameters = (parameters) => {
+    if (parameters.length === 0) {
+        throw new Error('Choose at least one parameter to vary');
+    }
+    parameters.forEach(({ name, lower, upper, values }) => {
+        if (values ? new Set(values).size < 2 : !(lower < upper)) {
+            throw new Error(`${name} needs a range of values to vary over`);
+        }
+    });
+};
+
+// ============================================================================
+// Rank Correlation
+// ============================================================================
+
+/**
+ * Ranks values from 1 upwards, giving tied values the mean of their ranks
+ * @param {Array} values - Values to rank
+ * @returns {Array} Rank of each value, in the order given
+ */
+export const ranks = (values) => {
+    const order = values.map((value, ix) => ix).sort((a, b) => values[a] - values[b]);
+    const result = new Array(values.length);
+    for (let start = 0; start < order.length;) {
+        let end = start + 1;
+        while (end < order.length && values[order[end]] === values[order[start]]) end++;
+        const rank = (start + end + 1) / 2;
+        for (let k = start; k < end; k++) result[order[k]] = rank;
+        start = end;
+    }
+    return result;
+};
+
+/**
+ * Pearson correlation matrix of a set of variables
+ * @param {Array} columns - One array of observations per variable
+ * @returns {Array} Correlation matrix (NaN where a variable does not vary)
+ */
+const correlationMatrix = (columns) => {
+    const n = columns[0].length;
+    const centred = columns.map(column => {
+        const mean = column.reduce((sum, value) => sum + value, 0) / n;
+        return column.map(value => value - mean);
+    });
+    const norms = centred.map(column => Math.sqrt(column.reduce((sum, value) => sum + value * value, 0)));
+    return centred.map((a, i) => centred.map((b, j) =>
+        a.reduce((sum, value, k) => sum + value * b[k], 0) / (norms[i] * norms[j])));
+};
+
+/**
+ * Partial rank correlation coefficients of an output with each of several inputs
+ *
+ * The PRCC of input j is the correlation between the ranks of input j and of the output once
+ * the linear effect of the ranks of all other inputs is removed from both. It is read off the
+ * inverse C of the rank correlation matrix of [inputs, output] as -C[j][y] / sqrt(C[j][j] C[y][y]).
+ * Significance is tested with t = r sqrt((n - 2 - p) / (1 - r²)), taken as standard normal,
+ * where p is the number of other inputs.
+ *
+ * @param {Array} inputs - One array of observations per input
+ * @param {Array} output - Observations of the output
+ * @returns {Array|null} {value, significant} for each input, or null when the output does not vary
+ *                       or the inputs are collinear
+ */
+export const partialRankCorrelations = (inputs, output) => {
+    const n = output.length;
+    const p = inputs.length - 1;
+    const inverse = invert(correlationMatrix([...inputs, output].map(ranks)));
+    if (!inverse || inverse.some(row => row.some(value => !Number.isFinite(value)))) return null;
+
+    const y = inputs.length;
+    return inputs.map((_, j) => {
+        const value = Math.max(-1, Math.min(1, -inverse[j][y] / Math.sqrt(inverse[j][j] * inverse[y][y])));
+        const t = Math.abs(value) < 1 ? value * Math.sqrt((n - 2 - p) / (1 - value * value)) : Infinity;
+        return { value, significant: Math.abs(t) > SENSITIVITY.Z_95 };
+    });
+};
+
+// ============================================================================
+// Analyses
+// ============================================================================
+
+/**
+ * Global sensitivity analysis with Latin hypercube sampling and PRCC
+ *
+ * All parameters are sampled together across their ranges, the outcomes of every sample are
+ * computed, and each outcome is ranked against each parameter with partial rank correlation
+ * coefficients (see partialRankCorrelations). A PRCC near +1 or -1 means the outcome rises or
+ * falls steadily with the parameter whatever the others do; near 0, that the parameter hardly matters.
+ *
+ * @param {Object} problem - Analysis settings
+ * @param {Array} problem.parameters - Varied parameters {name, lower, upper} or {name, values} (see valueAt)
+ * @param {Function} problem.evaluate - Returns the outcomes {name: number} for parameter values {name: value}
+ * @param {number} problem.samples - Number of samples, more than the number of parameters plus 2
+ * @param {number} problem.seed - Random seed of the sample (default: 1)
+ * @param {Function} problem.onProgress - Called with the fraction of samples evaluated after each one (default: none)
+ * @returns {Object} {runs, indices}: the values and outcomes {values, outcomes} of every sample, and the PRCC
+ *                   of every outcome with every parameter as {outcome: {parameter: {value, significant}}}
+ *                   (null for an outcome that does not vary)
+ */
+export const rankCorrelationAnalysis = ({ parameters, evaluate, samples, seed = 1, onProgress = null }) => {
+    validateParameters(parameters);
+    if (!(samples > parameters.length + 2)) {
+        throw new Error(`Varying ${parameters.length} parameters needs more than ${parameters.length + 2} samples`);
+    }
+
+    const runs = latinHypercube(samples, parameters.length, createRng(seed)).map((point, k) => {
+        const values = Object.fromEntries(parameters.map((parameter, ix) => [parameter.name, valueAt(parameter, point[ix])]));
+        const outcomes = evaluate(values);
+        if (onProgress) onProgress((k + 1) / samples);
+        return { values, outcomes };
+    });
+
+    const inputs = parameters.map(({ name }) => runs.map(({ values }) => values[name]));
+    const indices = Object.fromEntries(Object.keys(runs[0].outcomes).map(outcome => {
+        const coefficients = partialRankCorrelations(inputs, runs.map(({ outcomes }) => outcomes[outcome]));
+        return [outcome, coefficients && Object.fromEntries(parameters.map(({ name }, ix) => [name, coefficients[ix]]))];
+    }));
+
+    return { runs, indices };
+};
+
+/**
+ * Local sensitivity analysis varying one parameter at a time
+ *
+ * The outcomes are computed at the base point, and again with each parameter moved to the
+ * lower and then the upper end of its range while all others keep their base values.
+ *
+ * @param {Object} problem - Analysis settings
+ * @param {Object} problem.base - Base values {name: value} of the varied parameters
+ * @param {Array} problem.parameters - Varied parameters {name, lower, upper}
+ * @param {Function} problem.evaluate - Returns the outcomes {name: number} for parameter values {name: value}
+ * @param {Function} problem.onProgress - Called with the fraction of runs completed after each one (default: none)
+ * @returns {Object} {baseline, effects}: the outcomes at the base point, and for each parameter the
+ *                   outcomes at either end of its range as {parameter: {lower: {value, outcomes}, upper: {value, outcomes}}}
+ */
+export const oneAtATimeAnalysis = ({ base, parameters, evaluate, onProgress = null }) => {
+    validateParameters(parameters);
+
+    const total = 1 + 2 * parameters.length;
+    let done = 0;
+    const run = values => {
+        const outcomes = evaluate(values);
+        if (onProgress) onProgress(++done / total);
+        return outcomes;
+    };
+
+    const baseline = run(base);
+    const effects = Object.fromEntries(parameters.map(({ name, lower, upper }) => [name, {
+        lower: { value: lower, outcomes: run({ ...base, [name]: lower }) },
+        upper: { value: upper, outcomes: run({ ...base, [name]: upper }) }
+    }]));
+
+    return { baseline, effects };
+};
+
+/**
+ * Evaluates the outcomes at every combination of the values of two parameters
+ *
+ * @param {Object} problem - Sweep settings
+ * @param {Object} problem.x - First parameter {name, values}
+ * @param {Object} problem.y - Second parameter {name, values}, different from the first
+ * @param {Function} problem.evaluate - Returns the outcomes {name: number} for parameter values {name: value}
+ * @param {Function} problem.onProgress - Called with the fraction of cells evaluated after each one (default: none)
+ * @returns {Object} {x, y, cells}: the two parameters and one cell {x, y, outcomes} per combination,
+ *                   running through the values of x for each value of y in turn
+ */
+export const gridSweep = ({ x, y, evaluate, onProgress = null }) => {
+    if (x.name === y.name) {
+        throw new Error('Choose two different parameters to sweep');
+    }
+    [x, y].forEach(({ name, values }) => {
+        if (!(values && values.length > 0)) throw new Error(`${name} needs at least one value to sweep`);
+    });
+
+    const total = x.values.length * y.values.length;
+    const cells = [];
+    y.values.forEach(yValue => x.values.forEach(xValue => {
+        cells.push({ x: xValue, y: yValue, outcomes: evaluate({ [x.name]: xValue, [y.name]: yValue }) });
+        if (onProgress) onProgress(cells.length / total);
+    }));
+
+    return { x, y, cells };
+};
@@ -0,0 +1,30 @@
+// Web Worker running the solvers of model.js off the page's main thread
+//
+// The page posts {id, solver, args}, where solver names one of SOLVERS and args are its
+// arguments. While a stochastic ensemble, a sensitivity analysis or a sweep runs, the worker
+// answers with {id, type: 'progress', fraction} after every run, and finally with
+// {id, type: 'result', output} or {id, type: 'error', message}. Jobs run one at a time, in the
+// order they arrive.
+
+import { simulate, simulateStochastic, fit, sensitivity, sweep } from './model.js';
+
+// Solvers that can be requested, each called with a progress callback before its arguments
+const SOLVERS = {
+    simulate: (progress, options) => simulate(options),
+    simulateStochastic: (progress, options) => simulateStochastic({ ...options, onProgress: progress }),
+    fit: (progress, data, values, options) => fit(data, values, options),
+    sensitivity: (progress, options, settings) => sensitivity(options, { ...settings, onProgress: progress }),
+    sweep: (progress, options, settings) => sweep(options, { ...settings, onProgress: progress })
+};
+
+self.onmessage = ({ data: { id, solver, args } }) => {
+    const progress = fraction => self.postMessage({ id, type: 'progress', fraction });
+    try {
+        if (!(solver in SOLVERS)) {
+            throw new Error(`Unknown solver '${solver}'`);
+        }
+        self.postMessage({ id, type: 'result', output: SOLVERS[solver](progress, ...args) });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,372 @@
+// Stochastic simulation engines for the SEIRS model
+//
+// This module runs individual-based counterparts of the deterministic solver.
+// Each engine works on integer counts in a population of fixed nominal size N
+// and draws its event rates from the same SEIRTransitions flows as the ODEs,
+// so both approaches agree on average in large populations.
+
+import { TRACKED } from './models.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const STOCHASTIC = {
+    TAU_STEPS_PER_DAY: 4,             // Sub-steps per day used by the tau-leaping engine
+    NORMAL_APPROX_THRESHOLD: 30,      // Mean count above which samplers use a normal approximation
+    MINOR_OUTBREAK_SHARE: 0.05,       // Infections, as a share of N, below which an outbreak is minor
+    QUANTILES: {
+        OUTER: [0.05, 0.95],          // 90% band drawn around the median
+        INNER: [0.25, 0.75],          // 50% band drawn around the median
+        MEDIAN: 0.5
+    }
+};
+
+// ============================================================================
+// Random Number Generation
+// ============================================================================
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * The same seed always yields the same sequence, so ensembles are reproducible.
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning uniform values in [0, 1)
+ */
+export const createRng = (seed) => {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Draws a standard normal variate using the Box-Muller transform
+ * @param {Function} rng - Uniform random number generator
+ * @returns {number} Sample from N(0, 1)
+ */
+const sampleNormal = (rng) => {
+    const u = 1 - rng();  // Avoid log(0)
+    const v = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Draws a Poisson variate
+ * Uses Knuth's multiplication method for small means and a rounded normal approximation otherwise.
+ *
+ * @param {Function} rng - Uniform random number generator
+ * @param {number} lambda - Mean of the distribution
+ * @returns {number} Non-negative integer sample
+ */
+export const samplePoisson = (rng, lambda) => {
+    if (lambda <= 0) return 0;
+    if (lambda > STOCHASTIC.NORMAL_APPROX_THRESHOLD) {
+        return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * sampleNormal(rng)));
+    }
+    const limit = Math.exp(-lambda);
+    let k = 0;
+    let product = rng();
+    while (product > limit) {
+        k++;
+        product *= rng();
+    }
+    return k;
+};
+
+/**
+ * Draws a binomial variate
+ * Uses geometric waiting times when the expected count is small and a rounded
+ * normal approximation otherwise.
+ *
+ * @param {Function} rng - Uniform random number generator
+ * @param {number} n - Number of trials
+ * @param {number} p - Success probability per trial
+ * @returns {number} Integer sample between 0 and n
+ */
+export const sampleBinomial = (rng, n, p) => {
+    if (n <= 0 || p <= 0) return 0;
+    if (p >= 1) return n;
+    if (p > 0.5) return n - sampleBinomial(rng, n, 1 - p);
+
+    const mean = n * p;
+    if (mean > STOCHASTIC.NORMAL_APPROX_THRESHOLD) {
+        const sample = Math.round(mean + Math.sqrt(mean * (1 - p)) * sampleNormal(rng));
+        return Math.min(n, Math.max(0, sample));
+    }
+
+    // Count successes by jumping over failures with geometric waiting times
+    const logQ = Math.log(1 - p);
+    let successes = 0;
+    let position = 0;
+    for (;;) {
+        position += Math.floor(Math.log(1 - rng()) / logQ) + 1;
+        if (position > n) return successes;
+        successes++;
+    }
+};
+
+// ============================================================================
+// Simulation Engines
+// ============================================================================
+
+/**
+ * Converts per-proportion flows into event rates for a population of size N
+ *
+ * @param {SEIRTransitions} transitions - Model transitions providing calculateFlows()
+ * @param {Array} counts - Current counts, ordered like transitions.compartments (any further counts are ignored)
+ * @param {number} N - Nominal population size
+ * @param {number} t - Time in days
+ * @returns {Array} Flows with {from, to, rate, tracked} where rate is in events per day
+ */
+const eventRates = (transitions, counts, N, t) => {
+    const flows = transitions.calculateFlows(...counts.slice(0, transitions.compartments.length).map(c => c / N), t);
+    flows.forEach(flow => { flow.rate *= N; });
+    return flows;
+};
+
+/**
+ * Counts of a run: the initial counts of the compartments followed by a total of 0 for each
+ * TRACKED flow (see models.js), which the engines add every event to
+ */
+const initialCounts = (initial) => [...initial, ...TRACKED.map(() => 0)];
+
+/**
+ * Exact stochastic simulation using Gillespie's direct method
+ * Every birth, infection, progression, recovery, waning and death is simulated as a single event.
+ * Time-varying rates are held constant between consecutive events.
+ */
+export class GillespieSimulator {
+    constructor(transitions, population_size) {
+        this.transitions = transitions;
+        this.N = population_size;
+        this.index = Object.fromEntries(transitions.compartments.map((key, ix) => [key, ix]));
+        this.width = transitions.compartments.length;
+    }
+
+    /**
+     * Runs one realisation and records the state at every whole day
+     * @param {Array} initial - Initial counts, ordered like transitions.compartments
+     * @param {number} n - Number of days to simulate
+     * @param {Function} rng - Uniform random number generator
+     * @returns {Array} One Float64Array of counts per compartment followed by the running total of events
+     *                  of each TRACKED flow, each of length n + 1
+     */
+    run(initial, n, rng) {
+        const counts = initialCounts(initial);
+        const series = counts.map(() => new Float64Array(n + 1));
+        const record = (day) => counts.forEach((count, ix) => { series[ix][day] = count; });
+
+        let t = 0;
+        let day = 0;
+        while (day <= n) {
+            const flows = eventRates(this.transitions, counts, this.N, t);
+            const total = flows.reduce((sum, flow) => sum + flow.rate, 0);
+
+            // No further events possible: the state is frozen until the end
+            if (total <= 0) {
+                while (day <= n) record(day++);
+                break;
+            }
+
+            // Time to next event is exponentially distributed
+            t += -Math.log(1 - rng()) / total;
+            while (day <= n && day < t) record(day++);
+            if (day > n) break;
+
+            // Choose which event fires with probability proportional to its rate
+            let threshold = rng() * total;
+            const flow = flows.find(f => (threshold -= f.rate) < 0) || flows[flows.length - 1];
+            if (flow.from !== null) counts[this.index[flow.from]]--;
+            if (flow.to !== null) counts[this.index[flow.to]]++;
+            flow.tracked.forEach(ix => { counts[this.width + ix]++; });
+        }
+
+        return series;
+    }
+}
+
+/**
+ * Approximate stochastic simulation using binomial tau-leaping
+ *
+ * Within each leap of length tau, the number of individuals leaving a compartment is
+ * Binomial(n, 1 - exp(-H*tau)) where H is the total per-capita exit rate, and the leavers
+ * are split between destinations in proportion to their rates. Births are Poisson.
+ * Counts can therefore never become negative.
+ */
+export class TauLeapSimulator {
+    constructor(transitions, population_size, steps_per_day = STOCHASTIC.TAU_STEPS_PER_DAY) {
+        this.transitions = transitions;
+        this.N = population_size;
+        this.tau = 1 / steps_per_day;
+        this.steps_per_day = steps_per_day;
+        this.index = Object.fromEntries(transitions.compartments.map((key, ix) => [key, ix]));
+        this.width = transitions.compartments.length;
+    }
+
+    /**
+     * Runs one realisation and records the state at every whole day
+     * @param {Array} initial - Initial counts, ordered like transitions.compartments
+     * @param {number} n - Number of days to simulate
+     * @param {Function} rng - Uniform random number generator
+     * @returns {Array} One Float64Array of counts per compartment followed by the running total of events
+     *                  of each TRACKED flow, each of length n + 1
+     */
+    run(initial, n, rng) {
+        const counts = initialCounts(initial);
+        const series = counts.map(() => new Float64Array(n + 1));
+        counts.forEach((count, ix) => { series[ix][0] = count; });
+
+        for (let day = 1; day <= n; day++) {
+            for (let step = 0; step < this.steps_per_day; step++) {
+                this.leap(counts, day - 1 + step * this.tau, rng);
+            }
+            counts.forEach((count, ix) => { series[ix][day] = count; });
+        }
+
+        return series;
+    }
+
+    /**
+     * Advances the counts by one leap of length tau starting at time t (in place)
+     */
+    leap(counts, t, rng) {
+        const flows = eventRates(this.transitions, counts, this.N, t);
+        const change = new Array(counts.length).fill(0);
+
+        // Group outgoing flows by source compartment (null = births)
+        const bySource = new Map();
+        flows.forEach(flow => {
+            if (!bySource.has(flow.from)) bySource.set(flow.from, []);
+            bySource.get(flow.from).push(flow);
+        });
+
+        bySource.forEach((outflows, from) => {
+            const move = (flow, amount) => {
+                if (from !== null) change[this.index[from]] -= amount;
+                if (flow.to !== null) change[this.index[flow.to]] += amount;
+                flow.tracked.forEach(ix => { change[this.width + ix] += amount; });
+            };
+
+            if (from === null) {
+                outflows.forEach(flow => move(flow, samplePoisson(rng, flow.rate * this.tau)));
+                return;
+            }
+
+            const available = counts[this.index[from]];
+            const total = outflows.reduce((sum, flow) => sum + flow.rate, 0);
+            if (available <= 0 || total <= 0) return;
+
+            // Total leavers, then a multinomial split via sequential binomials
+            let leaving = sampleBinomial(rng, available, 1 - Math.exp(-total / available * this.tau));
+            let remainingRate = total;
+            outflows.forEach((flow, ix) => {
+                const amount = ix === outflows.length - 1
+                    ? leaving
+                    : sampleBinomial(rng, leaving, flow.rate / remainingRate);
+                move(flow, amount);
+                leaving -= amount;
+                remainingRate -= flow.rate;
+            });
+        });
+
+        change.forEach((delta, ix) => { counts[ix] += delta; });
+    }
+}
+
+// ============================================================================
+// Ensembles
+// ============================================================================
+
+/**
+ * Returns the q-th quantile of a sorted array using linear interpolation
+ * @param {Float64Array} sorted - Values sorted in ascending order
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} Interpolated quantile
+ */
+const quantile = (sorted, q) => {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Quantiles across runs of every series and day, as proportions of N
+ *
+ * @param {Array} runs - Series of each run keyed by name, in counts
+ * @param {number} n - Number of days simulated
+ * @param {number} N - Nominal population size
+ * @returns {Object} Per-series {median, inner, outer} proportions
+ */
+const summariseRuns = (runs, n, N) => {
+    const { OUTER, INNER, MEDIAN } = STOCHASTIC.QUANTILES;
+    const summary = {};
+    const values = new Float64Array(runs.length);
+    Object.keys(runs[0]).forEach(key => {
+        const band = {
+            median: new Float64Array(n + 1),
+            inner: [new Float64Array(n + 1), new Float64Array(n + 1)],
+            outer: [new Float64Array(n + 1), new Float64Array(n + 1)]
+        };
+        for (let day = 0; day <= n; day++) {
+            runs.forEach((run, k) => { values[k] = run[key][day] / N; });
+            values.sort();
+            band.median[day] = quantile(values, MEDIAN);
+            band.inner[0][day] = quantile(values, INNER[0]);
+            band.inner[1][day] = quantile(values, INNER[1]);
+            band.outer[0][day] = quantile(values, OUTER[0]);
+            band.outer[1][day] = quantile(values, OUTER[1]);
+        }
+        summary[key] = band;
+    });
+    return summary;
+};
+
+/**
+ * Runs an ensemble of independent realisations and summarises them by day
+ *
+ * Run k uses the seed (seed + k), so a whole ensemble is reproducible from a single seed.
+ * Each run is first mapped onto output series by transitions.summarise() (for example,
+ * summing age groups), and quantiles are taken across runs for every output series and
+ * for the running total of every TRACKED flow.
+ * An epidemic is counted as having died out when it ends before a major outbreak: no infected individuals
+ * (such as the exposed and infectious) remain at the end of the run, and fewer than MINOR_OUTBREAK_SHARE
+ * of the population were ever infected. Runs that burn out after a major outbreak are not counted.
+ *
+ * @param {GillespieSimulator|TauLeapSimulator} simulator - Engine used for each run
+ * @param {Array} initial - Initial counts, ordered like the simulator's compartments
+ * @param {number} n - Number of days to simulate
+ * @param {number} n_runs - Number of realisations
+ * @param {number} seed - Base random seed
+ * @param {Function|null} onProgress - Called with the fraction of runs completed after each run (default: none)
+ * @returns {Object} Per-series {median, inner, outer} proportions, the same for the running totals
+ *                   keyed by TRACKED name as cumulative, and extinction statistics {count, runs, fraction, threshold}
+ */
+export const runEnsemble = (simulator, initial, n, n_runs, seed, onProgress = null) => {
+    const transitions = simulator.transitions;
+    const width = transitions.compartments.length;
+    const runs = [];
+    const totals = [];
+    for (let k = 0; k < n_runs; k++) {
+        const series = simulator.run(initial, n, createRng(seed + k));
+        runs.push(transitions.summarise(series.slice(0, width)));
+        totals.push(Object.fromEntries(TRACKED.map((name, ix) => [name, series[width + ix]])));
+        if (onProgress) onProgress((k + 1) / n_runs);
+    }
+
+    // Early extinction: no infection left at the final day, and too few infections for a major outbreak
+    const threshold = STOCHASTIC.MINOR_OUTBREAK_SHARE;
+    const extinctions = runs.filter((run, k) => transitions.infected.every(key => run[key][n] === 0)
+        && totals[k].infections[n] < threshold * simulator.N).length;
+
+    return {
+        ...summariseRuns(runs, n, simulator.N),
+        cumulative: summariseRuns(totals, n, simulator.N),
+        extinction: { count: extinctions, runs: n_runs, fraction: extinctions / n_runs, threshold }
+    };
+};
@@ -0,0 +1,82 @@
+// Command-line runner: flag parsing, --config files and option checks
+//
+// Run with: node --test
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, writeFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI_PATH = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+// Directories the runs were started in, removed after the tests
+const directories = [];
+after(() => directories.forEach(dir => rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Runs cli.js in a fresh directory
+ * @returns {Object} {status, stdout, stderr, dir}
+ */
+const run = (args, files = {}) => {
+    const dir = mkdtempSync(join(tmpdir(), 'seirs-cli-'));
+    directories.push(dir);
+    Object.entries(files).forEach(([name, content]) => writeFileSync(join(dir, name), JSON.stringify(content)));
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI_PATH, ...args], { cwd: dir, encoding: 'utf8' });
+    return { status, stdout, stderr, dir };
+};
+
+/**
+ * Parameters of a run, as written to its JSON output
+ */
+const runParams = (args, files) => {
+    const { status, stdout, stderr } = run(['--n_days', '5', '--format', 'json', ...args], files);
+    assert.equal(status, 0, stderr);
+    return JSON.parse(stdout).params;
+};
+
+test('flags are parsed as --name value or --name=value, with numbers and JSON', () => {
+    const params = runParams(['--R0', '2.5', '--latent_period=4', '--interventions', '[{"start":1,"end":3,"reduction":0.5}]']);
+    assert.equal(params.R0, 2.5);
+    assert.equal(params.latent_period, 4);
+    assert.deepEqual(params.interventions, [{ start: 1, end: 3, reduction: 0.5 }]);
+    assert.equal(params.n_days, 5);
+});
+
+test('flags override the values of --config, which override the defaults', () => {
+    const params = runParams(['--config', 'scenario.json', '--R0', '4'], { 'scenario.json': { R0: 2, infectious_period: 10 } });
+    assert.equal(params.R0, 4);
+    assert.equal(params.infectious_period, 10);
+    assert.equal(params.latent_period, 7);
+    assert.equal(params.config, undefined);
+});
+
+test('file names are kept as text', () => {
+    const { status, stderr, dir } = run(['--n_days', '5', '--output', '2024']);
+    assert.equal(status, 0, stderr);
+    assert.ok(existsSync(join(dir, '2024')));
+    assert.match(readFileSync(join(dir, '2024'), 'utf8'), /^# /);
+});
+
+test('unknown options are rejected', () => {
+    assert.match(run(['--R_0', '2']).stderr, /Unknown option 'R_0' in the command line/);
+    assert.match(run(['--config', 'scenario.json'], { 'scenario.json': { beta: 0.5 } }).stderr,
+        /Unknown option 'beta' in scenario\.json/);
+});
+
+test('non-numeric values of numeric options are rejected', () => {
+    const flag = run(['--R0', 'abc']);
+    assert.equal(flag.status, 1);
+    assert.match(flag.stderr, /--R0 must be a number, not "abc"/);
+    assert.match(run(['--n_days=true']).stderr, /--n_days must be a number, not true/);
+    assert.match(run(['--config', 'scenario.json'], { 'scenario.json': { R0: '2' } }).stderr,
+        /'R0' in scenario\.json must be a number, not "2"/);
+});
+
+test('malformed arguments are rejected', () => {
+    assert.match(run(['R0', '2']).stderr, /Unexpected argument 'R0'/);
+    assert.match(run(['--R0']).stderr, /Missing value for --R0/);
+    assert.match(run(['--interventions', '[{']).stderr, /Invalid JSON/);
+});
@@ -0,0 +1,43 @@
+// Endemic equilibrium reported by the metrics of simulate(), checked against long runs
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../model.js';
+
+// Days after which the damped oscillations of the default SEIRS run have settled
+const LONG_RUN = { n_days: 20000, integrator: 'dopri5' };
+
+/**
+ * Share of each compartment on the last day of a run
+ */
+const finalState = ({ series, metrics }) =>
+    Object.fromEntries(Object.keys(metrics.endemic_equilibrium).map(key => [key, series[key][series[key].length - 1]]));
+
+test('endemic equilibrium with vaccination matches a long run', () => {
+    const run = simulate({ ...LONG_RUN, vaccination_rate: 0.4 });
+    const final = finalState(run);
+    Object.entries(run.metrics.endemic_equilibrium).forEach(([key, value]) => {
+        assert.ok(Math.abs(value - final[key]) < 1e-6, `${key}*: ${value} against ${final[key]}`);
+    });
+});
+
+test('no endemic equilibrium when a campaign with lifelong vaccine immunity eliminates the infection', () => {
+    const run = simulate({ ...LONG_RUN, vaccine: { campaign_rate: 0.001, immunity_duration: 0 } });
+    assert.equal(run.metrics.endemic_equilibrium, null);
+    assert.equal(run.metrics.endemic_equilibrium_note, null);
+    assert.ok(run.series.i[run.series.i.length - 1] < 1e-6);
+});
+
+test('no endemic equilibrium for structured populations or varying transmission', () => {
+    const age_structure = {
+        groups: [{ name: 'young', share: 0.5, susceptibility: 0.5 }, { name: 'old', share: 0.5 }],
+        contacts: [[2, 1], [1, 2]]
+    };
+    [{ age_structure }, { seasonality: { amplitude: 0.2 } }].forEach(options => {
+        const { metrics } = simulate({ n_days: 100, ...options });
+        assert.equal(metrics.endemic_equilibrium, null);
+        assert.equal(typeof metrics.endemic_equilibrium_note, 'string');
+    });
+});
@@ -0,0 +1,66 @@
+// Fitting to case data: the simplex search, matrix inversion and recovery of known parameters
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nelderMead, invert, parseCaseData } from '../fitting.js';
+import { simulate, fit } from '../model.js';
+
+// Parameters of the synthetic outbreak, and the population its incidence is counted in
+const TRUE_VALUES = { S0: 0.999, R0: 2, latent_period: 7, infectious_period: 7 };
+const POPULATION = 100000;
+
+/**
+ * Daily new infections of the synthetic outbreak every other day, rounded to whole cases
+ */
+const syntheticIncidence = (reporting_fraction = 1) => {
+    const { incidence } = simulate({ ...TRUE_VALUES, n_days: 120, integrator: 'dopri5' });
+    return Array.from({ length: 60 }, (_, k) => 2 * (k + 1))
+        .map(day => ({ day, value: Math.round(reporting_fraction * POPULATION * incidence[day]) }));
+};
+
+test('Nelder-Mead finds the minimum of the Rosenbrock function', () => {
+    const rosenbrock = ([x, y]) => (1 - x) ** 2 + 100 * (y - x * x) ** 2;
+    const { x, value, converged } = nelderMead(rosenbrock, [-1.2, 1], { tolerance: 1e-12, maxEvaluations: 5000 });
+    assert.ok(converged);
+    assert.ok(value < 1e-8, `minimum ${value}`);
+    assert.ok(Math.abs(x[0] - 1) < 1e-3 && Math.abs(x[1] - 1) < 1e-3, `at ${x}`);
+});
+
+test('Nelder-Mead treats non-finite values as +Infinity', () => {
+    const { x } = nelderMead(([x]) => x < 0 ? NaN : (x - 2) ** 2, [1]);
+    assert.ok(Math.abs(x[0] - 2) < 1e-3, `at ${x}`);
+});
+
+test('matrices are inverted, and singular ones are reported', () => {
+    const matrix = [[0, 2, 1], [1, 1, 0], [3, 0, 4]];
+    const inverse = invert(matrix);
+    matrix.forEach((row, i) => row.forEach((_, j) => {
+        const product = row.reduce((sum, value, k) => sum + value * inverse[k][j], 0);
+        assert.ok(Math.abs(product - (i === j ? 1 : 0)) < 1e-12, `(${i}, ${j}): ${product}`);
+    }));
+    assert.equal(invert([[1, 2], [2, 4]]), null);
+});
+
+test('case data is read by day or by date', () => {
+    assert.deepEqual(parseCaseData('day,cases\n3,5\n1,2\n'), [{ day: 1, value: 2 }, { day: 3, value: 5 }]);
+    assert.deepEqual(parseCaseData('2020-03-01;4\n2020-03-08;9'), [{ day: 0, value: 4 }, { day: 7, value: 9 }]);
+    assert.throws(() => parseCaseData('1,-2'), /not a non-negative number/);
+});
+
+test('fitting recovers R0 from synthetic incidence', () => {
+    const { values, estimates, converged } = fit(syntheticIncidence(), { ...TRUE_VALUES, R0: 3 },
+        { parameters: ['R0'], population: POPULATION });
+    assert.ok(converged);
+    assert.ok(Math.abs(values.R0 - 2) < 0.01, `R0 ${values.R0}`);
+    assert.ok(estimates.R0.lower < 2 && estimates.R0.upper > 2, `interval [${estimates.R0.lower}, ${estimates.R0.upper}]`);
+    assert.equal(estimates.R0.at_bound, false);
+});
+
+test('fitting recovers R0 together with the reporting fraction', () => {
+    const { values } = fit(syntheticIncidence(0.3), { ...TRUE_VALUES, R0: 2.5, reporting_fraction: 1 },
+        { parameters: ['R0', 'reporting_fraction'], population: POPULATION });
+    assert.ok(Math.abs(values.R0 - 2) < 0.02, `R0 ${values.R0}`);
+    assert.ok(Math.abs(values.reporting_fraction - 0.3) < 0.01, `reporting fraction ${values.reporting_fraction}`);
+});
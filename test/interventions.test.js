@@ -0,0 +1,29 @@
+// Validation of intervention schedules, which also guards interventions read from shared links
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InterventionSchedule } from '../model.js';
+
+test('interventions with missing or non-numeric fields are rejected', () => {
+    [
+        [{}],
+        [{ start: 10, end: 20 }],
+        [{ start: 10, end: 20, reduction: 'half' }],
+        [{ start: NaN, end: 20, reduction: 0.5 }],
+        [{ start: 10, end: 20, reduction: 0.5, ramp_in: null }],
+        [null],
+        {}
+    ].forEach(interventions => assert.throws(() => new InterventionSchedule(interventions), JSON.stringify(interventions)));
+});
+
+test('interventions out of range are rejected', () => {
+    assert.throws(() => new InterventionSchedule([{ start: 20, end: 10, reduction: 0.5 }]));
+    assert.throws(() => new InterventionSchedule([{ start: 10, end: 20, reduction: 1.5 }]));
+});
+
+test('valid interventions are accepted', () => {
+    const schedule = new InterventionSchedule([{ start: 10, end: 20, reduction: 0.5, ramp_in: 2 }]);
+    assert.equal(schedule.factor(15), 0.5);
+});
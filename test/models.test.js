@@ -0,0 +1,56 @@
+// Model specifications: checking of rate expressions and compiling of the built-in models
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILT_IN_MODELS, CompartmentalModel } from '../models.js';
+import { simulate } from '../model.js';
+
+/**
+ * The built-in SIR model with the rate of its recovery flow replaced
+ */
+const withRecoveryRate = rate => ({
+    ...BUILT_IN_MODELS.sir,
+    flows: BUILT_IN_MODELS.sir.flows.map(flow => flow.from === 'i' && flow.to === 'r' ? { ...flow, rate } : flow)
+});
+
+test('rate expressions may not access properties', () => {
+    ['gamma.constructor', 'i.toString()', 'gamma .constructor', 'Math.max(i, 0)'].forEach(rate => {
+        assert.throws(() => new CompartmentalModel(withRecoveryRate(rate)), /may only hold numbers, names/, rate);
+    });
+});
+
+test('rate expressions may not use unknown names', () => {
+    [['constructor', 'constructor'], ['gamma * x', 'x'], ['process', 'process'], ['globalThis', 'globalThis'],
+        ['Function(i)', 'Function']].forEach(([rate, name]) => {
+        assert.throws(() => new CompartmentalModel(withRecoveryRate(rate)), new RegExp(`uses unknown name '${name}'`), rate);
+    });
+});
+
+test('rate expressions may not hold string literals or other syntax', () => {
+    ["'i'", '"i"', '`i`', 'i; gamma', 'i[0]', 'gamma => i', '{}'].forEach(rate => {
+        assert.throws(() => new CompartmentalModel(withRecoveryRate(rate)), /may only hold numbers, names/, rate);
+    });
+    assert.throws(() => new CompartmentalModel(withRecoveryRate('gamma * (i')), /is not a valid expression/);
+});
+
+test('rate expressions may use numbers, known names and functions', () => {
+    const model = new CompartmentalModel(withRecoveryRate('max(gamma, 1e-3) * i / 1.0'));
+    assert.deepEqual(model.keys, ['s', 'i', 'r']);
+});
+
+test('the built-in models compile and run', () => {
+    ['sir', 'sis', 'seir', 'seird', 'seirs'].forEach(name => {
+        assert.ok(name in BUILT_IN_MODELS, name);
+        const model = CompartmentalModel.from(name);
+        assert.equal(CompartmentalModel.from(name), model, `${name} is compiled once`);
+        assert.equal(model.analysable, name === 'seirs');
+
+        const { series, metrics } = simulate({ model: name, n_days: 200 });
+        model.keys.forEach(key => {
+            assert.ok(series[key].every(value => Number.isFinite(value) && value >= 0), `${name}: ${key}`);
+        });
+        assert.ok(metrics.attack_rate > 0.1, `${name}: attack rate ${metrics.attack_rate}`);
+    });
+});
@@ -0,0 +1,88 @@
+// Restoring pinned scenarios from localStorage, with the page's d3 and storage stubbed out
+//
+// Run with: node --test
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScenarioManager } from '../seirs.js';
+
+const STORAGE_KEY = 'seirs-scenarios';
+
+/**
+ * Selection that records the text written to it (the status element)
+ */
+const selection = () => ({
+    text(value) {
+        this.value = value;
+        return this;
+    },
+    on() {
+        return this;
+    },
+    property() {
+        return '';
+    }
+});
+
+/**
+ * Scenario manager around a renderer that cannot solve a negative R0
+ */
+const createManager = () => new ScenarioManager(
+    { scenarios: [], update() {} },
+    {
+        solveFor: params => params.R0 < 0
+            ? Promise.reject(new Error('R0 must be positive'))
+            : Promise.resolve({ params })
+    },
+    { defaultParams: { R0: 3, n_days: 100 } },
+    { name: '#name', pin: '#pin', table: '#table', status: '#status' }
+);
+
+beforeEach(() => {
+    const items = new Map();
+    globalThis.window = {
+        localStorage: {
+            getItem: key => items.has(key) ? items.get(key) : null,
+            setItem: (key, value) => items.set(key, String(value))
+        }
+    };
+    globalThis.d3 = { select: selection };
+});
+
+test('malformed storage restores no scenarios', async () => {
+    for (const stored of ['not json', '{"name":"A"}', '42']) {
+        window.localStorage.setItem(STORAGE_KEY, stored);
+        const manager = createManager();
+        manager.initialize();
+        await manager.restoring;
+        assert.deepEqual(manager.plot.scenarios, []);
+        assert.equal(manager.status.value, 'Stored scenarios could not be read');
+    }
+});
+
+test('stored scenarios are restored with missing parameters filled in, up to the cap', async () => {
+    const stored = Array.from({ length: 8 }, (_, ix) => ({ name: `Scenario ${ix + 1}`, params: { R0: ix + 1 } }));
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    const manager = createManager();
+    manager.initialize();
+    await manager.restoring;
+    assert.equal(manager.plot.scenarios.length, 6);
+    assert.deepEqual(manager.plot.scenarios[1].params, { R0: 2, n_days: 100 });
+    assert.equal(manager.status.value, undefined);
+});
+
+test('scenarios that cannot be restored are reported and kept in storage', async () => {
+    const ok = { name: 'Baseline', params: { R0: 2 } };
+    const bad = { name: 'Broken', params: { R0: -1 } };
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify([ok, bad, null, { params: {} }]));
+    const manager = createManager();
+    manager.initialize();
+    await manager.restoring;
+    assert.deepEqual(manager.plot.scenarios.map(({ name }) => name), ['Baseline']);
+    assert.equal(manager.status.value, 'Could not restore Broken, an unnamed scenario, an unnamed scenario');
+
+    manager.store();
+    await manager.restoring;
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    assert.deepEqual(saved, [{ name: 'Baseline', params: { R0: 2, n_days: 100 } }, bad, null, { params: {} }]);
+});
@@ -0,0 +1,97 @@
+// Sensitivity analysis: ranks, Latin hypercube samples, PRCC and the shapes of one-at-a-time and grid runs
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng } from '../stochastic.js';
+import {
+    latinHypercube, ranks, partialRankCorrelations, rankCorrelationAnalysis, oneAtATimeAnalysis, gridSweep
+} from '../sensitivity.js';
+import { sensitivity, sweep } from '../model.js';
+
+// Outcomes rising with a, falling with b and ignoring c
+const evaluate = ({ a, b }) => ({ rising: a, mixed: Math.exp(a) - 2 * b, flat: 1 });
+const PARAMETERS = [
+    { name: 'a', lower: 0, upper: 1 },
+    { name: 'b', lower: 0, upper: 1 },
+    { name: 'c', values: [1, 2, 3, 4] }
+];
+
+test('ranks start at 1 and share the mean rank between ties', () => {
+    assert.deepEqual(ranks([30, 10, 20]), [3, 1, 2]);
+    assert.deepEqual(ranks([5, 1, 5, 5, 0]), [4, 2, 4, 4, 1]);
+    assert.deepEqual(ranks([2, 2]), [1.5, 1.5]);
+});
+
+test('a Latin hypercube has one point in every stratum of each dimension', () => {
+    const samples = 20;
+    const points = latinHypercube(samples, 3, createRng(5));
+    assert.equal(points.length, samples);
+    [0, 1, 2].forEach(dimension => {
+        const strata = points.map(point => Math.floor(point[dimension] * samples)).sort((a, b) => a - b);
+        assert.deepEqual(strata, Array.from({ length: samples }, (_, k) => k));
+    });
+});
+
+test('partial rank correlations follow the sign of each effect', () => {
+    const rng = createRng(9);
+    const a = Array.from({ length: 50 }, () => rng());
+    const b = Array.from({ length: 50 }, () => rng());
+    const [up, down] = partialRankCorrelations([a, b], a.map((value, k) => value - 0.5 * b[k]));
+    assert.ok(up.value > 0.9 && up.significant, `PRCC of a ${up.value}`);
+    assert.ok(down.value < -0.9 && down.significant, `PRCC of b ${down.value}`);
+    assert.equal(partialRankCorrelations([a, b], a.map(() => 1)), null);
+});
+
+test('a PRCC analysis reports every outcome against every parameter', () => {
+    const { runs, indices } = rankCorrelationAnalysis({ parameters: PARAMETERS, evaluate, samples: 40, seed: 2 });
+    assert.equal(runs.length, 40);
+    assert.ok(runs.every(({ values }) => [1, 2, 3, 4].includes(values.c) && values.a >= 0 && values.a < 1));
+    assert.deepEqual(Object.keys(indices), ['rising', 'mixed', 'flat']);
+    assert.deepEqual(Object.keys(indices.mixed), ['a', 'b', 'c']);
+    assert.ok(indices.mixed.a.value > 0.9 && indices.mixed.b.value < -0.9);
+    assert.ok(!indices.mixed.c.significant || Math.abs(indices.mixed.c.value) < 0.5);
+    assert.equal(indices.flat, null);
+    assert.throws(() => rankCorrelationAnalysis({ parameters: PARAMETERS, evaluate, samples: 5 }), /needs more than 5 samples/);
+});
+
+test('a one-at-a-time analysis moves each parameter to both ends of its range', () => {
+    const parameters = PARAMETERS.slice(0, 2);
+    const progress = [];
+    const { baseline, effects } = oneAtATimeAnalysis({
+        base: { a: 0.5, b: 0.5 }, parameters, evaluate, onProgress: fraction => progress.push(fraction)
+    });
+    assert.deepEqual(baseline, evaluate({ a: 0.5, b: 0.5 }));
+    assert.deepEqual(Object.keys(effects), ['a', 'b']);
+    assert.deepEqual(effects.b.lower, { value: 0, outcomes: evaluate({ a: 0.5, b: 0 }) });
+    assert.deepEqual(effects.b.upper, { value: 1, outcomes: evaluate({ a: 0.5, b: 1 }) });
+    assert.deepEqual(progress, [1, 2, 3, 4, 5].map(k => k / 5));
+});
+
+test('a grid sweep runs through x for each value of y', () => {
+    const { cells } = gridSweep({
+        x: { name: 'a', values: [0, 1, 2] }, y: { name: 'b', values: [10, 20] }, evaluate: ({ a, b }) => ({ sum: a + b })
+    });
+    assert.deepEqual(cells.map(({ x, y }) => [x, y]), [[0, 10], [1, 10], [2, 10], [0, 20], [1, 20], [2, 20]]);
+    assert.deepEqual(cells.map(({ outcomes }) => outcomes.sum), [10, 11, 12, 20, 21, 22]);
+    assert.throws(() => gridSweep({ x: { name: 'a', values: [1] }, y: { name: 'a', values: [1] }, evaluate }),
+        /two different parameters/);
+});
+
+test('the model analyses find R0 driving the epidemic', () => {
+    const options = { n_days: 200 };
+    const prcc = sensitivity(options, {
+        parameters: [{ name: 'R0', lower: 1.5, upper: 4 }, { name: 'latent_period', lower: 3, upper: 10 }], samples: 20
+    });
+    assert.ok(prcc.indices.final_size.R0.value > 0.9, `PRCC ${prcc.indices.final_size.R0.value}`);
+    assert.ok(prcc.indices.peak_day.R0.value < 0 && prcc.indices.peak_day.latent_period.value > 0);
+
+    const oat = sensitivity(options, { parameters: [{ name: 'R0', lower: 1.5, upper: 4 }], method: 'oat' });
+    assert.ok(oat.effects.R0.upper.outcomes.peak_infectious > oat.baseline.peak_infectious);
+    assert.ok(oat.effects.R0.lower.outcomes.peak_infectious < oat.baseline.peak_infectious);
+
+    const grid = sweep(options, { x: { name: 'R0', values: [2, 3] }, y: { name: 'latent_period', values: [3, 5, 7] } });
+    assert.equal(grid.cells.length, 6);
+    assert.throws(() => sweep(options, { x: { name: 'beta', values: [1] }, y: { name: 'R0', values: [2] } }), /cannot be analysed/);
+});
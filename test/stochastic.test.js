@@ -0,0 +1,60 @@
+// Stochastic ensembles: seeded reproducibility, agreement of the engines and extinction counts
+//
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng } from '../stochastic.js';
+import { simulate, simulateStochastic } from '../model.js';
+
+// A short outbreak in a population large enough for both engines to follow the equations
+const LARGE = { n_days: 150, S0: 0.99, population_size: 20000, n_runs: 5, seed: 7 };
+
+test('the random number generator repeats its sequence for a seed', () => {
+    const draw = seed => {
+        const rng = createRng(seed);
+        return Array.from({ length: 100 }, () => rng());
+    };
+    assert.deepEqual(draw(42), draw(42));
+    assert.notDeepEqual(draw(42), draw(43));
+    assert.ok(draw(1).every(value => value >= 0 && value < 1));
+});
+
+test('an ensemble is reproducible from its seed', () => {
+    const options = { n_days: 60, S0: 0.98, population_size: 500, n_runs: 4, method: 'gillespie' };
+    const first = simulateStochastic({ ...options, seed: 3 });
+    const again = simulateStochastic({ ...options, seed: 3 });
+    const other = simulateStochastic({ ...options, seed: 4 });
+    assert.deepEqual(again.series, first.series);
+    assert.deepEqual(again.extinction, first.extinction);
+    assert.notDeepEqual(other.series.i, first.series.i);
+});
+
+test('tau-leaping agrees with the Gillespie engine and the equations in a large population', () => {
+    const exact = simulateStochastic({ ...LARGE, method: 'gillespie' }).metrics;
+    const leaping = simulateStochastic({ ...LARGE, method: 'tau-leap' }).metrics;
+    const deterministic = simulate({ n_days: LARGE.n_days, S0: LARGE.S0 }).metrics;
+    [exact, leaping].forEach(metrics => {
+        assert.ok(Math.abs(metrics.peak_infectious / deterministic.peak_infectious - 1) < 0.05,
+            `peak ${metrics.peak_infectious} against ${deterministic.peak_infectious}`);
+        assert.ok(Math.abs(metrics.attack_rate - deterministic.attack_rate) < 0.03,
+            `attack rate ${metrics.attack_rate} against ${deterministic.attack_rate}`);
+    });
+    assert.ok(Math.abs(leaping.peak_day - exact.peak_day) <= 10, `peak on day ${leaping.peak_day} against ${exact.peak_day}`);
+});
+
+test('runs count as died out only before a major outbreak', () => {
+    const options = { n_days: 300, S0: 0.99, population_size: 1000, n_runs: 20 };
+    const subcritical = simulateStochastic({ ...options, R0: 0.5 }).extinction;
+    assert.deepEqual(subcritical, { count: 20, runs: 20, fraction: 1, threshold: 0.05 });
+
+    // With lifelong immunity the outbreaks from 10 infected all burn out, but none before infecting most people
+    const outbreak = simulateStochastic({ ...options, model: 'sir', R0: 4, life_expectancy: 1000 });
+    assert.equal(outbreak.series.i[options.n_days], 0);
+    assert.equal(outbreak.extinction.count, 0);
+});
+
+test('an ensemble needs at least one infected individual at the start', () => {
+    assert.throws(() => simulateStochastic({ S0: 0.9999, population_size: 1000, n_runs: 1, n_days: 10 }),
+        /No one is infected at the start/);
+});